@@ -0,0 +1,199 @@
+// Accounts and sessions.
+// Users and sessions live in the storage adapters (see storage/) under the
+// `users` and `sessions` collections. Passwords are scrypt-hashed; a session
+// is a random token handed out only as an HttpOnly cookie (scripts can send
+// the cookie's token as an `Authorization: Bearer` header) and stored only
+// as its hash.
+//
+// A user record looks like:
+//   { id, email, passwordHash, createdAt, keys: { [provider]: { secret, hint, updatedAt } } }
+// where `secret` is the provider key encrypted by secrets.js.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getStore } = require('./storage');
+const { encryptSecret, decryptSecret, maskSecret } = require('./secrets');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'pyckit_session';
+const SESSION_TTL_DAYS = 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Derived from the email so lookups don't need an index
+function userIdFor(email) {
+  return `user-${sha256(normalizeEmail(email)).slice(0, 24)}`;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(String(password), Buffer.from(salt, 'base64'), 64);
+  const expectedHash = Buffer.from(expected, 'base64');
+  return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// What clients may see of a user
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    createdAt: user.createdAt,
+    keys: Object.fromEntries(
+      Object.entries(user.keys || {}).map(([provider, key]) => [provider, { hint: key.hint, updatedAt: key.updatedAt }])
+    )
+  };
+}
+
+async function createUser({ email, password }) {
+  const address = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+    throw new Error('Invalid email address');
+  }
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const users = getStore('users');
+  const id = userIdFor(address);
+  if (await users.get(id)) {
+    throw new Error('Email already registered');
+  }
+
+  return users.put({
+    id,
+    email: address,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString(),
+    keys: {}
+  });
+}
+
+// Checked when the email isn't registered, so a sign-in takes as long
+// either way and the response time doesn't reveal which emails exist.
+// The hash of a random password nobody knows.
+const DUMMY_HASH = 'scrypt:q3shiAPbHLgdYNM9Hpr3oQ==:dEYX7akT2K6mMMeh+f9R4uBJvlgEGqda+unDfv10/cGbK3NxF2Spco0A4d52oQIgq5nAP8TouzPAksaO/oKUGg==';
+
+// Resolves the user, or null when the email or password is wrong
+async function authenticate({ email, password }) {
+  const user = await getStore('users').get(userIdFor(email));
+  if (!user) {
+    await verifyPassword(password, DUMMY_HASH);
+    return null;
+  }
+  return (await verifyPassword(password, user.passwordHash)) ? user : null;
+}
+
+async function createSession(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await getStore('sessions').put({
+    id: sha256(token),
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt.toISOString()
+  });
+  return { token, expiresAt };
+}
+
+function readCookie(req, name) {
+  const header = req.headers?.cookie || '';
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function sessionToken(req) {
+  const authorization = req.headers?.authorization || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+  return readCookie(req, SESSION_COOKIE);
+}
+
+// The signed-in user for a request, or null
+async function getSessionUser(req) {
+  const token = sessionToken(req);
+  if (!token) return null;
+
+  const sessions = getStore('sessions');
+  const session = await sessions.get(sha256(token));
+  if (!session) return null;
+  if (new Date(session.expiresAt) < new Date()) {
+    await sessions.remove(session.id);
+    return null;
+  }
+  return getStore('users').get(session.userId);
+}
+
+// Like getSessionUser, but throws 'Unauthorized' for anonymous requests
+async function requireUser(req) {
+  const user = await getSessionUser(req);
+  if (!user) {
+    throw new Error('Unauthorized - please sign in');
+  }
+  return user;
+}
+
+async function destroySession(req) {
+  const token = sessionToken(req);
+  if (token) await getStore('sessions').remove(sha256(token));
+}
+
+// Set-Cookie value; pass a null token to clear the cookie
+function sessionCookie(token, expiresAt) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  if (!token) {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secure}`;
+  }
+  const maxAge = Math.floor((expiresAt - Date.now()) / 1000);
+  return `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+// Bring-your-own provider keys, encrypted at rest
+async function setUserKey(user, provider, apiKey) {
+  const updated = {
+    ...user,
+    keys: {
+      ...(user.keys || {}),
+      [provider]: { secret: encryptSecret(apiKey), hint: maskSecret(apiKey), updatedAt: new Date().toISOString() }
+    }
+  };
+  return getStore('users').put(updated);
+}
+
+async function removeUserKey(user, provider) {
+  const { [provider]: removed, ...keys } = user.keys || {};
+  return getStore('users').put({ ...user, keys });
+}
+
+// The user's own key for a provider, or null to use the server key
+function getUserKey(user, provider) {
+  const stored = user?.keys?.[provider];
+  return stored ? decryptSecret(stored.secret) : null;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  publicUser,
+  createUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  requireUser,
+  destroySession,
+  sessionCookie,
+  setUserKey,
+  removeUserKey,
+  getUserKey
+};
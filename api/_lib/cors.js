@@ -0,0 +1,30 @@
+// CORS for routes that use the session cookie.
+// Credentialed requests can't use a wildcard origin, so an allowed caller's
+// origin is echoed back. Only origins listed in ALLOWED_ORIGINS (comma
+// separated) are allowed; with it unset, no cross-origin caller is, and only
+// the app itself (same origin, so no CORS needed) can use these routes.
+function allowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+function applyCors(req, res, methods) {
+  const origin = req.headers?.origin;
+
+  if (origin && allowedOrigins().includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  // Let the app read rate limit and quota headers
+  res.setHeader(
+    'Access-Control-Expose-Headers',
+    'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Limit, X-Quota-Remaining, X-Quota-Reset'
+  );
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Authorization, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+}
+
+module.exports = { applyCors };
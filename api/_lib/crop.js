@@ -0,0 +1,129 @@
+// Crop helpers for server-side item images
+const sharp = require('sharp');
+
+// Takes a buffer or base64; the first 12 bytes encode to the same prefixes
+function detectMimeType(input) {
+  const base64 = Buffer.isBuffer(input) ? input.toString('base64', 0, 12) : input;
+  const signatures = {
+    '/9j/': 'image/jpeg',
+    'iVBORw0KGgo': 'image/png',
+    'R0lGODlh': 'image/gif',
+    'UklGR': 'image/webp'
+  };
+  for (const [sig, mime] of Object.entries(signatures)) {
+    if (base64.startsWith(sig)) return mime;
+  }
+  return 'image/jpeg';
+}
+
+// Normalized boxes are percent with x/y at the center; crops want top-left pixels
+function percentBoxToPixels(bbox, imgWidth, imgHeight) {
+  const width = (bbox.width / 100) * imgWidth;
+  const height = (bbox.height / 100) * imgHeight;
+  return {
+    x: (bbox.x / 100) * imgWidth - width / 2,
+    y: (bbox.y / 100) * imgHeight - height / 2,
+    width,
+    height
+  };
+}
+
+// Whole pixels, for boxes reported back to clients
+function roundBox(box) {
+  return {
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    width: Math.round(box.width),
+    height: Math.round(box.height)
+  };
+}
+
+function getSafeCropBox(bbox, imgWidth, imgHeight) {
+  let { x, y, width, height } = bbox;
+
+  // Convert % coords to pixels if needed
+  if (width <= 1 && height <= 1) {
+    width = width * imgWidth;
+    height = height * imgHeight;
+    x = x * imgWidth;
+    y = y * imgHeight;
+  }
+
+  // 1. Inflate small boxes aggressively
+  const minRelSize = 0.15; // 15% of image
+  if (width < imgWidth * minRelSize) width *= 2.5;
+  if (height < imgHeight * minRelSize) height *= 2.5;
+
+  // 2. Add padding (20% all around)
+  const padW = width * 0.2;
+  const padH = height * 0.2;
+  x -= padW;
+  y -= padH;
+  width += padW * 2;
+  height += padH * 2;
+
+  // 3. Minimum crop size (200px)
+  if (width < 200) width = 200;
+  if (height < 200) height = 200;
+
+  // 4. Clamp to image boundaries
+  if (x < 0) x = 0;
+  if (y < 0) y = 0;
+  if (x + width > imgWidth) width = imgWidth - x;
+  if (y + height > imgHeight) height = imgHeight - y;
+
+  // Optional: enforce square-ish aspect ratio, as far as the image allows.
+  // A side can't outgrow the image, or re-clamping pushes the box negative.
+  const diff = Math.abs(width - height);
+  if (diff / Math.max(width, height) > 0.1) {
+    const size = Math.max(width, height);
+    width = Math.min(size, imgWidth);
+    height = Math.min(size, imgHeight);
+  }
+
+  // Whole pixels, shifted back inside the image if the box grew past an edge
+  const cropWidth = Math.max(1, Math.min(Math.round(width), imgWidth));
+  const cropHeight = Math.max(1, Math.min(Math.round(height), imgHeight));
+  return {
+    x: Math.min(Math.max(Math.round(x), 0), imgWidth - cropWidth),
+    y: Math.min(Math.max(Math.round(y), 0), imgHeight - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+// Decode the upload, apply its EXIF orientation and report the true size.
+// Models see photos the way they display, so boxes live in this rotated space.
+async function loadImage(image) {
+  const input = Buffer.isBuffer(image) ? image : Buffer.from(image, 'base64');
+  const { orientation = 1 } = await sharp(input).metadata();
+  const { data, info } = await sharp(input).rotate().toBuffer({ resolveWithObject: true });
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    orientation
+  };
+}
+
+// Crop a pixel box out of an already-oriented image buffer, as JPEG
+async function cropImage(buffer, cropBox) {
+  return sharp(buffer)
+    .extract({
+      left: cropBox.x,
+      top: cropBox.y,
+      width: cropBox.width,
+      height: cropBox.height
+    })
+    .jpeg({ quality: 92 })
+    .toBuffer();
+}
+
+module.exports = {
+  detectMimeType,
+  percentBoxToPixels,
+  roundBox,
+  getSafeCropBox,
+  loadImage,
+  cropImage
+};
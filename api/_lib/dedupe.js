@@ -0,0 +1,135 @@
+// Cross-photo item deduplication for multi-photo room sessions.
+// The same sofa shot from two angles should be one item with two views.
+// Items are compared on name, category and what their crops look like;
+// items from the same photo are never merged (two identical chairs in one
+// shot really are two chairs).
+const sharp = require('sharp');
+const { differenceHash, hammingDistance } = require('./fingerprint');
+
+const MATCH_THRESHOLD = 0.6;
+const WEIGHTS = { name: 0.45, category: 0.15, visual: 0.4 };
+const HIST_BINS = 8; // per channel
+const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'with', 'of', 'in', 'for', 'set']);
+
+// Visual fingerprint of the item's detection box: a 64-bit difference hash
+// (the same one fingerprint.js matches photos with) plus a coarse colour
+// histogram
+async function imageSignature(buffer, box) {
+  const region = () => sharp(buffer).extract({ left: box.x, top: box.y, width: box.width, height: box.height });
+
+  const hash = await differenceHash(region());
+
+  const { data } = await region().resize(32, 32, { fit: 'fill' }).removeAlpha().raw()
+    .toBuffer({ resolveWithObject: true });
+  const histogram = new Array(HIST_BINS ** 3).fill(0);
+  const shift = 8 - Math.log2(HIST_BINS);
+  for (let i = 0; i < data.length; i += 3) {
+    histogram[((data[i] >> shift) * HIST_BINS + (data[i + 1] >> shift)) * HIST_BINS + (data[i + 2] >> shift)]++;
+  }
+  const pixels = data.length / 3;
+
+  return { hash, histogram: histogram.map(count => count / pixels) };
+}
+
+function nameTokens(name) {
+  return new Set(
+    String(name || '').toLowerCase().split(/[^a-z0-9]+/)
+      .filter(token => token && !STOPWORDS.has(token))
+      // "drawers" and "drawer" are the same thing
+      .map(token => token.replace(/s$/, ''))
+  );
+}
+
+function nameSimilarity(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (!tokensA.size || !tokensB.size) return 0;
+  let shared = 0;
+  tokensA.forEach(token => { if (tokensB.has(token)) shared++; });
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+function categorySimilarity(a, b) {
+  if (!a || !b || a === 'general' || b === 'general') return 0.5; // unknown, don't decide on it
+  return a.toLowerCase() === b.toLowerCase() ? 1 : 0;
+}
+
+function visualSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const hashBits = a.hash.length * 4;
+  const hashMatches = hashBits - hammingDistance(a.hash, b.hash);
+  let intersection = 0;
+  for (let i = 0; i < a.histogram.length; i++) {
+    intersection += Math.min(a.histogram[i], b.histogram[i]);
+  }
+  // Colour survives a change of angle far better than structure does
+  return 0.3 * (hashMatches / hashBits) + 0.7 * intersection;
+}
+
+function matchScore(a, b) {
+  return WEIGHTS.name * nameSimilarity(a.name, b.name) +
+    WEIGHTS.category * categorySimilarity(a.category, b.category) +
+    WEIGHTS.visual * visualSimilarity(a.signature, b.signature);
+}
+
+// One view of an item, as stored in `angles`
+function toAngle(item) {
+  return {
+    photoIndex: item.photoIndex,
+    name: item.name,
+    confidence: item.confidence,
+    boundingBox: item.boundingBox,
+    pixelBox: item.pixelBox,
+    cropBox: item.cropBox,
+    image: item.studioImage || item.image
+  };
+}
+
+// Merge items from several photos. `photos` is an array (one entry per photo)
+// of item arrays; every item needs `photoIndex` and, for visual matching, a
+// `signature` from imageSignature. Returns merged items, each with `angles`
+// listing every view, best first. The highest-confidence view supplies the
+// item's own name, value and image, so the total counts it once.
+function mergeDuplicates(photos) {
+  const clusters = [];
+
+  photos.forEach((items) => {
+    items.forEach((item) => {
+      let best = null;
+      let bestScore = MATCH_THRESHOLD;
+      clusters.forEach((cluster) => {
+        if (cluster.some(member => member.photoIndex === item.photoIndex)) return;
+        const score = Math.max(...cluster.map(member => matchScore(member, item)));
+        if (score >= bestScore) {
+          best = cluster;
+          bestScore = score;
+        }
+      });
+
+      if (best) {
+        console.log(`Matched ${item.name} (photo ${item.photoIndex + 1}) to ${best[0].name} (score ${bestScore.toFixed(2)})`);
+        best.push(item);
+      } else {
+        clusters.push([item]);
+      }
+    });
+  });
+
+  return clusters.map((cluster, index) => {
+    const views = [...cluster].sort((a, b) => b.confidence - a.confidence);
+    const { signature, ...primary } = views[0];
+    return {
+      ...primary,
+      id: `item-${index + 1}`,
+      angles: views.map(toAngle)
+    };
+  });
+}
+
+module.exports = {
+  imageSignature,
+  nameSimilarity,
+  visualSimilarity,
+  matchScore,
+  mergeDuplicates
+};
@@ -0,0 +1,54 @@
+// Progress events for long-running routes, sent as Server-Sent Events.
+// Clients opt in with `Accept: text/event-stream`; everyone else gets the
+// usual single JSON response and the emitter does nothing.
+//
+// Each event is written as
+//   event: <stage>
+//   data: <json>
+// and the stream always ends with a `result` or an `error` event.
+
+function wantsEventStream(req) {
+  return String(req.headers?.accept || '').includes('text/event-stream');
+}
+
+function createEventStream(res) {
+  let open = false;
+
+  const start = () => {
+    if (open) return;
+    open = true;
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // stop proxies holding events back
+    res.flushHeaders?.();
+  };
+
+  return {
+    get open() {
+      return open;
+    },
+    send(event, data) {
+      start();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      res.flush?.();
+    },
+    end() {
+      if (open) res.end();
+    }
+  };
+}
+
+// Same interface, for clients that asked for plain JSON
+const silentStream = {
+  open: false,
+  send() {},
+  end() {}
+};
+
+module.exports = {
+  wantsEventStream,
+  createEventStream,
+  silentStream
+};
@@ -0,0 +1,73 @@
+// Image fingerprints for finding fixtures and recordings by image, and for
+// comparing item crops across photos (see dedupe.js) - both use the one
+// differenceHash and hammingDistance here so they can't drift apart.
+// `sha256` only matches the exact bytes. `fingerprint` is a 64-bit
+// difference hash of the upright, greyscale image shrunk to 9x8, so the same
+// photo still matches after the browser has resized and re-encoded it.
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Fingerprints this many bits apart or fewer are the same photo
+const MATCH_DISTANCE = 8;
+
+function sha256(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+// 64-bit difference hash of a sharp image: greyscale, shrunk to 9x8, one
+// bit per pixel for whether it's darker than its right neighbour.
+// => 16 hex characters
+async function differenceHash(image) {
+  const pixels = await image.greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+
+  let bits = '';
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits += pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? '1' : '0';
+    }
+  }
+  return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+}
+
+// Takes a buffer or base64; => 16 hex characters
+async function imageFingerprint(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'base64');
+  return differenceHash(sharp(buffer).rotate());
+}
+
+// Bits that differ between two fingerprints
+function hammingDistance(a, b) {
+  let count = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      count += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return count;
+}
+
+// The entry whose `fingerprint` is nearest, if it's near enough
+function closestMatch(fingerprint, entries) {
+  let best = null;
+  let bestDistance = MATCH_DISTANCE + 1;
+  entries.forEach(entry => {
+    if (!entry.fingerprint) return;
+    const distance = hammingDistance(fingerprint, entry.fingerprint);
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  MATCH_DISTANCE,
+  sha256,
+  differenceHash,
+  imageFingerprint,
+  hammingDistance,
+  closestMatch
+};
@@ -0,0 +1,296 @@
+// Server-side isolation - foreground extraction and studio compositing with sharp.
+//
+// Foreground extraction is a CPU-only, GrabCut-style refinement seeded by the
+// item's bounding box: everything outside the box is background, everything
+// inside is "probably foreground". We then alternate between fitting colour
+// histograms to each side and relabelling pixels, with a blur on the
+// probability map standing in for GrabCut's smoothness term. It runs on a
+// downscaled copy of the crop and the mask is scaled back up, so cost stays
+// flat regardless of photo size.
+const sharp = require('sharp');
+const { createMask, cleanMask, maskBounds, applyMask } = require('./masks');
+
+const WORK_SIZE = 256;      // longest edge of the working copy
+const BINS = 16;            // histogram bins per colour channel
+const ITERATIONS = 5;
+const MIN_COVERAGE = 0.05;  // below this share of the box we don't trust the mask
+
+const DEFAULT_STUDIO = {
+  background: '#FFFFFF',
+  padding: 0.12,            // share of the object size added on every side
+  shadowOpacity: 0.22,
+  shadowBlur: 12,
+  maxSize: 1200
+};
+
+// Allowed range of each numeric studio option. Padding and maxSize set the
+// canvas size and the blur goes straight to sharp, so nothing outside these
+// ranges is accepted from a client.
+const STUDIO_LIMITS = {
+  padding: [0, 0.5],
+  shadowOpacity: [0, 1],
+  shadowBlur: [0.3, 50],
+  maxSize: [64, 2048]
+};
+
+const HEX_COLOUR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Check client studio options against STUDIO_LIMITS; numbers may come as
+// strings from a form. Returns only the options given, as numbers, and
+// throws 'Invalid studio options' for unknown keys or bad values.
+function validateStudio(options) {
+  if (options === undefined || options === null) return {};
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Invalid studio options: expected an object');
+  }
+
+  const studio = {};
+  Object.entries(options).forEach(([key, value]) => {
+    if (key === 'background') {
+      if (typeof value !== 'string' || !HEX_COLOUR.test(value)) {
+        throw new Error('Invalid studio options: `background` must be a hex colour like #FFFFFF');
+      }
+      studio.background = value;
+      return;
+    }
+
+    const limits = STUDIO_LIMITS[key];
+    if (!limits) {
+      throw new Error(`Invalid studio options: unknown option \`${key}\``);
+    }
+    const [min, max] = limits;
+    const number = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+    if (value === '' || !Number.isFinite(number) || number < min || number > max) {
+      throw new Error(`Invalid studio options: \`${key}\` must be a number from ${min} to ${max}`);
+    }
+    studio[key] = key === 'maxSize' ? Math.round(number) : number;
+  });
+  return studio;
+}
+
+function binIndex(data, i) {
+  const shift = 8 - Math.log2(BINS);
+  return ((data[i] >> shift) * BINS + (data[i + 1] >> shift)) * BINS + (data[i + 2] >> shift);
+}
+
+function buildHistogram(data, pixelCount, include) {
+  const hist = new Float32Array(BINS * BINS * BINS).fill(1); // Laplace smoothing
+  let total = hist.length;
+  for (let p = 0; p < pixelCount; p++) {
+    if (include(p)) {
+      hist[binIndex(data, p * 3)]++;
+      total++;
+    }
+  }
+  for (let b = 0; b < hist.length; b++) hist[b] /= total;
+  return hist;
+}
+
+// Separable box blur, in place on a copy
+function boxBlur(values, width, height, radius) {
+  const tmp = new Float32Array(values.length);
+  const out = new Float32Array(values.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const xx = x + k;
+        if (xx >= 0 && xx < width) {
+          sum += values[y * width + xx];
+          count++;
+        }
+      }
+      tmp[y * width + x] = sum / count;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const yy = y + k;
+        if (yy >= 0 && yy < height) {
+          sum += tmp[yy * width + x];
+          count++;
+        }
+      }
+      out[y * width + x] = sum / count;
+    }
+  }
+  return out;
+}
+
+// Segment the object inside `box` (pixels, relative to `region`) from the
+// region of the oriented image. Returns { mask, width, height, method, coverage }
+// where mask is a single-channel 0-255 buffer at region size.
+async function extractForeground(buffer, region, box) {
+  const { data, info } = await sharp(buffer)
+    .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+    .resize({ width: WORK_SIZE, height: WORK_SIZE, fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const width = info.width;
+  const height = info.height;
+  const pixelCount = width * height;
+  const scaleX = width / region.width;
+  const scaleY = height / region.height;
+
+  // Seed box in working coordinates
+  const left = Math.max(0, Math.floor((box.x - region.x) * scaleX));
+  const top = Math.max(0, Math.floor((box.y - region.y) * scaleY));
+  const right = Math.min(width, Math.ceil((box.x - region.x + box.width) * scaleX));
+  const bottom = Math.min(height, Math.ceil((box.y - region.y + box.height) * scaleY));
+
+  const inBox = new Uint8Array(pixelCount);
+  let boxPixels = 0;
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      inBox[y * width + x] = 1;
+      boxPixels++;
+    }
+  }
+
+  // When the box fills the region there is no outside to learn from,
+  // so treat a thin ring just inside the box as background too
+  const ring = Math.max(2, Math.round(Math.min(right - left, bottom - top) * 0.04));
+  const isSeedBackground = (p) => {
+    if (!inBox[p]) return true;
+    if (boxPixels < pixelCount * 0.9) return false;
+    const x = p % width;
+    const y = Math.floor(p / width);
+    return x < left + ring || x >= right - ring || y < top + ring || y >= bottom - ring;
+  };
+
+  // Boxes are loose, so the first foreground model only learns from the
+  // inner part of the box; the band around it starts out as background
+  const band = Math.round(Math.min(right - left, bottom - top) * 0.12);
+  let fg = new Uint8Array(pixelCount);
+  for (let y = top + band; y < bottom - band; y++) {
+    for (let x = left + band; x < right - band; x++) {
+      const p = y * width + x;
+      fg[p] = isSeedBackground(p) ? 0 : 1;
+    }
+  }
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const current = fg;
+    const fgHist = buildHistogram(data, pixelCount, (p) => current[p] === 1);
+    const bgHist = buildHistogram(data, pixelCount, (p) => current[p] === 0);
+
+    const probability = new Float32Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+      if (isSeedBackground(p)) continue;
+      const bin = binIndex(data, p * 3);
+      probability[p] = fgHist[bin] / (fgHist[bin] + bgHist[bin]);
+    }
+
+    const smoothed = boxBlur(probability, width, height, 2);
+    const next = new Uint8Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+      next[p] = !isSeedBackground(p) && smoothed[p] > 0.5 ? 1 : 0;
+    }
+    fg = next;
+  }
+
+  // One solid object: the largest region, holes filled (see masks.js)
+  const object = cleanMask(createMask(width, height, Uint8ClampedArray.from(fg, value => value * 255)), { radius: 0 });
+  const kept = object.data.reduce((sum, value) => sum + (value ? 1 : 0), 0);
+
+  let method = 'grabcut';
+  const coverage = boxPixels ? kept / boxPixels : 0;
+  const small = Buffer.from(object.data);
+  if (coverage < MIN_COVERAGE) {
+    // Nothing convincing inside the box - fall back to the box itself
+    method = 'box-fallback';
+    for (let p = 0; p < pixelCount; p++) small[p] = inBox[p] ? 255 : 0;
+  }
+
+  // Feather in proportion to the upscale so the working grid doesn't show
+  const feather = Math.max(1.5, 0.6 * (region.width / width));
+  const mask = await sharp(small, { raw: { width, height, channels: 1 } })
+    .resize(region.width, region.height, { fit: 'fill' })
+    .blur(feather)
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  return { mask, width: region.width, height: region.height, method, coverage };
+}
+
+// Transparent PNG of the region with the mask as alpha, trimmed to the
+// object, or null when the mask is empty
+async function buildCutout(buffer, region, foreground) {
+  const mask = createMask(foreground.width, foreground.height, foreground.mask);
+  if (!maskBounds(mask)) return null;
+
+  const photo = await sharp(buffer)
+    .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+    .png()
+    .toBuffer();
+  return (await applyMask(photo, mask)).image;
+}
+
+// Place a cutout on a square studio background with a soft contact shadow
+async function composeStudio(cutout, options = {}) {
+  const studio = { ...DEFAULT_STUDIO, ...validateStudio(options) };
+  const { width, height } = await sharp(cutout).metadata();
+
+  const pad = Math.round(Math.max(width, height) * studio.padding);
+  const size = Math.max(width, height) + pad * 2;
+  const left = Math.round((size - width) / 2);
+  const top = Math.round((size - height) / 2);
+
+  // Flat ellipse under the object's base, blurred into a contact shadow
+  const shadowWidth = Math.round(width * 0.9);
+  const shadowHeight = Math.max(6, Math.round(height * 0.08));
+  const shadowSvg = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+    `<ellipse cx="${size / 2}" cy="${top + height - shadowHeight / 4}" rx="${shadowWidth / 2}" ry="${shadowHeight / 2}" ` +
+    `fill="black" fill-opacity="${studio.shadowOpacity}"/></svg>`
+  );
+  const shadow = await sharp(shadowSvg).blur(studio.shadowBlur).png().toBuffer();
+
+  let composite = sharp({
+    create: { width: size, height: size, channels: 3, background: studio.background }
+  }).composite([
+    { input: shadow, left: 0, top: 0 },
+    { input: cutout, left, top }
+  ]);
+
+  if (size > studio.maxSize) {
+    composite = sharp(await composite.png().toBuffer()).resize(studio.maxSize, studio.maxSize);
+  }
+
+  return composite.jpeg({ quality: 92 }).toBuffer();
+}
+
+// Full isolation stage for one item: mask, transparent cutout and studio shot.
+// Returns null when nothing usable could be extracted.
+async function isolateItem(source, item, studioOptions) {
+  const foreground = await extractForeground(source.buffer, item.cropBox, item.pixelBox);
+  const cutout = await buildCutout(source.buffer, item.cropBox, foreground);
+  if (!cutout) return null;
+
+  const studioImage = await composeStudio(cutout, studioOptions);
+
+  return {
+    cutout,
+    studioImage,
+    method: foreground.method,
+    coverage: Number(foreground.coverage.toFixed(3))
+  };
+}
+
+module.exports = {
+  DEFAULT_STUDIO,
+  STUDIO_LIMITS,
+  validateStudio,
+  extractForeground,
+  buildCutout,
+  composeStudio,
+  isolateItem
+};
@@ -0,0 +1,64 @@
+// Item normalization shared by every vision provider.
+// Whatever the model returns, clients get items shaped like:
+//   { id, name, value (number, region currency), condition, confidence (0-100), category,
+//     brand, model, ageYears, pricing, description, listingTitle, bestSeason,
+//     boundingBox { x, y, width, height }, repairs [{ field, code, message }] }
+// pricing is the comparable-sales estimate from pricing.js.
+// boundingBox is in percent of the image with x/y at the item's center.
+const { getRegion, bestSeason } = require('./regions');
+const { templateCopy } = require('./listingCopy');
+
+const CONDITIONS = ['Excellent', 'Very Good', 'Good', 'Fair'];
+
+// Helper function to determine condition
+function determineCondition(confidence) {
+  if (confidence > 90) return 'Excellent';
+  if (confidence > 80) return 'Very Good';
+  if (confidence > 70) return 'Good';
+  return 'Fair';
+}
+
+// Description for items the model didn't describe (see listingCopy.js)
+function generateItemDescription(item, region) {
+  return templateCopy(item, 'concise', region).description;
+}
+
+// Shape a validated item (see schema.js) for clients in `region`
+function normalizeItem(item, index, region = getRegion()) {
+  const category = item.category || 'general';
+
+  const normalized = {
+    id: `item-${index + 1}`,
+    name: item.name,
+    value: Math.round(item.value),
+    condition: item.condition,
+    confidence: Math.round(item.confidence),
+    category,
+    brand: item.brand || null,
+    model: item.model || null,
+    ageYears: item.ageYears ?? null,
+    pricing: item.pricing,
+    boundingBox: item.boundingBox
+  };
+
+  return {
+    ...normalized,
+    description: item.description || generateItemDescription(normalized, region),
+    listingTitle: `${item.name} - ${item.condition} Condition`,
+    bestSeason: bestSeason(region, category),
+    sellability: item.sellability,
+    repairs: item.repairs || []
+  };
+}
+
+function calculateTotalValue(items) {
+  return items.reduce((sum, item) => sum + (item.value || 0), 0);
+}
+
+module.exports = {
+  CONDITIONS,
+  determineCondition,
+  generateItemDescription,
+  normalizeItem,
+  calculateTotalValue
+};
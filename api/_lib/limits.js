@@ -0,0 +1,137 @@
+// Rate limits and usage quotas.
+// Callers are keyed by user (`user:<id>`) or, before sign-in, by IP
+// (`ip:<address>`). Each tier sets:
+//   perMinute      - token bucket refill rate; burst is the bucket size
+//   dailyAnalyses  - photos analyzed per UTC day (a 3-photo session costs 3)
+//   maxImageBytes  - largest single photo accepted
+// Buckets and daily counters live in the `limits` storage collection, so
+// they are shared wherever the storage adapter is, and are only changed with
+// the store's atomic update().
+const { getStore } = require('./storage');
+
+const MB = 1024 * 1024;
+
+const TIERS = {
+  anonymous: { perMinute: 10, burst: 10, dailyAnalyses: 0, maxImageBytes: 0 },
+  free: { perMinute: 4, burst: 4, dailyAnalyses: 20, maxImageBytes: 10 * MB },
+  pro: { perMinute: 20, burst: 10, dailyAnalyses: 500, maxImageBytes: 25 * MB }
+};
+
+function getTier(user) {
+  if (!user) return { name: 'anonymous', ...TIERS.anonymous };
+  const name = TIERS[user.tier] ? user.tier : (process.env.DEFAULT_TIER || 'free');
+  return { name, ...TIERS[name] };
+}
+
+function clientKey(req, user) {
+  if (user) return `user:${user.id}`;
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return `ip:${forwarded || req.socket?.remoteAddress || 'unknown'}`;
+}
+
+// Take one token from the caller's bucket.
+// => { allowed, limit, remaining, reset (epoch seconds), retryAfter (seconds) }
+async function consumeToken(key, tier, now = Date.now()) {
+  const id = `bucket:${key}`;
+  const refillPerMs = tier.perMinute / 60000;
+  let allowed = false;
+
+  const { tokens: remaining } = await getStore('limits').update(id, (bucket) => {
+    const { tokens: stored, updatedAt } = bucket || { tokens: tier.burst, updatedAt: now };
+    const tokens = Math.min(tier.burst, stored + (now - updatedAt) * refillPerMs);
+    allowed = tokens >= 1;
+    return { id, tokens: allowed ? tokens - 1 : tokens, updatedAt: now };
+  });
+
+  const msUntilToken = allowed ? 0 : Math.ceil((1 - remaining) / refillPerMs);
+  const msUntilFull = Math.ceil((tier.burst - remaining) / refillPerMs);
+  return {
+    allowed,
+    limit: tier.burst,
+    remaining: Math.floor(remaining),
+    reset: Math.ceil((now + msUntilFull) / 1000),
+    retryAfter: Math.ceil(msUntilToken / 1000)
+  };
+}
+
+function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function usageId(key, now) {
+  return `usage:${key}:${dayKey(now)}`;
+}
+
+function summarizeUsage(tier, used, now) {
+  return {
+    limit: tier.dailyAnalyses,
+    used,
+    remaining: Math.max(0, tier.dailyAnalyses - used),
+    resetsAt: new Date(nextMidnight(now)).toISOString()
+  };
+}
+
+// Today's usage. => { limit, used, remaining, resetsAt }
+async function getDailyUsage(key, tier, now = Date.now()) {
+  const record = await getStore('limits').get(usageId(key, now));
+  return summarizeUsage(tier, record?.count || 0, now);
+}
+
+// Take `cost` analyses from today's quota before doing the work. Check and
+// charge are one atomic update, so parallel requests can't all squeeze
+// under the cap. Call refund() if the work fails; it gives the analyses back
+// to the day they were taken from.
+// => { allowed, usage, refund }
+async function reserveUsage(key, tier, cost = 1, now = Date.now()) {
+  const store = getStore('limits');
+  const id = usageId(key, now);
+  let allowed = false;
+
+  const record = await store.update(id, (current) => {
+    const count = current?.count || 0;
+    allowed = count + cost <= tier.dailyAnalyses;
+    return { id, count: allowed ? count + cost : count, updatedAt: new Date(now).toISOString() };
+  });
+
+  let refunded = !allowed;
+  const refund = async () => {
+    if (refunded) return;
+    refunded = true;
+    await store.update(id, current => ({
+      id,
+      count: Math.max(0, (current?.count || 0) - cost),
+      updatedAt: new Date().toISOString()
+    }));
+  };
+
+  return { allowed, usage: summarizeUsage(tier, record.count, now), refund };
+}
+
+function setRateLimitHeaders(res, rate, usage) {
+  res.setHeader('X-RateLimit-Limit', String(rate.limit));
+  res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+  res.setHeader('X-RateLimit-Reset', String(rate.reset));
+  if (usage) {
+    res.setHeader('X-Quota-Limit', String(usage.limit));
+    res.setHeader('X-Quota-Remaining', String(usage.remaining));
+    res.setHeader('X-Quota-Reset', usage.resetsAt);
+  }
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(Math.max(1, rate.retryAfter)));
+  }
+}
+
+module.exports = {
+  TIERS,
+  getTier,
+  clientKey,
+  consumeToken,
+  getDailyUsage,
+  reserveUsage,
+  setRateLimitHeaders
+};
@@ -0,0 +1,197 @@
+// Marketplace listing copy: title, description, bullet features, dimensions
+// and search keywords for one item (or a lot of several).
+// A preset sets the length and tone and which marketplace's limits apply.
+// The model writes the copy (see listing-copy.js); templateCopy() is the
+// offline fallback and what new items start with.
+//
+// Copy looks like:
+//   { title, description, features: [string], dimensions, keywords: [string],
+//     text }   // description + features + dimensions, ready to paste
+const { getRegion } = require('./regions');
+
+// As in src/services/listingExport.js
+const MARKETPLACE_LIMITS = {
+  kijiji: { titleLimit: 64, descriptionLimit: 4000 },
+  facebook: { titleLimit: 150, descriptionLimit: 5000 }
+};
+
+const COPY_PRESETS = {
+  concise: {
+    id: 'concise',
+    label: 'Concise (Kijiji)',
+    marketplace: 'kijiji',
+    sentences: '2 or 3',
+    maxFeatures: 3,
+    maxKeywords: 6,
+    tone: 'plain and to the point'
+  },
+  detailed: {
+    id: 'detailed',
+    label: 'Detailed (Facebook Marketplace)',
+    marketplace: 'facebook',
+    sentences: '4 to 6',
+    maxFeatures: 6,
+    maxKeywords: 10,
+    tone: 'friendly and thorough, like a careful private seller'
+  },
+  lot: {
+    id: 'lot',
+    label: 'Bundle / lot',
+    marketplace: 'facebook',
+    sentences: '3 or 4',
+    maxFeatures: 10,
+    maxKeywords: 10,
+    tone: 'value-focused - everything goes together for one price'
+  }
+};
+
+const DEFAULT_PRESET = 'concise';
+
+// Left for the seller to fill in; the model only replaces it when it knows
+// the exact product's size
+const DIMENSIONS_PLACEHOLDER = '__ W x __ D x __ H in';
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'to', 'lot', 'items', 'item']);
+
+function getPreset(id) {
+  const preset = COPY_PRESETS[String(id || DEFAULT_PRESET).toLowerCase()];
+  if (!preset) {
+    throw new Error(`Unknown copy preset: ${id}`);
+  }
+  return preset;
+}
+
+// Lots (see src/services/bulkEdit.js) get the lot preset unless asked otherwise
+function presetFor(item, id) {
+  return getPreset(id || (item.lotItems?.length ? 'lot' : DEFAULT_PRESET));
+}
+
+// Cut at a word boundary so titles don't end mid-word
+function truncate(text, limit) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!limit || value.length <= limit) return value;
+  const cut = value.slice(0, limit - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > limit * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+}
+
+function composeText({ description, features, dimensions }) {
+  return [
+    description,
+    features.length ? features.map(feature => `• ${feature}`).join('\n') : null,
+    dimensions ? `Dimensions: ${dimensions}` : null
+  ].filter(Boolean).join('\n\n');
+}
+
+// Fit copy to the preset's marketplace: the title is cut, then features are
+// dropped from the end, and only then is the description itself cut
+function fitCopy(copy, preset) {
+  const { titleLimit, descriptionLimit } = MARKETPLACE_LIMITS[preset.marketplace];
+  const fitted = {
+    ...copy,
+    title: truncate(copy.title, titleLimit),
+    features: copy.features.slice(0, preset.maxFeatures),
+    keywords: copy.keywords.slice(0, preset.maxKeywords)
+  };
+  while (fitted.features.length && composeText(fitted).length > descriptionLimit) {
+    fitted.features = fitted.features.slice(0, -1);
+  }
+  const text = composeText(fitted);
+  return { ...fitted, text: text.length > descriptionLimit ? truncate(text, descriptionLimit) : text };
+}
+
+function keywordsFor(item) {
+  const words = [item.brand, item.model, item.name, item.category, ...(item.lotItems || []).map(lotItem => lotItem.name)]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+  return [...new Set(words)];
+}
+
+// Copy built from what we know about the item - no model involved
+function templateCopy(item, presetId, region = getRegion()) {
+  const preset = presetFor(item, presetId);
+  const name = item.name || 'Item';
+  const condition = item.condition || 'Good';
+  const lotItems = item.lotItems || [];
+  const maker = [item.brand, item.model].filter(Boolean).join(' ');
+
+  const sentences = lotItems.length
+    ? [
+      `${lotItems.length} items sold together: ${lotItems.map(lotItem => lotItem.name).join(', ')}.`,
+      'Priced as a set - cheaper than buying them one by one.'
+    ]
+    : [
+      `${condition} condition ${name.toLowerCase()}${maker && !name.toLowerCase().includes(maker.toLowerCase()) ? ` by ${maker}` : ''}.`,
+      item.ageYears ? `About ${item.ageYears} year${item.ageYears === 1 ? '' : 's'} old.` : null
+    ];
+  if (preset.id !== 'concise') {
+    sentences.push(`Pickup in ${region.location.split(',')[0]}. Message with any questions.`);
+  }
+
+  const features = lotItems.length
+    ? lotItems.map(lotItem => `${lotItem.name}${lotItem.condition ? ` - ${lotItem.condition}` : ''}`)
+    : [
+      item.brand ? `Brand: ${item.brand}` : null,
+      item.model ? `Model: ${item.model}` : null,
+      `Condition: ${condition}`,
+      item.ageYears ? `Age: about ${item.ageYears} years` : null
+    ].filter(Boolean);
+
+  // "Lot of 3 items" already says how many
+  let title = `${name} - ${condition} Condition`;
+  if (lotItems.length) {
+    title = /\d/.test(name) ? name : `${name} - ${lotItems.length} items`;
+  }
+
+  return fitCopy({
+    title,
+    description: sentences.filter(Boolean).join(' '),
+    features,
+    dimensions: lotItems.length ? null : DIMENSIONS_PLACEHOLDER,
+    keywords: keywordsFor(item)
+  }, preset);
+}
+
+function stringList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+// Check the model's copy; returns { copy } or { errors } (as in schema.js)
+function validateCopy(data, item, presetId) {
+  const preset = presetFor(item, presetId);
+  const source = data?.listing || data || {};
+  const errors = ['title', 'description']
+    .filter(field => typeof source[field] !== 'string' || !source[field].trim())
+    .map(field => ({ field, code: 'missing_field', message: `${field} is required` }));
+  if (errors.length) return { copy: null, errors };
+
+  return {
+    copy: fitCopy({
+      title: source.title.trim(),
+      description: source.description.trim(),
+      features: stringList(source.features),
+      dimensions: typeof source.dimensions === 'string' && source.dimensions.trim()
+        ? source.dimensions.trim()
+        : (item.lotItems?.length ? null : DIMENSIONS_PLACEHOLDER),
+      keywords: stringList(source.keywords).map(keyword => keyword.toLowerCase())
+    }, preset),
+    errors: []
+  };
+}
+
+module.exports = {
+  MARKETPLACE_LIMITS,
+  COPY_PRESETS,
+  DEFAULT_PRESET,
+  DIMENSIONS_PLACEHOLDER,
+  getPreset,
+  presetFor,
+  truncate,
+  fitCopy,
+  templateCopy,
+  validateCopy
+};
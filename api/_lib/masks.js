@@ -0,0 +1,79 @@
+// Segmentation masks with sharp - the server side of src/services/masks.js,
+// which the app shares with us. isolate.js cuts its cutouts out with these.
+const sharp = require('sharp');
+const masks = require('../../src/services/masks');
+
+async function readImage(src) {
+  if (src instanceof Uint8Array) return src;
+
+  const dataUrl = /^data:image\/[\w.+-]+;base64,(.*)$/i.exec(src);
+  if (dataUrl) return Buffer.from(dataUrl[1], 'base64');
+
+  if (/^https?:/i.test(src)) {
+    const response = await fetch(src);
+    if (!response.ok) {
+      throw new Error(`Failed to load mask image: ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  throw new Error('Failed to load mask image: unsupported source');
+}
+
+// Decode an image buffer, data URL or http(s) URL to RGBA pixels
+async function decodeImage(src) {
+  const { data, info } = await sharp(await readImage(src))
+    .toColourspace('srgb')
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// masks.loadMask, with mask images decoded by sharp
+function loadMask(source, options = {}) {
+  return masks.loadMask(source, { ...options, decodeImage });
+}
+
+// The mask as a greyscale PNG
+function maskToPng(mask) {
+  return sharp(Buffer.from(mask.data), { raw: { width: mask.width, height: mask.height, channels: 1 } })
+    .png()
+    .toBuffer();
+}
+
+// Transparent PNG of the upright photo with the mask as its alpha, trimmed to
+// the object unless `trim` is false. The mask must be the photo's size (load
+// it with the photo's width and height). Resolves { image, bounds }; rejects
+// when the mask has nothing in it.
+async function applyMask(photo, mask, { trim = true } = {}) {
+  const { data, info } = await sharp(photo).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  if (mask.width !== info.width || mask.height !== info.height) {
+    throw new Error(`Mask is ${mask.width}x${mask.height} but the photo is ${info.width}x${info.height}`);
+  }
+
+  const bounds = masks.maskBounds(mask);
+  if (!bounds) {
+    throw new Error('Mask is empty - nothing to cut out');
+  }
+
+  // sharp runs extract before joinChannel within one pipeline, so join first
+  const raw = { width: info.width, height: info.height, channels: 1 };
+  const rgba = await sharp(data, { raw: { ...raw, channels: 3 } })
+    .joinChannel(Buffer.from(mask.data), { raw })
+    .png()
+    .toBuffer();
+
+  const image = trim
+    ? await sharp(rgba).extract({ left: bounds.x, top: bounds.y, width: bounds.width, height: bounds.height }).png().toBuffer()
+    : rgba;
+  return { image, bounds };
+}
+
+module.exports = {
+  ...masks,
+  decodeImage,
+  loadMask,
+  maskToPng,
+  applyMask
+};
@@ -0,0 +1,85 @@
+// Recently analyzed photos, kept for a day so follow-up calls (see
+// analyze-region.js) can refer to a photo by id instead of uploading it again.
+// The bytes go to the `photos` blob store as uploaded; a small record in the
+// `photos` collection says whose photo it is and when it expires. Ids are the
+// content hash, so the same photo analyzed twice by a user is stored once.
+//
+// Expired photos are swept on save (at most every SWEEP_INTERVAL_MINUTES per
+// instance) whoever they belong to, so photos nobody asks for again don't
+// pile up. sweepExpiredPhotos() can also be run on a schedule.
+const crypto = require('crypto');
+const { getStore, getBlobStore } = require('./storage');
+
+const PHOTO_TTL_HOURS = 24;
+const SWEEP_INTERVAL_MINUTES = 10;
+
+let lastSweep = 0;
+
+function recordId(user, id) {
+  return `${user.id}:${id}`;
+}
+
+async function removePhoto(key) {
+  await getBlobStore('photos').remove(key);
+  await getStore('photos').remove(key);
+}
+
+// Remove every expired photo. => how many were removed
+async function sweepExpiredPhotos(now = Date.now()) {
+  const expired = (await getStore('photos').list()).filter(photo => new Date(photo.expiresAt) < now);
+  for (const photo of expired) {
+    await removePhoto(photo.id);
+  }
+  return expired.length;
+}
+
+// => the photo's id
+async function savePhoto(user, buffer) {
+  const id = `photo-${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 24)}`;
+  const key = recordId(user, id);
+  const now = Date.now();
+
+  // Bytes first, so a record never points at a missing photo
+  await getBlobStore('photos').put(key, buffer);
+  await getStore('photos').put({
+    id: key,
+    userId: user.id,
+    bytes: buffer.length,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + PHOTO_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  });
+
+  if (now - lastSweep > SWEEP_INTERVAL_MINUTES * 60 * 1000) {
+    lastSweep = now;
+    // A failed sweep is retried next time; the upload itself succeeded
+    await sweepExpiredPhotos(now).catch(error => console.error('Photo sweep failed:', error));
+  }
+  return id;
+}
+
+// The photo as a buffer. Throws 'Photo expired' for a photo past its day and
+// 'Photo not found' for one that was never saved or has already been swept.
+async function loadPhoto(user, id) {
+  const key = /^photo-[0-9a-f]{24}$/.test(String(id)) ? recordId(user, id) : null;
+  const photo = key ? await getStore('photos').get(key) : null;
+  if (!photo) {
+    throw new Error('Photo not found - upload it again');
+  }
+  if (new Date(photo.expiresAt) < new Date()) {
+    await removePhoto(key);
+    throw new Error('Photo expired - it is only kept for a day, upload it again');
+  }
+
+  const buffer = await getBlobStore('photos').get(key);
+  if (!buffer) {
+    throw new Error('Photo not found - upload it again');
+  }
+  return buffer;
+}
+
+module.exports = {
+  PHOTO_TTL_HOURS,
+  savePhoto,
+  loadPhoto,
+  sweepExpiredPhotos
+};
@@ -0,0 +1,234 @@
+// Comparable-sales pricing.
+// Every item is priced from sold listings in data/comparables.json (or the
+// JSON/CSV file named by PRICING_COMPS_FILE). Comps are matched on name,
+// category, brand, condition and age, adjusted to the item's condition and
+// age, and summarized as a low/median/high range. The model's own estimate
+// is blended in as one more input rather than taken as the answer.
+// Prices are moved between regions with each region's priceMultiplier.
+const fs = require('fs');
+const path = require('path');
+const { nameSimilarity } = require('./dedupe');
+const { getRegion, regionForLocation } = require('./regions');
+
+const MAX_COMPS = 8;
+const MIN_SIMILARITY = 0.35;
+const BEST_MATCH_RATIO = 0.8; // keep comps within 80% of the closest one
+const YEARLY_DEPRECIATION = 0.06;
+const MODEL_WEIGHT = 0.25;
+const COMP_WEIGHT = 0.15; // per comp, up to five comps
+
+// Resale value relative to an excellent-condition copy
+const CONDITION_FACTORS = { Excellent: 1, 'Very Good': 0.9, Good: 0.8, Fair: 0.65 };
+
+// Typical Calgary resale prices, used only when nothing comparable has sold
+const BASELINE_PRICES = {
+  sofa: 450,
+  chair: 125,
+  table: 250,
+  desk: 200,
+  dresser: 300,
+  bed: 400,
+  tv: 320,
+  laptop: 400,
+  bookshelf: 125,
+  lamp: 60,
+  mirror: 80,
+  nightstand: 100,
+  cabinet: 200,
+  furniture: 200,
+  appliance: 250,
+  electronics: 200,
+  lighting: 60,
+  decor: 40,
+  general: 50
+};
+
+let cachedComps = null;
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { row.push(cell); cell = ''; }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += char;
+  }
+  row.push(cell);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  const [header, ...records] = rows;
+  return records.map(record => Object.fromEntries(header.map((key, i) => [key.trim(), record[i]])));
+}
+
+function toComp(raw) {
+  const price = Number(raw.price);
+  if (!raw.title || !Number.isFinite(price) || price <= 0) return null;
+  const age = raw.ageYears === '' || raw.ageYears == null ? null : Number(raw.ageYears);
+  return {
+    title: String(raw.title),
+    category: String(raw.category || 'general').toLowerCase(),
+    brand: raw.brand ? String(raw.brand) : null,
+    condition: CONDITION_FACTORS[raw.condition] ? raw.condition : 'Good',
+    ageYears: Number.isFinite(age) ? age : null,
+    price,
+    soldAt: raw.soldAt || null,
+    location: raw.location || null
+  };
+}
+
+// Load comps from a .json ({ comps: [...] } or a bare array) or .csv file
+function loadComps(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const rows = path.extname(file).toLowerCase() === '.csv'
+    ? parseCsv(text)
+    : (data => (Array.isArray(data) ? data : data.comps || []))(JSON.parse(text));
+  return rows.map(toComp).filter(Boolean);
+}
+
+function getComps() {
+  if (!cachedComps) {
+    cachedComps = process.env.PRICING_COMPS_FILE
+      ? loadComps(path.resolve(process.env.PRICING_COMPS_FILE))
+      // require() so the bundled dataset ships with the serverless function
+      : require('./data/comparables.json').comps.map(toComp).filter(Boolean);
+    console.log(`Loaded ${cachedComps.length} comparable sales`);
+  }
+  return cachedComps;
+}
+
+function sameBrand(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// 0-1 match between an item and a sold comp; 0 rules it out
+function compSimilarity(item, comp) {
+  const category = String(item.category || 'general').toLowerCase();
+  if (category !== 'general' && comp.category !== category) return 0;
+
+  // A shared brand alone doesn't make an IKEA sofa a comp for an IKEA lamp
+  const name = nameSimilarity(item.name, comp.title);
+  if (!name) return 0;
+  const brand = sameBrand(item.brand, comp.brand);
+
+  const conditionGap = Math.abs(
+    Object.keys(CONDITION_FACTORS).indexOf(item.condition) - Object.keys(CONDITION_FACTORS).indexOf(comp.condition)
+  );
+  const age = item.ageYears != null && comp.ageYears != null
+    ? 1 - Math.min(1, Math.abs(item.ageYears - comp.ageYears) / 10)
+    : 0.5;
+  const brandScore = brand ? 1 : (item.brand && comp.brand ? 0 : 0.5);
+
+  return 0.5 * name + 0.2 * brandScore + 0.15 * (1 - conditionGap / 3) + 0.15 * age;
+}
+
+// Comp price moved to the item's condition, age and region
+function adjustPrice(item, comp, region) {
+  const soldIn = regionForLocation(comp.location);
+  let price = comp.price * region.priceMultiplier / (soldIn ? soldIn.priceMultiplier : 1);
+  price *= (CONDITION_FACTORS[item.condition] || CONDITION_FACTORS.Good) / CONDITION_FACTORS[comp.condition];
+  if (item.ageYears != null && comp.ageYears != null) {
+    const factor = (1 - YEARLY_DEPRECIATION) ** (item.ageYears - comp.ageYears);
+    price *= Math.min(1.5, Math.max(0.5, factor));
+  }
+  return price;
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function baselinePrice(item, region) {
+  const tokens = String(item.name || '').toLowerCase().split(/[^a-z]+/).map(token => token.replace(/s$/, ''));
+  const key = tokens.find(token => BASELINE_PRICES[token]) ||
+    (BASELINE_PRICES[String(item.category || '').toLowerCase()] ? String(item.category).toLowerCase() : 'general');
+  return BASELINE_PRICES[key] * region.priceMultiplier * (CONDITION_FACTORS[item.condition] || CONDITION_FACTORS.Good);
+}
+
+function findComparables(item, comps = getComps(), region = getRegion()) {
+  const matches = comps
+    .map(comp => ({ comp, similarity: compSimilarity(item, comp) }))
+    .filter(match => match.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity);
+  const cutoff = matches.length ? matches[0].similarity * BEST_MATCH_RATIO : 0;
+
+  return matches
+    .filter(match => match.similarity >= cutoff)
+    .slice(0, MAX_COMPS)
+    .map(({ comp, similarity }) => ({
+      ...comp,
+      adjustedPrice: Math.round(adjustPrice(item, comp, region)),
+      similarity: Number(similarity.toFixed(2))
+    }));
+}
+
+// Price one validated item ({ name, category, condition, brand?, ageYears?,
+// value? }). `value` is the model's estimate, if it gave one. Returns
+// { value, low, median, high, currency, method, modelEstimate, comps }.
+// Options: `region` (a regions.js entry, default region when unset) and
+// `comps` (defaults to the loaded dataset).
+function estimatePrice(item, { region = getRegion(), comps = getComps() } = {}) {
+  const matches = findComparables(item, comps, region);
+  const modelEstimate = Number.isFinite(item.value) ? item.value : null;
+  const inputs = [];
+
+  let low;
+  let median;
+  let high;
+  if (matches.length) {
+    const prices = matches.map(match => match.adjustedPrice).sort((a, b) => a - b);
+    low = quantile(prices, 0.25);
+    median = quantile(prices, 0.5);
+    high = quantile(prices, 0.75);
+    // One or two sales don't say much about the spread
+    if (matches.length < 3) {
+      low = Math.min(low, median * 0.85);
+      high = Math.max(high, median * 1.15);
+    }
+    inputs.push({ value: median, weight: COMP_WEIGHT * Math.min(matches.length, 5) });
+  } else {
+    median = baselinePrice(item, region);
+    low = median * 0.7;
+    high = median * 1.3;
+    inputs.push({ value: median, weight: 0.1 });
+  }
+  if (modelEstimate !== null) {
+    inputs.push({ value: modelEstimate, weight: MODEL_WEIGHT });
+  }
+
+  const totalWeight = inputs.reduce((sum, input) => sum + input.weight, 0);
+  const value = inputs.reduce((sum, input) => sum + input.value * input.weight, 0) / totalWeight;
+
+  return {
+    value: Math.round(value),
+    low: Math.round(Math.min(low, value)),
+    median: Math.round(median),
+    high: Math.round(Math.max(high, value)),
+    currency: region.currency,
+    method: matches.length ? 'comparables' : 'baseline',
+    modelEstimate,
+    comps: matches
+  };
+}
+
+module.exports = {
+  CONDITION_FACTORS,
+  loadComps,
+  findComparables,
+  estimatePrice
+};
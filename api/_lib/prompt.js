@@ -0,0 +1,133 @@
+// Shared analysis prompt - every provider gets the same instructions and schema.
+// `region` is an entry from regions.js.
+const { marketplaceNames } = require('./regions');
+const { MARKETPLACE_LIMITS, DIMENSIONS_PLACEHOLDER } = require('./listingCopy');
+
+function buildAnalysisPrompt({ region }) {
+  const { location, currency } = region;
+  const marketplaces = marketplaceNames(region);
+
+  return `You are an expert at identifying sellable items in home photos for the ${location} resale market.
+
+Analyze this room photo and identify ALL sellable items you can see. For each item, provide:
+1. name - be specific, e.g. "Wooden Office Desk" not just "desk"
+2. value - estimated resale value in ${currency} for the ${location} market, as a number
+3. condition - one of "Excellent", "Very Good", "Good", "Fair"
+4. confidence - 0 to 100
+5. category - e.g. furniture, electronics, lighting, decor, appliance
+6. brand - manufacturer if you can tell (e.g. "IKEA", "Samsung"), otherwise null
+7. ageYears - rough age in years if you can tell, otherwise null
+8. description - one or two sentences for a ${marketplaces} listing in ${location}
+9. boundingBox - percentages (0-100) of the image size:
+   - x: horizontal CENTER of the item (0 = far left, 100 = far right)
+   - y: vertical CENTER of the item (0 = top, 100 = bottom)
+   - width: width as percentage of image
+   - height: height as percentage of image
+
+Only include items worth at least 5 ${currency} resale. Focus on items that would sell well on ${marketplaces}.
+
+Return ONLY a JSON object with this exact structure:
+{
+  "items": [
+    {
+      "name": "IKEA MALM 6-Drawer Dresser",
+      "value": 250,
+      "condition": "Good",
+      "confidence": 85,
+      "category": "furniture",
+      "brand": "IKEA",
+      "ageYears": 4,
+      "description": "White six-drawer dresser with smooth-running drawers.",
+      "boundingBox": { "x": 50, "y": 60, "width": 40, "height": 35 }
+    }
+  ],
+  "roomType": "bedroom",
+  "insights": {
+    "quickWins": ["List the dresser first - highest value"]
+  }
+}`;
+}
+
+// One item, cropped from a room photo by the user - asks for more detail
+// than the room prompt since the model only has to look at one thing
+function buildRegionPrompt({ region }) {
+  const { location, currency } = region;
+  const marketplaces = marketplaceNames(region);
+
+  return `You are an expert at identifying and pricing second-hand items for the ${location} resale market.
+
+This image is cropped from a room photo around ONE item the owner wants to sell. Identify the main item in the center of the crop and provide:
+1. name - specific, including the model when you can tell, e.g. "IKEA POÄNG Armchair"
+2. brand - manufacturer, otherwise null
+3. model - model or product line, otherwise null
+4. category - e.g. furniture, electronics, lighting, decor, appliance
+5. condition - one of "Excellent", "Very Good", "Good", "Fair", judged from visible wear
+6. ageYears - rough age in years if you can tell, otherwise null
+7. value - estimated resale value in ${currency} for the ${location} market, as a number
+8. confidence - 0 to 100, how sure you are of the identification
+9. description - two or three sentences for a ${marketplaces} listing in ${location}: what it is, notable features, visible condition
+
+Return ONLY a JSON object with this exact structure:
+{
+  "item": {
+    "name": "IKEA POÄNG Armchair",
+    "brand": "IKEA",
+    "model": "POÄNG",
+    "category": "furniture",
+    "condition": "Good",
+    "ageYears": 6,
+    "value": 60,
+    "confidence": 80,
+    "description": "Bentwood armchair with a beige cushion. Frame is solid; cushion shows light wear."
+  }
+}`;
+}
+
+// Listing copy for an item we've already identified - text only, no photo.
+// `preset` is an entry from listingCopy.js.
+function buildListingCopyPrompt({ item, preset, region }) {
+  const { location, currency } = region;
+  const { titleLimit, descriptionLimit } = MARKETPLACE_LIMITS[preset.marketplace];
+  const details = {
+    name: item.name,
+    brand: item.brand || null,
+    model: item.model || null,
+    category: item.category || null,
+    condition: item.condition || null,
+    ageYears: item.ageYears ?? null,
+    price: item.value ?? null,
+    notes: item.description || null,
+    ...(item.lotItems?.length && {
+      lotItems: item.lotItems.map(({ name, condition, value }) => ({ name, condition, value }))
+    })
+  };
+
+  return `You write second-hand marketplace listings for sellers in ${location}.
+
+Write a listing for this ${item.lotItems?.length ? 'lot of items sold together' : 'item'} (prices in ${currency}):
+${JSON.stringify(details, null, 2)}
+
+Style: ${preset.tone}. Only state what the details support - don't invent defects, measurements or accessories.
+1. title - at most ${titleLimit} characters, leading with what buyers search for (brand, model, type)
+2. description - ${preset.sentences} sentences; the whole listing must stay under ${descriptionLimit} characters
+3. features - up to ${preset.maxFeatures} short bullet points${item.lotItems?.length ? ', one per item in the lot' : ''}
+4. dimensions - the real dimensions if you know this exact product, otherwise exactly "${DIMENSIONS_PLACEHOLDER}"${item.lotItems?.length ? ', or null for a lot' : ''}
+5. keywords - up to ${preset.maxKeywords} search terms buyers would type, lowercase
+
+Return ONLY a JSON object with this exact structure:
+{
+  "listing": {
+    "title": "IKEA MALM 6-Drawer Dresser - White",
+    "description": "White six-drawer dresser in good condition. Drawers run smoothly.",
+    "features": ["6 deep drawers", "Smooth-running drawers"],
+    "dimensions": "${DIMENSIONS_PLACEHOLDER}",
+    "keywords": ["dresser", "ikea malm", "bedroom storage"]
+  }
+}`;
+}
+
+module.exports = {
+  buildAnalysisPrompt,
+  buildRegionPrompt,
+  buildListingCopyPrompt
+};
@@ -0,0 +1,60 @@
+// Claude vision adapter
+const MODEL = 'claude-3-5-sonnet-20241022';
+const KEY_PREFIX = 'sk-ant-';
+
+// Helper function to validate API key
+function validateApiKey(apiKey) {
+  if (!apiKey || !apiKey.startsWith(KEY_PREFIX)) {
+    throw new Error('Invalid API key format');
+  }
+  return true;
+}
+
+async function analyze({ image, mimeType, prompt, apiKey }) {
+  // Prefer the user's own key, fall back to the server key
+  const key = apiKey || process.env.ClaudeKey;
+  if (!key) {
+    throw new Error('No API key provided');
+  }
+  validateApiKey(key);
+
+  // Loaded lazily so the other providers work without the Anthropic SDK installed
+  const { Anthropic } = require('@anthropic-ai/sdk');
+  const anthropic = new Anthropic({ apiKey: key });
+
+  const message = await anthropic.messages.create({
+    model: MODEL,
+    max_tokens: 4096,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          ...(image ? [{
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: mimeType,
+              data: image,
+            },
+          }] : []),
+          {
+            type: 'text',
+            text: prompt,
+          },
+        ],
+      },
+    ],
+  });
+
+  return message.content[0].text;
+}
+
+module.exports = {
+  name: 'claude',
+  label: 'Claude (Anthropic)',
+  // For the key settings in the app
+  keyPrefix: KEY_PREFIX,
+  keyUrl: 'https://console.anthropic.com/settings/keys',
+  analyze,
+  validateApiKey
+};
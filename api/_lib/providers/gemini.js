@@ -0,0 +1,44 @@
+// Gemini vision adapter
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const MODEL = 'gemini-1.5-pro';
+const KEY_PREFIX = 'AIza';
+
+// Helper function to validate API key
+function validateApiKey(apiKey) {
+  if (!apiKey || !apiKey.startsWith(KEY_PREFIX)) {
+    throw new Error('Invalid API key format');
+  }
+  return true;
+}
+
+async function analyze({ image, mimeType, prompt, apiKey }) {
+  // Prefer the user's own key, fall back to the server key
+  const geminiKey = apiKey || process.env.GEMINI_API_KEY;
+  if (!geminiKey) {
+    throw new Error('Missing Gemini key');
+  }
+
+  const genAI = new GoogleGenerativeAI(geminiKey);
+  const model = genAI.getGenerativeModel({ model: MODEL });
+
+  const imageData = {
+    inlineData: {
+      data: image,
+      mimeType: mimeType
+    }
+  };
+
+  const result = await model.generateContent(image ? [prompt, imageData] : [prompt]);
+  return (await result.response).text();
+}
+
+module.exports = {
+  name: 'gemini',
+  label: 'Gemini (Google)',
+  // For the key settings in the app
+  keyPrefix: KEY_PREFIX,
+  keyUrl: 'https://aistudio.google.com/app/apikey',
+  analyze,
+  validateApiKey
+};
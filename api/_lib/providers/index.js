@@ -0,0 +1,53 @@
+// Vision provider registry.
+// Every adapter exposes the same shape:
+//   name: string
+//   analyze({ image, mimeType, prompt, apiKey, task }) => Promise<string> (raw model text)
+// `image` (base64) is optional - without it the prompt is sent as text only.
+// `task` says what's being asked - analysis, region or listing; only the
+// mock and recordings use it.
+// Parsing and normalization happen once, in ../items.js, whatever the provider.
+const claude = require('./claude');
+const gemini = require('./gemini');
+const mock = require('./mock');
+const { recordingMode, withRecording } = require('./recording');
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const providers = {
+  [claude.name]: claude,
+  [gemini.name]: gemini,
+  [mock.name]: mock
+};
+
+// Pick a provider by request, then environment, then default.
+// With VISION_RECORDING set its answers are recorded or replayed.
+function getProvider(name) {
+  const key = String(name || process.env.VISION_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const provider = providers[key];
+  if (!provider) {
+    throw new Error(`Unknown vision provider: ${key}`);
+  }
+  const mode = recordingMode();
+  return mode && provider !== mock ? withRecording(provider, mode) : provider;
+}
+
+function listProviders() {
+  return Object.keys(providers);
+}
+
+// Providers users can bring their own key for, and the one analyses use
+// when the app doesn't ask for one
+function keyProviders() {
+  return {
+    defaultProvider: String(process.env.VISION_PROVIDER || DEFAULT_PROVIDER).toLowerCase(),
+    providers: Object.values(providers)
+      .filter(provider => provider.validateApiKey)
+      .map(({ name, label, keyPrefix, keyUrl }) => ({ name, label, keyPrefix, keyUrl }))
+  };
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  keyProviders
+};
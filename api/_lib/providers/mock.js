@@ -0,0 +1,85 @@
+// Local mock adapter - no network and no key, stable answers.
+// Useful for frontend work and for running the pipeline offline.
+//   analysis - the fixture for a photo from `test images/` (see
+//              ../data/mock-fixtures.json; matched by fingerprint, so resized
+//              uploads match too), otherwise MOCK_ANALYSIS
+//   region   - one fixture item, picked by the crop's fingerprint
+//   listing  - copy built from the item details in the prompt
+// For real model answers without the network, see recording.js.
+const { imageFingerprint, closestMatch } = require('../fingerprint');
+const { extractJson } = require('../schema');
+const { DIMENSIONS_PLACEHOLDER } = require('../listingCopy');
+const { fixtures } = require('../data/mock-fixtures.json');
+
+const MOCK_ANALYSIS = {
+  roomType: 'bedroom',
+  items: [
+    {
+      name: 'Wooden 6-Drawer Dresser',
+      value: 220,
+      condition: 'Good',
+      confidence: 90,
+      category: 'furniture',
+      description: 'Solid wood dresser with six drawers. Minor wear on the top surface.',
+      boundingBox: { x: 35, y: 60, width: 40, height: 35 }
+    },
+    {
+      name: 'Ceramic Table Lamp',
+      value: 45,
+      condition: 'Very Good',
+      confidence: 84,
+      category: 'lighting',
+      description: 'Ceramic base table lamp with linen shade. Works perfectly.',
+      boundingBox: { x: 72, y: 35, width: 14, height: 25 }
+    },
+    {
+      name: 'Framed Wall Mirror',
+      value: 60,
+      condition: 'Good',
+      confidence: 78,
+      category: 'decor',
+      description: 'Rectangular mirror in a black frame, ready to hang.',
+      boundingBox: { x: 35, y: 22, width: 26, height: 28 }
+    }
+  ],
+  insights: {
+    quickWins: ['List the dresser first - highest value', 'Bundle the lamp and mirror']
+  }
+};
+
+// Every item we could answer with, for region requests
+const ITEM_POOL = [...fixtures.flatMap(fixture => fixture.analysis.items), ...MOCK_ANALYSIS.items];
+
+function mockListing(prompt) {
+  const { data: item } = extractJson(prompt);
+  const name = item?.name || 'Item';
+  const condition = item?.condition || 'Good';
+  return {
+    listing: {
+      title: [item?.brand && !name.includes(item.brand) ? item.brand : null, name, `- ${condition}`].filter(Boolean).join(' '),
+      description: `${condition} condition ${name.toLowerCase()}.${item?.notes ? ` ${item.notes}` : ''}`,
+      features: item?.lotItems?.map(lotItem => lotItem.name) || [`Condition: ${condition}`],
+      dimensions: item?.lotItems ? null : DIMENSIONS_PLACEHOLDER,
+      keywords: name.toLowerCase().split(/\s+/).filter(word => word.length > 2)
+    }
+  };
+}
+
+async function analyze({ image, prompt, task = 'analysis' }) {
+  if (task === 'listing' || !image) {
+    return JSON.stringify(mockListing(prompt));
+  }
+
+  const fingerprint = await imageFingerprint(image);
+  if (task === 'region') {
+    return JSON.stringify({ item: ITEM_POOL[parseInt(fingerprint.slice(0, 8), 16) % ITEM_POOL.length] });
+  }
+
+  const fixture = closestMatch(fingerprint, fixtures);
+  return JSON.stringify(fixture ? fixture.analysis : MOCK_ANALYSIS);
+}
+
+module.exports = {
+  name: 'mock',
+  analyze
+};
@@ -0,0 +1,96 @@
+// Record and replay real provider answers, for developing offline.
+// VISION_RECORDING=record  calls the provider as usual and saves every answer
+// VISION_RECORDING=replay  answers from the saved recordings; never calls out
+// Recordings are JSON files in VISION_RECORDINGS_DIR (default
+// ./.data/recordings), one per answer:
+//   { task, provider, sha256, fingerprint, promptHash, recordedAt, response }
+// They hold hashes of the image and prompt, never the image itself.
+//
+// Replay wants the same task and prompt (so the same region and preset), and
+// the same image: exact bytes first, then the nearest fingerprint, so a photo
+// re-uploaded from a browser that resized it differently still matches.
+const fs = require('fs/promises');
+const path = require('path');
+const { sha256, imageFingerprint, closestMatch } = require('../fingerprint');
+
+const MODES = ['record', 'replay'];
+
+function recordingMode() {
+  const mode = process.env.VISION_RECORDING;
+  if (!mode) return null;
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown recording mode: ${mode} (use ${MODES.join(' or ')})`);
+  }
+  return mode;
+}
+
+function recordingsDir() {
+  return process.env.VISION_RECORDINGS_DIR || path.join(process.cwd(), '.data', 'recordings');
+}
+
+async function recordingKey({ image, prompt, task = 'analysis' }) {
+  const buffer = image ? Buffer.from(image, 'base64') : null;
+  return {
+    task,
+    sha256: buffer ? sha256(buffer) : null,
+    fingerprint: buffer ? await imageFingerprint(buffer) : null,
+    promptHash: sha256(prompt).slice(0, 16)
+  };
+}
+
+async function loadRecordings() {
+  const dir = recordingsDir();
+  const files = await fs.readdir(dir).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+  return Promise.all(
+    files.filter(file => file.endsWith('.json')).map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')))
+  );
+}
+
+async function findRecording(key, providerName) {
+  const candidates = (await loadRecordings())
+    .filter(recording => recording.task === key.task && recording.promptHash === key.promptHash)
+    // Newest first, this provider's before others'
+    .sort((a, b) => String(b.recordedAt).localeCompare(String(a.recordedAt)))
+    .sort((a, b) => (b.provider === providerName) - (a.provider === providerName));
+
+  if (!key.sha256) return candidates.find(recording => !recording.sha256) || null;
+  return candidates.find(recording => recording.sha256 === key.sha256) || closestMatch(key.fingerprint, candidates);
+}
+
+async function saveRecording(recording) {
+  const dir = recordingsDir();
+  await fs.mkdir(dir, { recursive: true });
+  const name = `${recording.task}-${(recording.sha256 || recording.promptHash).slice(0, 16)}-${recording.promptHash.slice(0, 8)}.json`;
+  await fs.writeFile(path.join(dir, name), JSON.stringify(recording, null, 2));
+}
+
+// The provider, answering from (or saving to) recordings
+function withRecording(provider, mode) {
+  return {
+    ...provider,
+    async analyze(request) {
+      const key = await recordingKey(request);
+
+      if (mode === 'replay') {
+        const recording = await findRecording(key, provider.name);
+        if (!recording) {
+          throw new Error(`No recorded response for this ${key.task} request - record one with VISION_RECORDING=record`);
+        }
+        return recording.response;
+      }
+
+      const response = await provider.analyze(request);
+      await saveRecording({ ...key, provider: provider.name, recordedAt: new Date().toISOString(), response });
+      return response;
+    }
+  };
+}
+
+module.exports = {
+  recordingMode,
+  recordingsDir,
+  withRecording
+};
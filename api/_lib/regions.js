@@ -0,0 +1,107 @@
+// Region registry - everything that depends on where the seller lives.
+// A region sets the location named in prompts, the currency and locale used
+// for prices, which marketplaces listings are exported for, a price
+// multiplier against the Calgary-based comparables and baselines, and when
+// each category sells best.
+//
+// Add a region by adding an entry here; clients get the list from /api/regions.
+const MARKETPLACE_LABELS = {
+  kijiji: 'Kijiji',
+  facebook: 'Facebook Marketplace'
+};
+
+const REGIONS = {
+  calgary: {
+    id: 'calgary',
+    label: 'Calgary, AB',
+    location: 'Calgary, Canada',
+    currency: 'CAD',
+    locale: 'en-CA',
+    marketplaces: ['kijiji', 'facebook'],
+    // Comparables and baseline prices are Calgary sales
+    priceMultiplier: 1,
+    seasonality: {
+      furniture: 'Spring (March-May) - Moving season',
+      outdoor: 'Spring (April-June) - Yard season',
+      default: 'Year-round'
+    }
+  },
+  edmonton: {
+    id: 'edmonton',
+    label: 'Edmonton, AB',
+    location: 'Edmonton, Canada',
+    currency: 'CAD',
+    locale: 'en-CA',
+    marketplaces: ['kijiji', 'facebook'],
+    priceMultiplier: 0.95,
+    seasonality: {
+      furniture: 'Late summer (August-September) - Students moving in',
+      outdoor: 'Spring (April-June) - Yard season',
+      default: 'Year-round'
+    }
+  },
+  vancouver: {
+    id: 'vancouver',
+    label: 'Vancouver, BC',
+    location: 'Vancouver, Canada',
+    currency: 'CAD',
+    locale: 'en-CA',
+    // Marketplace first - Kijiji is much quieter on the coast
+    marketplaces: ['facebook', 'kijiji'],
+    priceMultiplier: 1.15,
+    seasonality: {
+      furniture: 'Summer (June-September) - Lease turnover',
+      outdoor: 'Early spring (March-May)',
+      default: 'Year-round'
+    }
+  }
+};
+
+const DEFAULT_REGION_ID = 'calgary';
+
+function getRegion(id) {
+  const regionId = id || process.env.DEFAULT_REGION || DEFAULT_REGION_ID;
+  const region = REGIONS[String(regionId).toLowerCase()];
+  if (!region) {
+    throw new Error(`Unknown region: ${regionId}`);
+  }
+  return region;
+}
+
+function listRegions() {
+  return Object.values(REGIONS);
+}
+
+// Find the region a free-text location (e.g. a comp's "Calgary, AB") is in
+function regionForLocation(location) {
+  const text = String(location || '').toLowerCase();
+  return listRegions().find(region => text.includes(region.id)) || null;
+}
+
+// "Kijiji or Facebook Marketplace"
+function marketplaceNames(region) {
+  const names = region.marketplaces.map(id => MARKETPLACE_LABELS[id] || id);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+function bestSeason(region, category) {
+  return region.seasonality[String(category || '').toLowerCase()] || region.seasonality.default;
+}
+
+function formatPrice(region, value) {
+  return Number(value || 0).toLocaleString(region.locale, {
+    style: 'currency',
+    currency: region.currency,
+    maximumFractionDigits: 0
+  });
+}
+
+module.exports = {
+  DEFAULT_REGION_ID,
+  getRegion,
+  listRegions,
+  regionForLocation,
+  marketplaceNames,
+  bestSeason,
+  formatPrice
+};
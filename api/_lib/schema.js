@@ -0,0 +1,397 @@
+// Schema validation and repair for model item output.
+// Models wrap JSON in prose and code fences, leave trailing commas, mix
+// fraction and percent boxes and quote prices as "$250". We fix what can be
+// fixed safely, record every fix, and reject the rest with typed errors.
+//
+// Error / repair entries look like { field, code, message }.
+// Error codes: invalid_json, missing_field, invalid_type, invalid_enum, out_of_range
+const { CONDITIONS, determineCondition } = require('./items');
+
+const DEFAULT_CONFIDENCE = 85;
+
+// Common condition wording mapped onto our enum
+const CONDITION_ALIASES = {
+  'new': 'Excellent',
+  'like new': 'Excellent',
+  'mint': 'Excellent',
+  'excellent': 'Excellent',
+  'very good': 'Very Good',
+  'great': 'Very Good',
+  'good': 'Good',
+  'used': 'Good',
+  'fair': 'Fair',
+  'worn': 'Fair',
+  'poor': 'Fair'
+};
+
+function issue(field, code, message) {
+  return { field, code, message };
+}
+
+// Find the first complete JSON object or array, respecting strings,
+// so trailing prose containing braces doesn't get swallowed
+function findJsonBlock(text) {
+  const start = text.search(/[[{]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      if (stack.pop() !== ch) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+// Drop commas directly before a closing brace or bracket. Walks the text
+// like findJsonBlock so commas inside string values are left alone.
+function stripTrailingCommas(json) {
+  let out = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < json.length; i++) {
+    const ch = json[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === ',') {
+      let next = i + 1;
+      while (/\s/.test(json[next] || '')) next++;
+      if (json[next] === '}' || json[next] === ']') continue;
+    }
+    out += ch;
+  }
+  return out;
+}
+
+// Parse the model's free text into { data, repairs, error }
+function extractJson(text) {
+  const repairs = [];
+  let cleaned = String(text || '');
+
+  if (/```/.test(cleaned)) {
+    cleaned = cleaned.replace(/```(?:json)?\s*/gi, '');
+    repairs.push(issue('response', 'code_fence', 'Removed markdown code fences'));
+  }
+  if (/[“”]/.test(cleaned)) {
+    cleaned = cleaned.replace(/[“”]/g, '"');
+    repairs.push(issue('response', 'smart_quotes', 'Replaced curly quotes'));
+  }
+
+  let block = findJsonBlock(cleaned);
+  if (!block) {
+    return { data: null, repairs, error: issue('response', 'invalid_json', 'No complete JSON object or array found') };
+  }
+
+  const withoutTrailingCommas = stripTrailingCommas(block);
+  if (withoutTrailingCommas !== block) {
+    block = withoutTrailingCommas;
+    repairs.push(issue('response', 'trailing_comma', 'Removed trailing commas'));
+  }
+
+  try {
+    return { data: JSON.parse(block), repairs, error: null };
+  } catch (err) {
+    return { data: null, repairs, error: issue('response', 'invalid_json', err.message) };
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') {
+    const parsed = parseFloat(value.replace(/[^0-9.-]+/g, ''));
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+function validateName(raw, errors) {
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    errors.push(issue('name', 'missing_field', 'Item has no name'));
+    return null;
+  }
+  return raw.name.trim();
+}
+
+function validateValue(raw, repairs, errors) {
+  // Older prompts used estimatedValue or price instead of value
+  const source = raw.value ?? raw.estimatedValue ?? raw.price;
+
+  // No model estimate is fine - pricing.js works from comparables alone
+  if (source === undefined || source === null || source === '') {
+    repairs.push(issue('value', 'missing_field', 'No price from model, priced from comparables only'));
+    return null;
+  }
+
+  // "$200 - $300" -> midpoint
+  if (typeof source === 'string' && /\d\s*(-|–|to)\s*\$?\d/.test(source)) {
+    const [low, high] = source.split(/-|–|to/).map(toNumber);
+    if (low !== null && high !== null) {
+      const midpoint = (low + high) / 2;
+      repairs.push(issue('value', 'invalid_type', `Used midpoint of price range "${source}"`));
+      return midpoint;
+    }
+  }
+
+  const value = toNumber(source);
+  if (value === null) {
+    errors.push(issue('value', 'invalid_type', `Price "${source}" is not a number`));
+    return null;
+  }
+  if (typeof source !== 'number') {
+    repairs.push(issue('value', 'invalid_type', `Parsed price "${source}" as ${value}`));
+  }
+  if (value < 0) {
+    errors.push(issue('value', 'out_of_range', `Price ${value} is negative`));
+    return null;
+  }
+  return value;
+}
+
+// Brand and age are optional pricing hints; bad values are dropped, not fatal
+function validateBrand(raw, repairs) {
+  if (raw.brand === undefined || raw.brand === null) return null;
+  const brand = String(raw.brand).trim();
+  if (!brand || /^(unknown|generic|none|n\/a|unbranded)$/i.test(brand)) {
+    repairs.push(issue('brand', 'invalid_type', `Dropped placeholder brand "${raw.brand}"`));
+    return null;
+  }
+  return brand;
+}
+
+function validateModel(raw, repairs) {
+  if (raw.model === undefined || raw.model === null) return null;
+  const model = String(raw.model).trim();
+  if (!model || /^(unknown|generic|none|n\/a)$/i.test(model)) {
+    repairs.push(issue('model', 'invalid_type', `Dropped placeholder model "${raw.model}"`));
+    return null;
+  }
+  return model;
+}
+
+function validateAge(raw, repairs) {
+  if (raw.ageYears === undefined || raw.ageYears === null || raw.ageYears === '') return null;
+  const age = toNumber(raw.ageYears);
+  if (age === null || age < 0) {
+    repairs.push(issue('ageYears', 'invalid_type', `Dropped unusable age "${raw.ageYears}"`));
+    return null;
+  }
+  if (typeof raw.ageYears !== 'number') {
+    repairs.push(issue('ageYears', 'invalid_type', `Parsed age "${raw.ageYears}" as ${age}`));
+  }
+  return age;
+}
+
+function validateConfidence(raw, repairs, errors) {
+  if (raw.confidence === undefined || raw.confidence === null) {
+    repairs.push(issue('confidence', 'missing_field', `No confidence from model, defaulted to ${DEFAULT_CONFIDENCE}`));
+    return DEFAULT_CONFIDENCE;
+  }
+
+  let confidence = toNumber(raw.confidence);
+  if (confidence === null) {
+    errors.push(issue('confidence', 'invalid_type', `Confidence "${raw.confidence}" is not a number`));
+    return null;
+  }
+  if (typeof raw.confidence !== 'number') {
+    repairs.push(issue('confidence', 'invalid_type', `Parsed confidence "${raw.confidence}" as ${confidence}`));
+  }
+  // 0.85 -> 85
+  if (confidence > 0 && confidence <= 1) {
+    confidence *= 100;
+    repairs.push(issue('confidence', 'out_of_range', 'Converted fractional confidence to percent'));
+  }
+  if (confidence < 0 || confidence > 100) {
+    errors.push(issue('confidence', 'out_of_range', `Confidence ${confidence} is outside 0-100`));
+    return null;
+  }
+  return confidence;
+}
+
+function validateCondition(raw, confidence, repairs, errors) {
+  if (CONDITIONS.includes(raw.condition)) return raw.condition;
+
+  if (raw.condition === undefined || raw.condition === null || raw.condition === '') {
+    const derived = determineCondition(confidence ?? DEFAULT_CONFIDENCE);
+    repairs.push(issue('condition', 'missing_field', `No condition from model, derived "${derived}"`));
+    return derived;
+  }
+
+  const alias = CONDITION_ALIASES[String(raw.condition).trim().toLowerCase()];
+  if (alias) {
+    repairs.push(issue('condition', 'invalid_enum', `Mapped condition "${raw.condition}" to "${alias}"`));
+    return alias;
+  }
+
+  errors.push(issue('condition', 'invalid_enum', `Condition "${raw.condition}" is not one of ${CONDITIONS.join(', ')}`));
+  return null;
+}
+
+// Boxes must be percent (0-100) with x/y at the item's center
+function validateBoundingBox(raw, repairs, errors) {
+  let box = raw.boundingBox;
+
+  if (!box) {
+    errors.push(issue('boundingBox', 'missing_field', 'Item has no bounding box'));
+    return null;
+  }
+
+  // [x, y, width, height]
+  if (Array.isArray(box) && box.length === 4) {
+    box = { x: box[0], y: box[1], width: box[2], height: box[3] };
+    repairs.push(issue('boundingBox', 'invalid_type', 'Converted box array to object'));
+  }
+
+  const keys = ['x', 'y', 'width', 'height'];
+  const parsed = {};
+  for (const key of keys) {
+    const value = toNumber(box[key]);
+    if (value === null) {
+      errors.push(issue('boundingBox', 'invalid_type', `Box ${key} "${box[key]}" is not a number`));
+      return null;
+    }
+    if (typeof box[key] !== 'number') {
+      repairs.push(issue('boundingBox', 'invalid_type', `Parsed box ${key} "${box[key]}" as ${value}`));
+    }
+    parsed[key] = value;
+  }
+
+  // Fractions of the image (0-1) instead of percent
+  if (keys.every(key => parsed[key] >= 0 && parsed[key] <= 1)) {
+    keys.forEach(key => { parsed[key] *= 100; });
+    repairs.push(issue('boundingBox', 'out_of_range', 'Converted fractional box to percent'));
+  }
+
+  if (parsed.width <= 0 || parsed.height <= 0 || parsed.width > 100 || parsed.height > 100) {
+    errors.push(issue('boundingBox', 'out_of_range', `Box size ${parsed.width}x${parsed.height} is outside 0-100%`));
+    return null;
+  }
+  if (parsed.x < 0 || parsed.x > 100 || parsed.y < 0 || parsed.y > 100) {
+    errors.push(issue('boundingBox', 'out_of_range', `Box center (${parsed.x}, ${parsed.y}) is outside the image`));
+    return null;
+  }
+
+  // Edges spilling past the frame: clip each edge, keeping the part inside
+  const left = Math.max(0, parsed.x - parsed.width / 2);
+  const right = Math.min(100, parsed.x + parsed.width / 2);
+  const top = Math.max(0, parsed.y - parsed.height / 2);
+  const bottom = Math.min(100, parsed.y + parsed.height / 2);
+  if (right - left < parsed.width || bottom - top < parsed.height) {
+    parsed.x = (left + right) / 2;
+    parsed.y = (top + bottom) / 2;
+    parsed.width = right - left;
+    parsed.height = bottom - top;
+    repairs.push(issue('boundingBox', 'out_of_range', 'Clamped box edges to the image'));
+  }
+  if (parsed.width <= 0 || parsed.height <= 0) {
+    errors.push(issue('boundingBox', 'out_of_range', 'Box has no area inside the image'));
+    return null;
+  }
+
+  return parsed;
+}
+
+// Validate one raw item. Returns { item, repairs, errors };
+// item is null whenever errors is non-empty.
+function validateItem(raw) {
+  const repairs = [];
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(issue('item', 'invalid_type', 'Item is not an object'));
+    return { item: null, repairs, errors };
+  }
+
+  const name = validateName(raw, errors);
+  const value = validateValue(raw, repairs, errors);
+  const confidence = validateConfidence(raw, repairs, errors);
+  const condition = validateCondition(raw, confidence, repairs, errors);
+  const boundingBox = validateBoundingBox(raw, repairs, errors);
+  const brand = validateBrand(raw, repairs);
+  const model = validateModel(raw, repairs);
+  const ageYears = validateAge(raw, repairs);
+
+  if (errors.length) {
+    return { item: null, repairs, errors };
+  }
+
+  return {
+    item: { ...raw, name, value, confidence, condition, boundingBox, brand, model, ageYears },
+    repairs,
+    errors
+  };
+}
+
+// Validate a full model response.
+// Returns { items, itemErrors, repairs, parseError, roomType, insights } where
+// items carry their own repairs and itemErrors lists every rejected item.
+function validateAnalysis(text) {
+  const { data, repairs, error } = extractJson(text);
+
+  if (error) {
+    return { items: [], itemErrors: [], repairs, parseError: error };
+  }
+
+  // Accept either { items: [...] } or a bare array
+  const rawItems = Array.isArray(data) ? data : data.items;
+  if (!Array.isArray(rawItems)) {
+    return {
+      items: [],
+      itemErrors: [],
+      repairs,
+      parseError: issue('items', 'missing_field', 'Response has no items array')
+    };
+  }
+
+  const items = [];
+  const itemErrors = [];
+
+  rawItems.forEach((raw, index) => {
+    const result = validateItem(raw);
+    if (result.item) {
+      items.push({ ...result.item, repairs: result.repairs });
+    } else {
+      itemErrors.push({ index, name: raw?.name || null, errors: result.errors });
+    }
+  });
+
+  return {
+    items,
+    itemErrors,
+    repairs,
+    parseError: null,
+    roomType: Array.isArray(data) ? undefined : data.roomType,
+    insights: Array.isArray(data) ? undefined : data.insights
+  };
+}
+
+// A box on its own, e.g. one drawn by a user. Returns { box, repairs, errors }
+function validateBox(box) {
+  const repairs = [];
+  const errors = [];
+  return { box: validateBoundingBox({ boundingBox: box }, repairs, errors), repairs, errors };
+}
+
+module.exports = {
+  extractJson,
+  validateBox,
+  validateItem,
+  validateAnalysis
+};
@@ -0,0 +1,45 @@
+// Encryption at rest for user-supplied provider keys.
+// AES-256-GCM with a random IV per secret. The key comes from SECRETS_KEY
+// (any string; it is hashed to 32 bytes). Without it, storing a secret fails
+// rather than silently writing the key in the clear.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+function getKey() {
+  const secret = process.env.SECRETS_KEY;
+  if (!secret) {
+    throw new Error('Missing SECRETS_KEY - cannot store keys encrypted');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// => "iv.tag.ciphertext", each part base64url
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, ciphertext] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  if (!iv || !tag || !ciphertext) {
+    throw new Error('Malformed secret');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// "sk-ant-…c3Xy" - enough to recognise a key without revealing it
+function maskSecret(plaintext) {
+  const value = String(plaintext || '');
+  return value.length > 12 ? `${value.slice(0, 7)}…${value.slice(-4)}` : '••••';
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  maskSecret
+};
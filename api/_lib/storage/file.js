@@ -0,0 +1,105 @@
+// File storage adapter - one JSON file per record. Meant for local dev.
+const fs = require('fs');
+const path = require('path');
+const { createKeyedLock, lockFile } = require('./lock');
+
+function createFileAdapter(dir) {
+  const fileFor = (id) => path.join(dir, `${encodeURIComponent(id)}.json`);
+  const withLock = createKeyedLock();
+
+  const ensureDir = async () => {
+    await fs.promises.mkdir(dir, { recursive: true });
+  };
+
+  const read = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  // Write then rename so a crash never leaves half a record behind
+  const write = async (record) => {
+    await ensureDir();
+    const tmp = `${fileFor(record.id)}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record));
+    await fs.promises.rename(tmp, fileFor(record.id));
+    return record;
+  };
+
+  return {
+    name: 'file',
+    async list() {
+      await ensureDir();
+      const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json'));
+      return Promise.all(files.map(async (file) =>
+        JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'))
+      ));
+    },
+    async get(id) {
+      return read(id);
+    },
+    async put(record) {
+      return write(record);
+    },
+    async remove(id) {
+      try {
+        await fs.promises.unlink(fileFor(id));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+    // fn gets the current record (or null) and returns the one to store.
+    // Locked per id, across processes too, so concurrent updates don't
+    // overwrite each other.
+    async update(id, fn) {
+      return withLock(id, async () => {
+        await ensureDir();
+        const release = await lockFile(`${fileFor(id)}.lock`);
+        try {
+          return await write(await fn(await read(id)));
+        } finally {
+          await release();
+        }
+      });
+    }
+  };
+}
+
+// Raw bytes by id, one file each, for what would bloat a JSON record (photos)
+function createFileBlobAdapter(dir) {
+  const fileFor = (id) => path.join(dir, `${encodeURIComponent(id)}.bin`);
+
+  return {
+    name: 'file',
+    async get(id) {
+      try {
+        return await fs.promises.readFile(fileFor(id));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async put(id, buffer) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(id)}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, fileFor(id));
+    },
+    async remove(id) {
+      try {
+        await fs.promises.unlink(fileFor(id));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    }
+  };
+}
+
+module.exports = { createFileAdapter, createFileBlobAdapter };
@@ -0,0 +1,60 @@
+// Storage adapters for server-side records.
+// Every adapter exposes: list(), get(id), put(record), remove(id), and
+// update(id, fn) - an atomic read-modify-write of one record.
+// Blob stores (getBlobStore) keep raw bytes instead: get(id), put(id, buffer),
+// remove(id).
+// Pick one with INVENTORY_STORAGE (file | memory); the file adapter writes
+// to INVENTORY_DIR (default ./.data/<collection>).
+//
+// Users, sessions, keys and photos live here too, so there is no silent
+// default in production (VERCEL or NODE_ENV=production): the working
+// directory is read-only on Vercel and not shared between instances.
+// Locally it defaults to file.
+const path = require('path');
+const { createFileAdapter, createFileBlobAdapter } = require('./file');
+const { createMemoryAdapter, createMemoryBlobAdapter } = require('./memory');
+
+const stores = {};
+const blobStores = {};
+
+function storageKind() {
+  if (process.env.INVENTORY_STORAGE) return process.env.INVENTORY_STORAGE;
+  if (process.env.VERCEL || process.env.NODE_ENV === 'production') {
+    throw new Error(
+      'INVENTORY_STORAGE is not set - production needs it chosen explicitly ' +
+      '(file with INVENTORY_DIR on persistent, shared storage, or memory for throwaway demos)'
+    );
+  }
+  return 'file';
+}
+
+function createAdapter(collection, { memory, file }) {
+  const kind = storageKind();
+  if (kind === 'memory') return memory();
+  if (kind === 'file') {
+    const root = process.env.INVENTORY_DIR || path.join(process.cwd(), '.data');
+    return file(path.join(root, collection));
+  }
+  throw new Error(`Unknown storage adapter: ${kind}`);
+}
+
+// One adapter per collection, created on first use
+function getStore(collection) {
+  if (!stores[collection]) {
+    stores[collection] = createAdapter(collection, { memory: createMemoryAdapter, file: createFileAdapter });
+  }
+  return stores[collection];
+}
+
+// Blobs live beside the records, under `<collection>-blobs`
+function getBlobStore(collection) {
+  if (!blobStores[collection]) {
+    blobStores[collection] = createAdapter(`${collection}-blobs`, {
+      memory: createMemoryBlobAdapter,
+      file: createFileBlobAdapter
+    });
+  }
+  return blobStores[collection];
+}
+
+module.exports = { getStore, getBlobStore };
@@ -0,0 +1,51 @@
+// Per-id locks for read-modify-write updates.
+// createKeyedLock() runs the functions given for one id one after another in
+// this process; lockFile() adds a lock file so other processes sharing the
+// same directory wait their turn too.
+const fs = require('fs');
+
+const LOCK_RETRY_MS = 15;
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 10000; // a lock this old was left by a crashed process
+
+function createKeyedLock() {
+  const tails = new Map();
+
+  return function withLock(id, fn) {
+    const previous = tails.get(id) || Promise.resolve();
+    const result = previous.then(() => fn());
+    const tail = result.catch(() => {});
+    tails.set(id, tail);
+    tail.then(() => {
+      if (tails.get(id) === tail) tails.delete(id);
+    });
+    return result;
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves a release function once `path` is ours
+async function lockFile(path) {
+  const started = Date.now();
+
+  for (;;) {
+    try {
+      await (await fs.promises.open(path, 'wx')).close();
+      return () => fs.promises.unlink(path).catch(() => {});
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    const stat = await fs.promises.stat(path).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+      await fs.promises.unlink(path).catch(() => {});
+    } else if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error(`Storage busy - could not lock ${path}`);
+    } else {
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+}
+
+module.exports = { createKeyedLock, lockFile };
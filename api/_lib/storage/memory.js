@@ -0,0 +1,52 @@
+// In-memory storage adapter - lost on restart. Useful for tests and previews.
+const { createKeyedLock } = require('./lock');
+
+function createMemoryAdapter() {
+  const records = new Map();
+  const withLock = createKeyedLock();
+
+  return {
+    name: 'memory',
+    async list() {
+      return [...records.values()];
+    },
+    async get(id) {
+      return records.get(id) || null;
+    },
+    async put(record) {
+      records.set(record.id, record);
+      return record;
+    },
+    async remove(id) {
+      return records.delete(id);
+    },
+    // fn gets the current record (or null) and returns the one to store
+    async update(id, fn) {
+      return withLock(id, async () => {
+        const record = await fn(records.get(id) || null);
+        records.set(id, record);
+        return record;
+      });
+    }
+  };
+}
+
+// Raw bytes by id, for what would bloat a JSON record (photos)
+function createMemoryBlobAdapter() {
+  const blobs = new Map();
+
+  return {
+    name: 'memory',
+    async get(id) {
+      return blobs.get(id) || null;
+    },
+    async put(id, buffer) {
+      blobs.set(id, Buffer.from(buffer));
+    },
+    async remove(id) {
+      return blobs.delete(id);
+    }
+  };
+}
+
+module.exports = { createMemoryAdapter, createMemoryBlobAdapter };
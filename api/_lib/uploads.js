@@ -0,0 +1,207 @@
+// Request bodies for routes that take photos.
+// `multipart/form-data` uploads are streamed to a temp directory with busboy,
+// so a photo is never held as base64 text, with limits on file size, file
+// count and type. Everything else is read as JSON, the legacy path where
+// photos are base64 strings (routes using this turn off Vercel's bodyParser).
+//
+// Errors thrown here use messages the routes map to status codes:
+//   'Upload too large'        -> 413
+//   'Unsupported file type'   -> 415
+//   'Too many files'          -> 400
+//   'Invalid request body'    -> 400
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const Busboy = require('busboy');
+
+// What sharp and the providers take; the web app converts HEIC before upload
+const UPLOAD_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const MB = 1024 * 1024;
+const DEFAULT_LIMITS = {
+  maxFileBytes: 10 * MB,
+  maxFiles: 8,
+  maxFieldBytes: 64 * 1024,
+  maxJsonBytes: 50 * MB
+};
+
+function isMultipart(req) {
+  return String(req.headers?.['content-type'] || '').toLowerCase().startsWith('multipart/form-data');
+}
+
+// Magic bytes, so a renamed file can't slip past the declared type
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'image/png';
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// Stream the files of a multipart request to disk.
+// => { fields, files: [{ field, filename, mimeType, path, size }], cleanup() }
+// Call cleanup() once the files have been read, whatever happened.
+async function parseMultipart(req, options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options };
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pyckit-upload-'));
+  const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true });
+
+  const fields = {};
+  const files = [];
+  const writes = [];
+  const outputs = [];
+
+  try {
+    await new Promise((resolve, reject) => {
+      let busboy;
+      try {
+        busboy = Busboy({
+          headers: req.headers,
+          limits: {
+            fileSize: limits.maxFileBytes,
+            files: limits.maxFiles,
+            fieldSize: limits.maxFieldBytes
+          }
+        });
+      } catch (error) {
+        reject(new Error(`Invalid request body: ${error.message}`));
+        return;
+      }
+
+      const fail = (error) => {
+        outputs.forEach(output => output.destroy());
+        req.unpipe(busboy);
+        req.resume(); // drain the rest so the connection can close
+        reject(error);
+      };
+
+      busboy.on('field', (name, value) => {
+        fields[name] = value;
+      });
+
+      busboy.on('file', (field, stream, { filename, mimeType }) => {
+        if (!UPLOAD_TYPES.includes(mimeType)) {
+          stream.resume();
+          fail(new Error(`Unsupported file type: ${mimeType} (use ${UPLOAD_TYPES.join(', ')})`));
+          return;
+        }
+
+        const file = { field, filename, mimeType, path: path.join(dir, `${files.length}`), size: 0 };
+        files.push(file);
+        stream.on('data', chunk => { file.size += chunk.length; });
+        stream.on('limit', () => {
+          fail(new Error(`Upload too large: ${filename || field} is over ${Math.round(limits.maxFileBytes / MB)} MB`));
+        });
+        const output = fs.createWriteStream(file.path);
+        outputs.push(output);
+        const write = pipeline(stream, output);
+        write.catch(() => {}); // a failed upload is reported by fail(); don't leave it unhandled
+        writes.push(write);
+      });
+
+      busboy.on('filesLimit', () => fail(new Error(`Too many files (max ${limits.maxFiles})`)));
+      busboy.on('error', error => fail(new Error(`Invalid request body: ${error.message}`)));
+      busboy.on('close', resolve);
+
+      req.pipe(busboy);
+    });
+    await Promise.all(writes);
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+
+  return { fields, files, cleanup };
+}
+
+// Read an uploaded temp file, checking its bytes match an allowed type
+async function readUploadedFile(file) {
+  const buffer = await fs.promises.readFile(file.path);
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw new Error(`Unsupported file type: ${file.filename || file.field} is not a JPEG, PNG, WebP or GIF image`);
+  }
+  return buffer;
+}
+
+// The JSON body - already parsed in dev servers and tests, read here otherwise
+async function readJsonBody(req, options = {}) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? parseJson(req.body) : (req.body || {});
+  }
+
+  const { maxJsonBytes } = { ...DEFAULT_LIMITS, ...options };
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxJsonBytes) {
+      throw new Error(`Upload too large: request body is over ${Math.round(maxJsonBytes / MB)} MB`);
+    }
+    chunks.push(chunk);
+  }
+  return size ? parseJson(Buffer.concat(chunks).toString('utf8')) : {};
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('Invalid request body: expected JSON');
+  }
+}
+
+// Photos as buffers plus the other fields, from a multipart upload (files in
+// any field) or a JSON body with base64 `image` or `images`.
+// Multipart fields arrive as strings; see jsonField and flagField.
+// => { photos: [Buffer], body }
+async function readPhotoRequest(req, { maxFileBytes, maxFiles } = {}) {
+  if (isMultipart(req)) {
+    const { fields, files, cleanup } = await parseMultipart(req, { maxFileBytes, maxFiles });
+    try {
+      const photos = [];
+      for (const file of files) {
+        photos.push(await readUploadedFile(file));
+      }
+      return { photos, body: fields };
+    } finally {
+      await cleanup();
+    }
+  }
+
+  const { image, images, ...body } = await readJsonBody(req);
+  const encoded = Array.isArray(images) && images.length ? images : [image].filter(Boolean);
+  return {
+    photos: encoded.map(photo => Buffer.from(String(photo).replace(/^data:[^,]*,/, ''), 'base64')),
+    body
+  };
+}
+
+// An object field: as sent in JSON bodies, or a JSON string from a form
+function jsonField(value, name) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid request body: \`${name}\` must be JSON`);
+  }
+}
+
+// A boolean field: true/false in JSON, 'true'/'false' from a form
+function flagField(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || value === 'true';
+}
+
+module.exports = {
+  UPLOAD_TYPES,
+  isMultipart,
+  sniffImageType,
+  parseMultipart,
+  readUploadedFile,
+  readJsonBody,
+  readPhotoRequest,
+  jsonField,
+  flagField
+};
@@ -0,0 +1,229 @@
+// analyze-region.js - identify one item in part of a photo.
+// For corrections: the user draws (or fixes) a box and asks what's in it,
+// without re-analyzing the whole room. Send either the photo itself (as in
+// analyze.js: a multipart `image` file or base64 `image`) or the `photoId`
+// analyze.js returned (kept for a day: an expired id is a 410, an unknown or
+// swept one a 404 - send the photo itself then), plus:
+//   box        - { x, y, width, height } in percent, x/y at the center
+//   provider   - optional, as in analyze.js
+//   region     - optional market id (see _lib/regions.js)
+//   itemId     - optional id to give the result, e.g. the item being fixed
+//   photoIndex - optional, copied onto the item
+//
+// Returns one normalized item (see _lib/items.js) with a brand/model guess,
+// condition, comparable-sales price range (`pricing`), description and the
+// crop the model saw as `image`. Costs one analysis from the daily quota.
+const { getProvider } = require('./_lib/providers');
+const { buildRegionPrompt } = require('./_lib/prompt');
+const { normalizeItem } = require('./_lib/items');
+const { extractJson, validateBox, validateItem } = require('./_lib/schema');
+const { percentBoxToPixels, roundBox, getSafeCropBox, loadImage, cropImage } = require('./_lib/crop');
+const { estimatePrice } = require('./_lib/pricing');
+const { getRegion } = require('./_lib/regions');
+const { requireUser, getUserKey } = require('./_lib/auth');
+const { applyCors } = require('./_lib/cors');
+const {
+  getTier,
+  clientKey,
+  consumeToken,
+  getDailyUsage,
+  reserveUsage,
+  setRateLimitHeaders
+} = require('./_lib/limits');
+const { readPhotoRequest, jsonField } = require('./_lib/uploads');
+const { loadPhoto } = require('./_lib/photos');
+
+// The model may answer { item }, { items: [item] } or a bare item
+function pickItem(data) {
+  if (Array.isArray(data)) return data[0];
+  if (data?.item) return data.item;
+  if (Array.isArray(data?.items)) return data.items[0];
+  return data;
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, 'OPTIONS,POST');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let reservation = null;
+
+  try {
+    const user = await requireUser(req);
+
+    const tier = getTier(user);
+    const limitKey = clientKey(req, user);
+    const rate = await consumeToken(limitKey, tier);
+    const usage = await getDailyUsage(limitKey, tier);
+    setRateLimitHeaders(res, rate, usage);
+
+    if (!rate.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: `Too many requests. Try again in ${rate.retryAfter} seconds.`,
+        retryAfter: rate.retryAfter,
+        usage
+      });
+    }
+
+    const { photos, body } = await readPhotoRequest(req, { maxFileBytes: tier.maxImageBytes, maxFiles: 1 });
+    const { box, repairs: boxRepairs, errors: boxErrors } = validateBox(jsonField(body.box, 'box'));
+    if (!box) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid box: ${boxErrors.map(error => error.message).join('; ')}`
+      });
+    }
+
+    if (!photos.length && !body.photoId) {
+      return res.status(400).json({ success: false, error: 'No image provided' });
+    }
+
+    const image = photos[0] || await loadPhoto(user, body.photoId);
+    if (image.length > tier.maxImageBytes) {
+      return res.status(413).json({
+        success: false,
+        error: `Photo is too large (max ${Math.round(tier.maxImageBytes / 1024 / 1024)} MB on the ${tier.name} plan)`
+      });
+    }
+
+    // Charge the quota up front; refunded below if nothing is identified
+    reservation = await reserveUsage(limitKey, tier, 1);
+    if (!reservation.allowed) {
+      const { usage: today } = reservation;
+      const retryAfter = Math.ceil((new Date(today.resetsAt) - Date.now()) / 1000);
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Daily limit reached - ${today.remaining} of ${today.limit} analyses left today`,
+        retryAfter,
+        usage: today
+      });
+    }
+
+    const provider = getProvider(body.provider);
+    const apiKey = getUserKey(user, provider.name);
+    const region = getRegion(body.region);
+
+    // Same crop as analyze.js, so the model sees the item with some context
+    const source = await loadImage(image);
+    const pixelBox = roundBox(percentBoxToPixels(box, source.width, source.height));
+    const cropBox = getSafeCropBox(pixelBox, source.width, source.height);
+    const crop = await cropImage(source.buffer, cropBox);
+
+    console.log(`Identifying region (${cropBox.width}x${cropBox.height}) with ${provider.name}...`);
+    const responseText = await provider.analyze({
+      image: crop.toString('base64'),
+      mimeType: 'image/jpeg',
+      apiKey,
+      prompt: buildRegionPrompt({ region }),
+      task: 'region'
+    });
+
+    const { data, error: parseError } = extractJson(responseText);
+    if (parseError) {
+      console.error('Failed to parse model response:', parseError.message);
+      await reservation.refund();
+      return res.status(502).json({ success: false, error: 'The AI response could not be read', parseError });
+    }
+
+    // The user's box stands; the model only says what's in it
+    const { item, repairs, errors } = validateItem({ ...pickItem(data), boundingBox: box });
+    if (!item) {
+      await reservation.refund();
+      return res.status(422).json({
+        success: false,
+        error: 'Could not identify an item in that area',
+        itemErrors: errors
+      });
+    }
+
+    const pricing = estimatePrice(item, { region });
+    const normalized = normalizeItem({ ...item, value: pricing.value, pricing }, 0, region);
+
+    const usageAfter = reservation.usage;
+    res.setHeader('X-Quota-Remaining', String(usageAfter.remaining));
+
+    res.status(200).json({
+      success: true,
+      provider: provider.name,
+      region: region.id,
+      currency: region.currency,
+      item: {
+        ...normalized,
+        id: body.itemId || `item-region-${Date.now().toString(36)}`,
+        photoIndex: Number(body.photoIndex) || 0,
+        pixelBox,
+        cropBox,
+        image: `data:image/jpeg;base64,${crop.toString('base64')}`,
+        repairs: [...boxRepairs, ...repairs]
+      },
+      usage: { ...usageAfter, tier: tier.name }
+    });
+
+  } catch (error) {
+    console.error('Region analysis error:', error);
+
+    if (reservation) {
+      await reservation.refund().catch(refundError => console.error('Failed to refund quota:', refundError));
+    }
+
+    let errorMessage = 'Analysis failed';
+    let statusCode = 500;
+
+    if (error.message.includes('Unauthorized')) {
+      errorMessage = error.message;
+      statusCode = 401;
+    } else if (error.message.includes('Photo not found')) {
+      errorMessage = error.message;
+      statusCode = 404;
+    } else if (error.message.includes('Photo expired')) {
+      errorMessage = error.message;
+      statusCode = 410;
+    } else if (error.message.includes('Upload too large')) {
+      errorMessage = error.message;
+      statusCode = 413;
+    } else if (error.message.includes('Unsupported file type')) {
+      errorMessage = error.message;
+      statusCode = 415;
+    } else if (error.message.includes('Too many files') || error.message.includes('Invalid request body')) {
+      errorMessage = error.message;
+      statusCode = 400;
+    } else if (error.message.includes('Unknown vision provider') || error.message.includes('Unknown region')) {
+      errorMessage = error.message;
+      statusCode = 400;
+    } else if (error.message.includes('No recorded response')) {
+      errorMessage = error.message;
+      statusCode = 502;
+    } else if (error.message.includes('No API key provided') || error.message.includes('Missing Gemini key')) {
+      errorMessage = error.message;
+      statusCode = 400;
+    } else if (error.message.includes('rate_limit')) {
+      errorMessage = 'API rate limit exceeded. Please try again later.';
+      statusCode = 429;
+    } else if (error.message.includes('invalid_api_key') || error.message.includes('Invalid API key')) {
+      errorMessage = 'Invalid API key. Please check your API key.';
+      statusCode = 401;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Bodies are read by _lib/uploads.js so multipart uploads can stream
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
@@ -1,74 +1,215 @@
-import Anthropic from '@anthropic-ai/sdk';
+// analyze.js - single analyze route for every vision provider.
+// The provider comes from the request body (`provider`), then VISION_PROVIDER,
+// then defaults to Gemini. Items always come back in the normalized schema
+// described in _lib/items.js. Items the model got wrong beyond repair are
+// listed in `itemErrors` rather than dropped silently.
+//
+// Set `isolate: true` (or SERVER_ISOLATION=true) to also get background-removed
+// cutouts and studio shots; `studio` overrides the backdrop within limits
+// (see STUDIO_LIMITS in _lib/isolate.js) - anything else is a 400.
+//
+// Send `images` instead of `image` to analyze several photos of one room as a
+// session: items seen in more than one photo are merged (see _lib/dedupe.js)
+// and carry every view in `angles`.
+//
+// Photos are best sent as `multipart/form-data` - one or more files in
+// `image`/`images`, the other options as fields (`studio` as JSON) - and are
+// streamed to disk with size and type limits (see _lib/uploads.js). A JSON
+// body with base64 `image`/`images` still works as the legacy path.
+//
+// Photos are kept for a day (see _lib/photos.js); `photoIds` lists their ids
+// so analyze-region.js can look at part of a photo without a re-upload.
+//
+// `region` (see _lib/regions.js) sets the market used for prompts, prices and
+// seasonality; it defaults to DEFAULT_REGION, then Calgary.
+//
+// Requests need a signed-in session (see _lib/auth.js). The provider key is
+// the user's own saved key when they have one, otherwise the server's; keys
+// in the request body are ignored.
+//
+// Calls are throttled per user and capped per day by tier (see _lib/limits.js);
+// responses carry X-RateLimit-* and X-Quota-* headers and a `usage` summary.
+//
+// Send `Accept: text/event-stream` to get progress as Server-Sent Events
+// (see _lib/events.js): received, model, identified, item, priced, crop,
+// isolated, merged, then `result` with the usual body (or `error`).
+const { getProvider } = require('./_lib/providers');
+const { buildAnalysisPrompt } = require('./_lib/prompt');
+const { normalizeItem, calculateTotalValue } = require('./_lib/items');
+const { validateAnalysis } = require('./_lib/schema');
+const { detectMimeType, percentBoxToPixels, roundBox, getSafeCropBox, loadImage, cropImage } = require('./_lib/crop');
+const { isolateItem, validateStudio } = require('./_lib/isolate');
+const { imageSignature, mergeDuplicates } = require('./_lib/dedupe');
+const { estimatePrice } = require('./_lib/pricing');
+const { getRegion, formatPrice } = require('./_lib/regions');
+const { requireUser, getUserKey } = require('./_lib/auth');
+const { applyCors } = require('./_lib/cors');
+const {
+  getTier,
+  clientKey,
+  consumeToken,
+  getDailyUsage,
+  reserveUsage,
+  setRateLimitHeaders
+} = require('./_lib/limits');
+const { wantsEventStream, createEventStream, silentStream } = require('./_lib/events');
+const { readPhotoRequest, jsonField, flagField } = require('./_lib/uploads');
+const { savePhoto } = require('./_lib/photos');
 
-// Helper function to validate API key
-function validateApiKey(apiKey) {
-  if (!apiKey || !apiKey.startsWith('sk-ant-')) {
-    throw new Error('Invalid API key format');
-  }
-  return true;
-}
+const MAX_PHOTOS = 8;
 
-// Helper function to generate Calgary market prices
-function generateCalgaryPrice(itemType) {
-  const priceRanges = {
-    'sofa': { min: 200, max: 850, avg: 450 },
-    'chair': { min: 50, max: 300, avg: 125 },
-    'table': { min: 100, max: 600, avg: 250 },
-    'desk': { min: 75, max: 400, avg: 200 },
-    'dresser': { min: 150, max: 500, avg: 300 },
-    'bed': { min: 200, max: 800, avg: 400 },
-    'tv': { min: 150, max: 600, avg: 320 },
-    'laptop': { min: 200, max: 800, avg: 400 },
-    'bookshelf': { min: 50, max: 250, avg: 125 },
-    'lamp': { min: 20, max: 150, avg: 60 },
-    'mirror': { min: 30, max: 200, avg: 80 },
-    'nightstand': { min: 40, max: 200, avg: 100 },
-    'cabinet': { min: 100, max: 400, avg: 200 },
-    'appliance': { min: 100, max: 500, avg: 250 },
-    'electronics': { min: 50, max: 400, avg: 200 }
-  };
-
-  const range = priceRanges[itemType.toLowerCase()] || priceRanges['electronics'];
-  return Math.floor(range.avg * (0.8 + Math.random() * 0.4)); // ±20% variance
-}
+// Crop every item out of the oriented upload. Each item keeps its percent box
+// and gains `pixelBox` (the detection) and `cropBox` (the padded crop), both
+// top-left pixels in the oriented image, so clients can check the crop.
+// `onCropped` is called with each item as its crop finishes.
+async function cropItems(source, items, onCropped = () => {}) {
+  const { buffer, width: imgWidth, height: imgHeight } = source;
+
+  return Promise.all(items.map(async (item) => {
+    const pixelBox = roundBox(percentBoxToPixels(item.boundingBox, imgWidth, imgHeight));
+
+    try {
+      // Get safe crop box with padding and size constraints
+      const cropBox = getSafeCropBox(pixelBox, imgWidth, imgHeight);
+
+      console.log(`Cropping ${item.name}: (${cropBox.x}, ${cropBox.y}) → (${cropBox.x + cropBox.width}, ${cropBox.y + cropBox.height})`);
+
+      const cropped = await cropImage(buffer, cropBox);
 
-// Helper function to determine condition
-function determineCondition(confidence) {
-  if (confidence > 90) return 'Excellent';
-  if (confidence > 80) return 'Very Good';
-  if (confidence > 70) return 'Good';
-  return 'Fair';
+      const croppedItem = {
+        ...item,
+        pixelBox,
+        cropBox,
+        image: `data:image/jpeg;base64,${cropped.toString('base64')}`
+      };
+      onCropped(croppedItem);
+      return croppedItem;
+    } catch (err) {
+      console.error(`Crop failed for ${item.name}: ${err.message}`);
+      onCropped({ ...item, pixelBox });
+      return { ...item, pixelBox };
+    }
+  }));
 }
 
-// Helper function to generate descriptions
-function generateItemDescription(item) {
-  const descriptions = {
-    'dresser': `${item.condition || 'Good'} condition dresser with ample storage space. Perfect for bedroom organization.`,
-    'vase': `Beautiful decorative vase in ${item.condition || 'good'} condition. Adds elegance to any room.`,
-    'lamp': `Modern table lamp in ${item.condition || 'good'} working condition. Provides excellent ambient lighting.`,
-    'plant': `Healthy ${item.name || 'plant'} that adds natural beauty to your space.`,
-    'default': `Quality ${item.name || 'item'} in ${item.condition || 'good'} condition. Well-maintained and ready for a new home.`
-  };
-
-  // Find matching description
-  for (const [key, desc] of Object.entries(descriptions)) {
-    if (item.name?.toLowerCase().includes(key)) {
-      return desc;
+// Optional isolation stage: cut each cropped item out of its background and
+// place it on a studio backdrop. Adds `cutout` (transparent PNG),
+// `studioImage` (JPEG) and `isolation` ({ method, coverage }).
+async function isolateItems(source, items, studioOptions, onIsolated = () => {}) {
+  const results = [];
+  // One at a time - each stage holds a few decoded copies of the crop
+  for (const item of items) {
+    if (!item.cropBox) {
+      results.push(item);
+      continue;
+    }
+    try {
+      const isolated = await isolateItem(source, item, studioOptions);
+      if (!isolated) throw new Error('Empty foreground mask');
+
+      console.log(`Isolated ${item.name} (${isolated.method}, coverage ${isolated.coverage})`);
+      const isolatedItem = {
+        ...item,
+        cutout: `data:image/png;base64,${isolated.cutout.toString('base64')}`,
+        studioImage: `data:image/jpeg;base64,${isolated.studioImage.toString('base64')}`,
+        isolation: { method: isolated.method, coverage: isolated.coverage }
+      };
+      onIsolated(isolatedItem);
+      results.push(isolatedItem);
+    } catch (err) {
+      console.error(`Isolation failed for ${item.name}: ${err.message}`);
+      results.push(item);
     }
   }
-  
-  return descriptions.default;
+  return results;
 }
 
-export default async function handler(req, res) {
+// Identify, crop and (optionally) isolate the items in one photo.
+// Returns { source, analysis, items }; items carry `photoIndex`, and a
+// visual `signature` when they still need matching against other photos.
+// `emit(event, data)` reports progress (see _lib/events.js).
+async function analyzePhoto(image, photoIndex, { provider, apiKey, region, isolate, studio, withSignatures, emit }) {
+  const mimeType = detectMimeType(image);
+
+  // Send the model the upright image so its boxes match our crops
+  const source = await loadImage(image);
+  console.log(`Photo ${photoIndex + 1} is ${source.width}x${source.height} (EXIF orientation ${source.orientation})`);
+
+  console.log(`Analyzing ${mimeType} image with ${provider.name}...`);
+  emit('model', { photoIndex, provider: provider.name, imageWidth: source.width, imageHeight: source.height });
+
+  const responseText = await provider.analyze({
+    image: (source.orientation === 1 ? image : source.buffer).toString('base64'),
+    mimeType,
+    apiKey,
+    prompt: buildAnalysisPrompt({ region }),
+    task: 'analysis'
+  });
+
+  const analysis = validateAnalysis(responseText);
+  if (analysis.parseError) {
+    console.error('Failed to parse model response:', analysis.parseError.message);
+    console.log('Raw response:', responseText);
+  }
+  emit('identified', { photoIndex, itemCount: analysis.items.length, rejected: analysis.itemErrors.length });
+  analysis.items.forEach((item, index) => emit('item', {
+    photoIndex,
+    id: `item-${index + 1}`,
+    name: item.name,
+    category: item.category,
+    confidence: item.confidence,
+    boundingBox: item.boundingBox
+  }));
+
+  // The model's price is one input; comparable sales decide the rest
+  const items = analysis.items.map((item, index) => {
+    const pricing = estimatePrice(item, { region });
+    return { ...normalizeItem({ ...item, value: pricing.value, pricing }, index, region), photoIndex };
+  });
+  emit('priced', {
+    photoIndex,
+    items: items.map(({ id, name, value, pricing }) => ({ id, name, value, low: pricing.low, high: pricing.high }))
+  });
+
+  console.log(`${provider.name} identified ${items.length} items (${analysis.itemErrors.length} rejected)`);
+
+  const croppedItems = await cropItems(source, items, item => emit('crop', {
+    photoIndex,
+    id: item.id,
+    name: item.name,
+    value: item.value,
+    image: item.image || null
+  }));
+  let processedItems = isolate
+    ? await isolateItems(source, croppedItems, studio, item => emit('isolated', {
+      photoIndex,
+      id: item.id,
+      name: item.name,
+      studioImage: item.studioImage
+    }))
+    : croppedItems;
+
+  if (withSignatures) {
+    processedItems = await Promise.all(processedItems.map(async (item) => {
+      try {
+        return { ...item, signature: await imageSignature(source.buffer, item.pixelBox) };
+      } catch (err) {
+        console.error(`Signature failed for ${item.name}: ${err.message}`);
+        return item;
+      }
+    }));
+  }
+
+  return { source, analysis, items: processedItems };
+}
+
+module.exports = async function handler(req, res) {
   // Enable CORS
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
+  applyCors(req, res, 'OPTIONS,POST');
+
+  // Progress events only start once the request has passed every check
+  const stream = wantsEventStream(req) ? createEventStream(res) : silentStream;
+  const emit = (event, data) => stream.send(event, data);
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -81,187 +222,196 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let reservation = null;
+
   try {
-    const { image, apiKey, roomType = 'unknown' } = req.body;
+    const user = await requireUser(req);
+
+    // Throttle before reading the upload, then check today's quota and photo
+    // sizes for the user's tier
+    const tier = getTier(user);
+    const limitKey = clientKey(req, user);
+    const rate = await consumeToken(limitKey, tier);
+    const usage = await getDailyUsage(limitKey, tier);
+    setRateLimitHeaders(res, rate, usage);
+
+    if (!rate.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: `Too many requests. Try again in ${rate.retryAfter} seconds.`,
+        retryAfter: rate.retryAfter,
+        usage
+      });
+    }
+
+    // One photo in `image`, or several photos of the same room in `images`
+    // Multipart files are capped at the tier's photo size as they stream in
+    const { photos, body: options } = await readPhotoRequest(req, {
+      maxFileBytes: tier.maxImageBytes,
+      maxFiles: MAX_PHOTOS
+    });
+    const { provider: providerName, region: regionId, roomType = 'unknown' } = options;
+    const studio = validateStudio(jsonField(options.studio, 'studio'));
+    const isolate = flagField(options.isolate) ?? process.env.SERVER_ISOLATION === 'true';
 
     // Validate inputs
-    if (!image) {
-      return res.status(400).json({ error: 'No image provided' });
+    if (!photos.length) {
+      return res.status(400).json({ success: false, error: 'No image provided' });
+    }
+    if (photos.length > MAX_PHOTOS) {
+      return res.status(400).json({ success: false, error: `Too many photos (max ${MAX_PHOTOS})` });
+    }
+    const oversized = photos.findIndex(photo => photo.length > tier.maxImageBytes);
+    if (oversized !== -1) {
+      return res.status(413).json({
+        success: false,
+        error: `Photo ${oversized + 1} is too large (max ${Math.round(tier.maxImageBytes / 1024 / 1024)} MB on the ${tier.name} plan)`
+      });
     }
 
-    if (!apiKey) {
-      return res.status(400).json({ error: 'No API key provided' });
+    // Charge the quota up front; the catch below refunds it if the analysis fails
+    reservation = await reserveUsage(limitKey, tier, photos.length);
+    if (!reservation.allowed) {
+      const { usage: today } = reservation;
+      const retryAfter = Math.ceil((new Date(today.resetsAt) - Date.now()) / 1000);
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Daily limit reached - ${today.remaining} of ${today.limit} analyses left today`,
+        retryAfter,
+        usage: today
+      });
     }
 
-    // Validate API key format
-    validateApiKey(apiKey);
+    const provider = getProvider(providerName);
+    const apiKey = getUserKey(user, provider.name);
+    const region = getRegion(regionId);
+    const { location } = region;
+    const session = photos.length > 1;
 
-    // Initialize Anthropic client with user's API key
-    const anthropic = new Anthropic({
-      apiKey: apiKey,
+    emit('received', {
+      photos: photos.length,
+      bytes: photos.reduce((sum, photo) => sum + photo.length, 0),
+      provider: provider.name,
+      region: region.id
     });
 
-    console.log('Analyzing image with Claude...');
-
-    // Create the analysis prompt
-    const prompt = `You are an expert at identifying sellable items in home photos for the Calgary, Alberta market. 
-
-Analyze this room photo and identify ALL sellable items you can see. For each item, provide:
-1. Item name (be specific, e.g., "Wooden Office Desk" not just "desk")
-2. Estimated value in Canadian dollars for the Calgary Alberta market
-3. Condition assessment
-4. Bounding box coordinates as percentages (0-100) where:
-   - x: horizontal position from left edge (0 = far left, 100 = far right)
-   - y: vertical position from top edge (0 = top, 100 = bottom)
-   - width: width as percentage of image
-   - height: height as percentage of image
-5. Confidence level (0-100)
-
-IMPORTANT: Bounding box coordinates must be percentages between 0 and 100.
-
-Focus on items that would sell well on Kijiji Calgary or Facebook Marketplace.
-
-Return your response as a JSON object with this exact structure:
-{
-  "items": [
-    {
-      "name": "IKEA MALM 6-Drawer Dresser",
-      "value": 250,
-      "condition": "Good",
-      "confidence": 85,
-      "boundingBox": {
-        "x": 20,
-        "y": 40,
-        "width": 60,
-        "height": 40
-      },
-      "category": "furniture",
-      "sellability": "High demand in Calgary market"
+    // One photo at a time - keeps memory flat and the provider unhurried
+    const results = [];
+    for (let i = 0; i < photos.length; i++) {
+      results.push(await analyzePhoto(photos[i], i, {
+        provider,
+        apiKey,
+        region,
+        isolate,
+        studio,
+        withSignatures: session,
+        emit
+      }));
     }
-  ],
-  "roomType": "bedroom",
-  "insights": {
-    "quickWins": ["List dresser first - highest value", "Plant adds appeal to room photos"]
-  }
-}
-  "roomType": "bedroom",
-  "insights": {
-    "quickWins": ["List item 1 first - highest demand", "Bundle items 2 and 3 for better value"]
-  }
-}`;
-
-    // Call Claude API
-    const message = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 4096,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/jpeg',
-                data: image,
-              },
-            },
-            {
-              type: 'text',
-              text: prompt,
-            },
-          ],
-        },
-      ],
-    });
 
-    // Parse Claude's response
-    const responseText = message.content[0].text;
-    let analysisResult;
+    // The same item seen in several photos becomes one item with several angles
+    const processedItems = session
+      ? mergeDuplicates(results.map(result => result.items))
+      : results[0].items;
+    const totalValue = calculateTotalValue(processedItems);
+    const [first] = results;
 
-    try {
-      // Try to parse JSON from response
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysisResult = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No valid JSON found in response');
-      }
-    } catch (parseError) {
-      console.error('Failed to parse Claude response:', parseError);
-      console.log('Raw response:', responseText);
-      
-      // Fallback: Create a simple response
-      analysisResult = {
-        items: [
-          {
-            name: "Item detected",
-            value: 100,
-            condition: "Good",
-            confidence: 75,
-            boundingBox: { x: 10, y: 10, width: 80, height: 80 },
-            category: "general",
-            sellability: "Check Calgary market"
-          }
-        ],
-        roomType: roomType,
-        insights: {
-          quickWins: ["Please try again with a clearer photo"]
-        }
-      };
-    }
+    const photoIds = await Promise.all(photos.map(photo => savePhoto(user, photo)));
 
-    // Process and enhance the items
-    const processedItems = analysisResult.items.map((item, index) => {
-      // Ensure price is a number
-      const price = typeof item.value === 'number' ? item.value : generateCalgaryPrice(item.category || item.name);
-      
-      return {
-        ...item,
-        value: `$${price}`,
-        confidence: item.confidence || 85,
-        condition: item.condition || determineCondition(item.confidence || 85),
-        listingTitle: `${item.name} - ${item.condition || 'Good'} Condition`,
-        description: generateItemDescription(item),
-        bestSeason: item.category === 'furniture' ? 'Spring (March-May) - Moving season' : 'Year-round',
-        boundingBox: item.boundingBox || {
-          x: 10 + (index * 15),
-          y: 10 + (index * 10),
-          width: 25,
-          height: 30
-        }
-      };
-    });
+    const usageAfter = reservation.usage;
+    if (!res.headersSent) {
+      res.setHeader('X-Quota-Remaining', String(usageAfter.remaining)); // streams report it in `usage`
+    }
 
-    // Calculate total value
-    const totalValue = processedItems.reduce((sum, item) => {
-      const value = parseFloat(item.value.replace(/[^0-9.-]+/g, ''));
-      return sum + value;
-    }, 0);
+    if (session) {
+      const detected = results.reduce((sum, result) => sum + result.items.length, 0);
+      console.log(`Session of ${photos.length} photos: ${detected} detections merged into ${processedItems.length} items`);
+      emit('merged', { detections: detected, items: processedItems.length });
+    }
 
-    // Send successful response
-    res.status(200).json({
+    const body = {
       success: true,
+      provider: provider.name,
+      region: region.id,
+      location,
+      currency: region.currency,
+      imageWidth: first.source.width,
+      imageHeight: first.source.height,
+      orientation: first.source.orientation,
+      photoIds,
+      photos: results.map((result, index) => ({
+        index,
+        id: photoIds[index],
+        imageWidth: result.source.width,
+        imageHeight: result.source.height,
+        orientation: result.source.orientation,
+        itemCount: result.items.length,
+        parseError: result.analysis.parseError
+      })),
       items: processedItems,
-      totalValue: totalValue,
-      roomType: analysisResult.roomType || roomType,
-      insights: analysisResult.insights || {
+      itemErrors: results.flatMap((result, photoIndex) =>
+        result.analysis.itemErrors.map(itemError => ({ ...itemError, photoIndex }))
+      ),
+      parseError: results.map(result => result.analysis.parseError).find(Boolean) || null,
+      repairs: first.analysis.repairs,
+      totalValue: Math.round(totalValue),
+      roomType: first.analysis.roomType || roomType,
+      usage: { ...usageAfter, tier: tier.name },
+      insights: first.analysis.insights || {
         quickWins: [
-          `Total potential value: $${totalValue}`,
-          'List furniture items first - they have highest demand in Calgary',
+          `Total potential value: ${formatPrice(region, totalValue)}`,
+          `List furniture items first - they have highest demand in ${region.label}`,
           'Bundle smaller items for better sales'
         ]
       }
-    });
+    };
+
+    if (stream.open) {
+      stream.send('result', body);
+      stream.end();
+    } else {
+      res.status(200).json(body);
+    }
 
   } catch (error) {
     console.error('Analysis error:', error);
-    
+
+    // Only successful analyses count against the quota
+    if (reservation) {
+      await reservation.refund().catch(refundError => console.error('Failed to refund quota:', refundError));
+    }
+
     // Determine error type and message
     let errorMessage = 'Analysis failed';
     let statusCode = 500;
 
-    if (error.message.includes('Invalid API key')) {
+    if (error.message.includes('Unauthorized')) {
+      errorMessage = error.message;
+      statusCode = 401;
+    } else if (error.message.includes('Upload too large')) {
+      errorMessage = error.message;
+      statusCode = 413;
+    } else if (error.message.includes('Unsupported file type')) {
+      errorMessage = error.message;
+      statusCode = 415;
+    } else if (
+      error.message.includes('Too many files') ||
+      error.message.includes('Invalid request body') ||
+      error.message.includes('Invalid studio options')
+    ) {
+      errorMessage = error.message;
+      statusCode = 400;
+    } else if (error.message.includes('Unknown vision provider') || error.message.includes('Unknown region')) {
+      errorMessage = error.message;
+      statusCode = 400;
+    } else if (error.message.includes('No recorded response')) {
+      errorMessage = error.message;
+      statusCode = 502;
+    } else if (error.message.includes('No API key provided') || error.message.includes('Missing Gemini key')) {
+      errorMessage = error.message;
+      statusCode = 400;
+    } else if (error.message.includes('Invalid API key')) {
       errorMessage = 'Invalid API key format';
       statusCode = 401;
     } else if (error.message.includes('rate_limit')) {
@@ -272,10 +422,25 @@ Return your response as a JSON object with this exact structure:
       statusCode = 401;
     }
 
-    res.status(statusCode).json({
+    const body = {
       success: false,
       error: errorMessage,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    };
+
+    // Headers are already sent once streaming has started
+    if (stream.open) {
+      stream.send('error', { ...body, status: statusCode });
+      stream.end();
+    } else {
+      res.status(statusCode).json(body);
+    }
+  }
+};
+
+// Bodies are read by _lib/uploads.js so multipart uploads can stream
+module.exports.config = {
+  api: {
+    bodyParser: false
   }
-}
\ No newline at end of file
+};
@@ -1,3 +1,5 @@
+import { getRegion, listRegions } from './_lib/regions';
+
 export default function handler(req, res) {
     res.status(200).json({
       status: 'healthy',
@@ -5,6 +7,7 @@ export default function handler(req, res) {
       timestamp: new Date().toISOString(),
       environment: process.env.NODE_ENV || 'production',
       version: '1.0.0',
-      region: 'calgary-alberta'
+      region: getRegion().id,
+      regions: listRegions().map(region => region.id)
     });
   }
\ No newline at end of file
@@ -0,0 +1,84 @@
+// inventory.js - server-side inventory of past analyses.
+// GET                list summaries, newest first
+// GET    ?id=...     one full analysis
+// PUT/POST           save an analysis (body is the record, `id` required)
+// DELETE ?id=...     remove an analysis
+// Records live in the storage adapter picked by INVENTORY_STORAGE (see _lib/storage),
+// one collection per signed-in user.
+const { getStore } = require('./_lib/storage');
+const { requireUser } = require('./_lib/auth');
+const { applyCors } = require('./_lib/cors');
+
+function summarize(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    region: record.region,
+    itemCount: record.items?.length || 0,
+    totalValue: record.totalValue || 0
+  };
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, 'GET,OPTIONS,DELETE,POST,PUT');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const user = await requireUser(req);
+    const store = getStore(`inventory/${user.id}`);
+    const id = req.query?.id;
+
+    if (req.method === 'GET') {
+      if (id) {
+        const analysis = await store.get(id);
+        if (!analysis) return res.status(404).json({ success: false, error: 'Analysis not found' });
+        return res.status(200).json({ success: true, analysis });
+      }
+      const analyses = (await store.list())
+        .map(summarize)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+      return res.status(200).json({ success: true, analyses });
+    }
+
+    if (req.method === 'PUT' || req.method === 'POST') {
+      const record = req.body;
+      if (!record || typeof record !== 'object' || !record.id || !Array.isArray(record.items)) {
+        return res.status(400).json({ success: false, error: 'Analysis needs an id and an items array' });
+      }
+      const now = new Date().toISOString();
+      const analysis = await store.put({
+        ...record,
+        createdAt: record.createdAt || now,
+        updatedAt: now
+      });
+      return res.status(200).json({ success: true, analysis });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!id) return res.status(400).json({ success: false, error: 'No analysis id provided' });
+      const removed = await store.remove(id);
+      if (!removed) return res.status(404).json({ success: false, error: 'Analysis not found' });
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    if (error.message.includes('Unauthorized')) {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    console.error('Inventory error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports.config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '20mb',
+    }
+  }
+};
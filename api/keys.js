@@ -0,0 +1,53 @@
+// keys.js - bring-your-own provider keys for the signed-in user.
+// GET                          which providers have a saved key (masked),
+//                              which take one and the default provider
+// PUT { provider, apiKey }     save a key, encrypted at rest (_lib/secrets.js)
+// DELETE ?provider=...         forget a key and go back to the server's
+// Keys are never sent back to the client.
+const { requireUser, setUserKey, removeUserKey, publicUser } = require('./_lib/auth');
+const { getProvider, keyProviders } = require('./_lib/providers');
+const { applyCors } = require('./_lib/cors');
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, 'GET,OPTIONS,PUT,DELETE');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const user = await requireUser(req);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, keys: publicUser(user).keys, ...keyProviders() });
+    }
+
+    if (req.method === 'PUT') {
+      const { provider: providerName, apiKey } = req.body || {};
+      const provider = getProvider(providerName);
+      if (!provider.validateApiKey) {
+        return res.status(400).json({ success: false, error: `${provider.name} does not use an API key` });
+      }
+      provider.validateApiKey(apiKey);
+      const updated = await setUserKey(user, provider.name, apiKey);
+      return res.status(200).json({ success: true, keys: publicUser(updated).keys });
+    }
+
+    if (req.method === 'DELETE') {
+      const provider = getProvider(req.query?.provider);
+      const updated = await removeUserKey(user, provider.name);
+      return res.status(200).json({ success: true, keys: publicUser(updated).keys });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    let statusCode = 500;
+    if (error.message.includes('Unauthorized')) {
+      statusCode = 401;
+    } else if (error.message.includes('Unknown vision provider') || error.message.includes('Invalid API key')) {
+      statusCode = 400;
+    } else {
+      console.error('Keys error:', error);
+    }
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,118 @@
+// listing-copy.js - write marketplace listing copy for an analyzed item.
+// POST { item, preset, region, provider }
+//   item     - a normalized item (see _lib/items.js); lots carry `lotItems`
+//   preset   - optional: concise (Kijiji), detailed (Facebook) or lot,
+//              see _lib/listingCopy.js; lots default to `lot`
+//   region   - optional market id (see _lib/regions.js)
+//   provider - optional, as in analyze.js
+//
+// Returns { copy: { title, description, features, dimensions, keywords, text } }
+// fitted to the preset marketplace's limits. If the model's answer can't be
+// used the copy comes from templates instead, with `source: 'template'`.
+// Counts against the request rate limit but not the daily analysis quota.
+const { getProvider } = require('./_lib/providers');
+const { buildListingCopyPrompt } = require('./_lib/prompt');
+const { extractJson } = require('./_lib/schema');
+const { presetFor, templateCopy, validateCopy } = require('./_lib/listingCopy');
+const { getRegion } = require('./_lib/regions');
+const { requireUser, getUserKey } = require('./_lib/auth');
+const { applyCors } = require('./_lib/cors');
+const { getTier, clientKey, consumeToken, getDailyUsage, setRateLimitHeaders } = require('./_lib/limits');
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, 'OPTIONS,POST');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req);
+
+    const tier = getTier(user);
+    const limitKey = clientKey(req, user);
+    const rate = await consumeToken(limitKey, tier);
+    setRateLimitHeaders(res, rate, await getDailyUsage(limitKey, tier));
+
+    if (!rate.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: `Too many requests. Try again in ${rate.retryAfter} seconds.`,
+        retryAfter: rate.retryAfter
+      });
+    }
+
+    const { item, preset: presetId, region: regionId, provider: providerName } = req.body || {};
+    if (!item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name.trim()) {
+      return res.status(400).json({ success: false, error: 'No item provided - it needs at least a name' });
+    }
+
+    const preset = presetFor(item, presetId);
+    const region = getRegion(regionId);
+    const provider = getProvider(providerName);
+    const apiKey = getUserKey(user, provider.name);
+
+    console.log(`Writing ${preset.id} listing for "${item.name}" with ${provider.name}...`);
+    const responseText = await provider.analyze({
+      apiKey,
+      prompt: buildListingCopyPrompt({ item, preset, region }),
+      task: 'listing'
+    });
+
+    const { data, error: parseError } = extractJson(responseText);
+    const { copy, errors } = parseError ? { copy: null, errors: [] } : validateCopy(data, item, preset.id);
+    if (!copy) {
+      console.error('Unusable listing copy, using templates:', parseError?.message || errors.map(error => error.message).join('; '));
+    }
+
+    res.status(200).json({
+      success: true,
+      provider: provider.name,
+      preset: preset.id,
+      marketplace: preset.marketplace,
+      source: copy ? 'ai' : 'template',
+      copy: copy || templateCopy(item, preset.id, region)
+    });
+
+  } catch (error) {
+    console.error('Listing copy error:', error);
+
+    let errorMessage = 'Could not write listing';
+    let statusCode = 500;
+
+    if (error.message.includes('Unauthorized')) {
+      errorMessage = error.message;
+      statusCode = 401;
+    } else if (
+      error.message.includes('Unknown copy preset') ||
+      error.message.includes('Unknown vision provider') ||
+      error.message.includes('Unknown region')
+    ) {
+      errorMessage = error.message;
+      statusCode = 400;
+    } else if (error.message.includes('No recorded response')) {
+      errorMessage = error.message;
+      statusCode = 502;
+    } else if (error.message.includes('No API key provided') || error.message.includes('Missing Gemini key')) {
+      errorMessage = error.message;
+      statusCode = 400;
+    } else if (error.message.includes('rate_limit')) {
+      errorMessage = 'API rate limit exceeded. Please try again later.';
+      statusCode = 429;
+    } else if (error.message.includes('invalid_api_key') || error.message.includes('Invalid API key')) {
+      errorMessage = 'Invalid API key. Please check your API key.';
+      statusCode = 401;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
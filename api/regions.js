@@ -0,0 +1,25 @@
+// regions.js - the markets Pyckit prices for (see _lib/regions.js).
+// GET returns every region and the default, so clients can offer a picker.
+const { getRegion, listRegions } = require('./_lib/regions');
+
+module.exports = function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.status(200).json({
+    success: true,
+    defaultRegion: getRegion().id,
+    regions: listRegions()
+  });
+};
@@ -0,0 +1,50 @@
+// session.js - sign in and out (see _lib/auth.js).
+// GET      the signed-in user, or 401
+// POST     { email, password } - sign in, sets the session cookie
+// DELETE   sign out
+// Sign-in attempts are rate limited per IP.
+const { authenticate, createSession, getSessionUser, destroySession, sessionCookie, publicUser } = require('./_lib/auth');
+const { applyCors } = require('./_lib/cors');
+const { getTier, clientKey, consumeToken, setRateLimitHeaders } = require('./_lib/limits');
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, 'GET,OPTIONS,POST,DELETE');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    if (req.method === 'GET') {
+      const user = await getSessionUser(req);
+      if (!user) return res.status(401).json({ success: false, error: 'Not signed in' });
+      return res.status(200).json({ success: true, user: publicUser(user) });
+    }
+
+    if (req.method === 'POST') {
+      const rate = await consumeToken(clientKey(req), getTier(null));
+      setRateLimitHeaders(res, rate);
+      if (!rate.allowed) {
+        return res.status(429).json({ success: false, error: 'Too many sign-in attempts. Try again shortly.', retryAfter: rate.retryAfter });
+      }
+
+      const { email, password } = req.body || {};
+      const user = await authenticate({ email, password });
+      if (!user) return res.status(401).json({ success: false, error: 'Wrong email or password' });
+
+      const { token, expiresAt } = await createSession(user);
+      res.setHeader('Set-Cookie', sessionCookie(token, expiresAt));
+      return res.status(200).json({ success: true, user: publicUser(user), expiresAt });
+    }
+
+    if (req.method === 'DELETE') {
+      await destroySession(req);
+      res.setHeader('Set-Cookie', sessionCookie(null));
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Session error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
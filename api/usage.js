@@ -0,0 +1,37 @@
+// usage.js - the signed-in user's plan, rate limit and analyses left today.
+// Reading it doesn't use up any quota (see _lib/limits.js).
+const { requireUser } = require('./_lib/auth');
+const { applyCors } = require('./_lib/cors');
+const { getTier, clientKey, getDailyUsage } = require('./_lib/limits');
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, 'GET,OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req);
+    const tier = getTier(user);
+    const usage = await getDailyUsage(clientKey(req, user), tier);
+    res.status(200).json({
+      success: true,
+      usage: {
+        ...usage,
+        tier: tier.name,
+        perMinute: tier.perMinute,
+        maxImageBytes: tier.maxImageBytes
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Unauthorized')) {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    console.error('Usage error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,46 @@
+// users.js - create an account (see _lib/auth.js).
+// POST { email, password } - registers and signs in, like POST /api/session.
+// Set REGISTRATION_DISABLED=true to only allow existing accounts.
+// Registrations are rate limited per IP.
+const { createUser, createSession, sessionCookie, publicUser } = require('./_lib/auth');
+const { applyCors } = require('./_lib/cors');
+const { getTier, clientKey, consumeToken, setRateLimitHeaders } = require('./_lib/limits');
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, 'OPTIONS,POST');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (process.env.REGISTRATION_DISABLED === 'true') {
+    return res.status(403).json({ success: false, error: 'Registration is closed' });
+  }
+
+  try {
+    const rate = await consumeToken(clientKey(req), getTier(null));
+    setRateLimitHeaders(res, rate);
+    if (!rate.allowed) {
+      return res.status(429).json({ success: false, error: 'Too many attempts. Try again shortly.', retryAfter: rate.retryAfter });
+    }
+
+    const { email, password } = req.body || {};
+    const user = await createUser({ email, password });
+    const { token, expiresAt } = await createSession(user);
+    res.setHeader('Set-Cookie', sessionCookie(token, expiresAt));
+    res.status(201).json({ success: true, user: publicUser(user), expiresAt });
+
+  } catch (error) {
+    let statusCode = 500;
+    if (error.message.includes('Invalid email') || error.message.includes('Password must')) {
+      statusCode = 400;
+    } else if (error.message.includes('already registered')) {
+      statusCode = 409;
+    } else {
+      console.error('Registration error:', error);
+    }
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
@@ -1,16 +1,59 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import './App.css';
 import { SpeedInsights } from "@vercel/speed-insights/react";
+import BeautifulIsolationService from './services/beautifulIsolation';
+import { pickBestCandidate } from './services/qualityScore';
+import { createInventoryStore, createAnalysisRecord } from './services/inventoryStore';
+import { MARKETPLACES, exportListings, downloadBlob } from './services/listingExport';
+import { DEFAULT_REGION, REGION_STORAGE, fetchRegions, formatMoney } from './services/regions';
+import { getCurrentUser, getUsage, signIn, register, signOut, getProviderKeys, saveProviderKey, removeProviderKey } from './services/auth';
+import { ANALYSIS_STAGES, initialProgress, applyProgressEvent, analyzeWithProgress } from './services/analyzeStream';
+import { isImageFile, preprocessImages } from './services/imagePreprocess';
+import { identifyRegion } from './services/regionAnalysis';
+import {
+  createHistory,
+  pushHistory,
+  replacePresent,
+  mapHistoryItems,
+  undo,
+  redo,
+  undoLabel,
+  redoLabel,
+  withAiSuggestion,
+  changedFromSuggestion,
+  resetToSuggestion
+} from './services/itemHistory';
+import { moveBox, resizeBox, boxFromPoints, isUsableBox, roundBox, sameBox, boxStyle } from './services/boxGeometry';
+import { CONDITIONS, categoryOptions, idsUnder, applyBulkAction, describeBulkAction } from './services/bulkEdit';
+import { COPY_PRESETS, defaultPreset, generateListingCopy } from './services/listingCopy';
+import {
+  LOT_DEFAULTS,
+  sumValues,
+  lotPrice,
+  isLot,
+  createLot,
+  replaceWithLot,
+  splitLot,
+  lotCandidates,
+  suggestLots,
+  composeLotImage
+} from './services/lotBuilder';
+import { isolateWithMask } from './services/maskCanvas';
 
 // Utility functions
 const API_URL = window.location.hostname === 'localhost' 
   ? 'http://localhost:3001'
   : '/api';
 
-const API_KEY_STORAGE = 'pyckit_api_key';
+const API_BASE = API_URL.endsWith('/api') ? API_URL : `${API_URL}/api`;
+
+const isolationService = new BeautifulIsolationService();
+
+// Optional provider override (claude, gemini, mock); the server picks when unset
+const VISION_PROVIDER = process.env.REACT_APP_VISION_PROVIDER;
 
 // Components
-const Sidebar = ({ onNewChat }) => (
+const Sidebar = ({ analyses = [], regions = [], currentAnalysisId, user, usage, onSelect, onNewChat, onManageKeys, onSignOut }) => (
   <div className="sidebar">
     <div className="sidebar-header">
       <div className="logo">
@@ -21,12 +64,41 @@ const Sidebar = ({ onNewChat }) => (
       </button>
     </div>
     <div className="chat-history">
-      <div className="chat-history-item active">Current Analysis</div>
+      {analyses.map(analysis => (
+        <div
+          key={analysis.id}
+          className={`chat-history-item ${analysis.id === currentAnalysisId ? 'active' : ''}`}
+          onClick={() => onSelect(analysis.id)}
+          title={analysis.title}
+        >
+          {analysis.title}
+          <div className="chat-history-meta">
+            {new Date(analysis.createdAt).toLocaleDateString('en-CA')} · {analysis.itemCount} items · {formatMoney(analysis.totalValue, findRegion(regions, analysis.region))}
+          </div>
+        </div>
+      ))}
     </div>
+    {user && (
+      <div className="sidebar-footer">
+        <div className="sidebar-user" title={user.email}>{user.email}</div>
+        {usage && (
+          <div className={`sidebar-usage${usage.remaining === 0 ? ' exhausted' : ''}`} title={`${usage.tier} plan - resets ${new Date(usage.resetsAt).toLocaleTimeString()}`}>
+            {usage.remaining} of {usage.limit} analyses left today
+          </div>
+        )}
+        <button className="sidebar-link" onClick={onManageKeys}>
+          {Object.keys(user.keys || {}).length ? '🔑 Your API key' : '🔑 Use your own key'}
+        </button>
+        <button className="sidebar-link" onClick={onSignOut}>Sign out</button>
+      </div>
+    )}
   </div>
 );
 
-const WelcomeScreen = ({ onFileSelect }) => {
+// Region config for an id, falling back to the built-in default
+const findRegion = (regions, id) => regions.find(region => region.id === id) || DEFAULT_REGION;
+
+const WelcomeScreen = ({ onFileSelect, region }) => {
   const fileInputRef = useRef(null);
   
   return (
@@ -34,12 +106,12 @@ const WelcomeScreen = ({ onFileSelect }) => {
       <h1 className="welcome-title">
         <img src="/pyckit-logo.png" alt="Pyckit" style={{ height: 60, width: 'auto' }} />
       </h1>
-      <p className="welcome-subtitle">Discover hidden value in your Calgary home</p>
+      <p className="welcome-subtitle">Discover hidden value in your {region.label.split(',')[0]} home</p>
       
       <div className="upload-section" onClick={() => fileInputRef.current?.click()}>
         <div className="upload-icon">📸</div>
         <h2 className="upload-title">Upload Room Photo</h2>
-        <p className="upload-subtitle">Take a clear photo of any room to discover sellable items</p>
+        <p className="upload-subtitle">Take a clear photo of any room to discover sellable items - add several angles of the same room to catch more</p>
       </div>
 
       <div style={{ marginTop: 40, padding: 20, backgroundColor: '#FEF3C7', borderRadius: 12, textAlign: 'left' }}>
@@ -48,14 +120,15 @@ const WelcomeScreen = ({ onFileSelect }) => {
           <li>Take a clear photo of any room in your house</li>
           <li>Our AI identifies all sellable items automatically</li>
           <li>Professional object isolation with SAM technology</li>
-          <li>Get Calgary market prices and descriptions</li>
+          <li>Get {region.label.split(',')[0]} market prices and descriptions</li>
         </ol>
       </div>
       
       <input
         ref={fileInputRef}
         type="file"
-        accept="image/*"
+        accept="image/*,.heic,.heif"
+        multiple
         onChange={onFileSelect}
         style={{ display: 'none' }}
       />
@@ -63,205 +136,127 @@ const WelcomeScreen = ({ onFileSelect }) => {
   );
 };
 
-// Function to apply automatic segmentation mask from SAM
-
-async function applyAutomaticSegmentationMask(canvas, maskData, boundingBox) {
-  const ctx = canvas.getContext('2d');
+const LoginScreen = ({ onSignedIn }) => {
+  const [mode, setMode] = useState('signin');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
   
-  try {
-    let maskSrc;
-    
-    // Handle different mask data structures
-    if (typeof maskData === 'string' && maskData.startsWith('http')) {
-      maskSrc = maskData;
-      console.log('Mask is URL:', maskSrc);
-    } else if (typeof maskData === 'object' && maskData.mask) {
-      maskSrc = maskData.mask;
-      console.log('Extracted mask from object:', maskSrc);
-    } else if (typeof maskData === 'string') {
-      maskSrc = maskData;
-      console.log('Mask is string:', maskSrc);
-    } else {
-      console.error('Unknown mask data structure:', maskData);
-      throw new Error('Unknown mask data structure');
-    }
-    
-    console.log('Loading mask from:', maskSrc);
-    
-    // Load the mask image
-    const maskImg = new Image();
-    maskImg.crossOrigin = "anonymous";
-    
-    await new Promise((resolve, reject) => {
-      maskImg.onload = () => {
-        console.log('Mask image loaded:', maskImg.width, 'x', maskImg.height);
-        resolve();
-      };
-      maskImg.onerror = (e) => {
-        console.error('Failed to load mask from:', maskSrc);
-        reject(new Error('Failed to load mask image'));
-      };
-      
-      maskImg.src = maskSrc;
-    });
-    
-    console.log('Mask loaded successfully');
-    
-    // DEBUG: Save the mask to see what it looks like
-    const debugCanvas = document.createElement('canvas');
-    debugCanvas.width = maskImg.width;
-    debugCanvas.height = maskImg.height;
-    const debugCtx = debugCanvas.getContext('2d');
-    debugCtx.drawImage(maskImg, 0, 0);
-    console.log('DEBUG - Mask preview:', debugCanvas.toDataURL('image/png').substring(0, 100));
-    
-    // Create a temporary canvas for the masked result
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = canvas.width;
-    tempCanvas.height = canvas.height;
-    const tempCtx = tempCanvas.getContext('2d');
-    
-    // Draw the original image
-    tempCtx.drawImage(canvas, 0, 0);
-    
-    // Apply the mask using destination-in compositing
-    tempCtx.globalCompositeOperation = 'destination-in';
-    tempCtx.drawImage(maskImg, 0, 0, canvas.width, canvas.height);
-    
-    // Reset composite operation
-    tempCtx.globalCompositeOperation = 'source-over';
-    
-    // DEBUG: Check what we have after masking
-    const maskedPreview = tempCanvas.toDataURL('image/png').substring(0, 100);
-    console.log('DEBUG - Masked result preview:', maskedPreview);
-    
-    // Get the bounds of the non-transparent area
-    const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-    const bounds = getNonTransparentBounds(imageData.data, tempCanvas.width, tempCanvas.height);
-    
-    if (!bounds) {
-      console.error('No object found in mask');
-      throw new Error('No object found in mask');
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const user = mode === 'signin'
+        ? await signIn(API_BASE, email, password)
+        : await register(API_BASE, email, password);
+      onSignedIn(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
     }
-    
-    console.log('Object bounds:', bounds);
-    console.log('Canvas dimensions:', canvas.width, 'x', canvas.height);
-    console.log('Bounds as percentage of canvas:', {
-      x: (bounds.x / canvas.width * 100).toFixed(1) + '%',
-      y: (bounds.y / canvas.height * 100).toFixed(1) + '%',
-      width: (bounds.width / canvas.width * 100).toFixed(1) + '%',
-      height: (bounds.height / canvas.height * 100).toFixed(1) + '%'
-    });
-    
-    // Check if bounds are suspiciously large (might be the whole image)
-    if (bounds.width > canvas.width * 0.9 || bounds.height > canvas.height * 0.9) {
-      console.warn('WARNING: Bounds are very large, mask might not be working correctly');
-    }
-    
-    // Create final canvas with proper dimensions
-    const padding = 1.1; // 10% padding
-    const paddedWidth = bounds.width * padding;
-    const paddedHeight = bounds.height * padding;
-    const finalSize = Math.max(paddedWidth, paddedHeight); // Square output
-    
-    const finalCanvas = document.createElement('canvas');
-    finalCanvas.width = Math.round(finalSize);
-    finalCanvas.height = Math.round(finalSize);
-    const finalCtx = finalCanvas.getContext('2d');
-    
-    // White background
-    finalCtx.fillStyle = '#ffffff';
-    finalCtx.fillRect(0, 0, finalSize, finalSize);
-    
-    // Add subtle shadow for professional look
-    finalCtx.shadowColor = 'rgba(0, 0, 0, 0.1)';
-    finalCtx.shadowBlur = 8;
-    finalCtx.shadowOffsetX = 0;
-    finalCtx.shadowOffsetY = 2;
-    
-    // Calculate centering offsets
-    const offsetX = (finalSize - bounds.width) / 2;
-    const offsetY = (finalSize - bounds.height) / 2;
-    
-    console.log('Drawing from tempCanvas:', bounds.x, bounds.y, bounds.width, bounds.height);
-    console.log('Drawing to finalCanvas at:', offsetX, offsetY);
-    
-    // Draw ONLY the masked object (not the full image!)
-    finalCtx.drawImage(
-      tempCanvas,  // Use the masked canvas, not the original
-      bounds.x, bounds.y, bounds.width, bounds.height,  // Source rectangle (cropped area)
-      offsetX, offsetY, bounds.width, bounds.height    // Destination rectangle (centered)
-    );
-    
-    // Reset shadow
-    finalCtx.shadowColor = 'transparent';
-    finalCtx.shadowBlur = 0;
-    
-    const finalResult = finalCanvas.toDataURL('image/jpeg', 0.95);
-    console.log('DEBUG - Final result preview:', finalResult.substring(0, 100));
-    
-    return finalResult;
-    
-  } catch (error) {
-    console.error('Error applying automatic mask:', error);
-    return null;
-  }
-}
-
-// Helper function to get non-transparent bounds from image data
-function getNonTransparentBounds(imageData, width, height) {
-  let minX = width, minY = height, maxX = 0, maxY = 0;
-  let hasContent = false;
-  
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * 4;
-      const alpha = imageData[idx + 3];
-      
-      if (alpha > 10) { // Threshold for non-transparent
-        hasContent = true;
-        minX = Math.min(minX, x);
-        minY = Math.min(minY, y);
-        maxX = Math.max(maxX, x);
-        maxY = Math.max(maxY, y);
-      }
-    }
-  }
-  
-  if (!hasContent) return null;
+  };
   
-  return {
-    x: minX,
-    y: minY,
-    width: maxX - minX + 1,
-    height: maxY - minY + 1
+  const inputStyle = {
+    width: '100%',
+    maxWidth: 400,
+    padding: 12,
+    border: '2px solid var(--border-color)',
+    borderRadius: 8,
+    fontSize: 16,
+    marginBottom: 12
   };
-}
+  
+  return (
+    <form onSubmit={handleSubmit} style={{ textAlign: 'center', padding: 40 }}>
+      <h2 style={{ color: 'var(--primary-color)', marginBottom: 20 }}>
+        {mode === 'signin' ? '👋 Sign in to Pyckit' : '✨ Create your Pyckit account'}
+      </h2>
+      <input type="email" placeholder="you@example.com" value={email} onChange={(e) => setEmail(e.target.value)} style={inputStyle} required />
+      <br />
+      <input type="password" placeholder="Password (8+ characters)" value={password} onChange={(e) => setPassword(e.target.value)} style={inputStyle} required />
+      {error && (
+        <p style={{ color: '#C62828', fontSize: 14, marginBottom: 12 }}>{error}</p>
+      )}
+      <br />
+      <button type="submit" className="send-btn" style={{ position: 'static', margin: '10px auto' }} disabled={busy}>
+        {mode === 'signin' ? 'Sign In' : 'Create Account'}
+      </button>
+      <p style={{ fontSize: 14, color: 'var(--text-secondary)', marginTop: 20 }}>
+        {mode === 'signin' ? 'New to Pyckit? ' : 'Already have an account? '}
+        <button
+          type="button"
+          onClick={() => { setMode(mode === 'signin' ? 'register' : 'signin'); setError(null); }}
+          style={{ background: 'none', border: 'none', color: 'var(--primary-color)', cursor: 'pointer', fontSize: 14, padding: 0 }}
+        >
+          {mode === 'signin' ? 'Create an account' : 'Sign in'}
+        </button>
+      </p>
+    </form>
+  );
+};
 
-const ApiKeyPrompt = ({ onSave }) => {
+// Optional: analyze with the user's own provider key instead of the server's
+const ApiKeyPrompt = ({ savedKeys, onSave, onRemove, onClose }) => {
+  const [providers, setProviders] = useState([]);
+  const [providerName, setProviderName] = useState(VISION_PROVIDER || '');
   const [apiKey, setApiKey] = useState('');
+
+  // Start on the provider analyses actually use
+  useEffect(() => {
+    getProviderKeys(API_BASE)
+      .then(({ providers: available, defaultProvider }) => {
+        setProviders(available);
+        setProviderName(current => {
+          const preferred = [current, defaultProvider].find(name => available.some(option => option.name === name));
+          return preferred || available[0]?.name || '';
+        });
+      })
+      .catch(error => console.error('Failed to load key providers:', error));
+  }, []);
+
+  const provider = providers.find(option => option.name === providerName);
+  const savedKey = savedKeys?.[providerName];
   
   const handleSave = () => {
-    if (!apiKey || !apiKey.startsWith('sk-ant-')) {
-      alert('Please enter a valid Claude API key (should start with sk-ant-)');
+    if (!provider) return;
+    if (!apiKey || !apiKey.startsWith(provider.keyPrefix)) {
+      alert(`Please enter a valid ${provider.label} API key (should start with ${provider.keyPrefix})`);
       return;
     }
-    localStorage.setItem(API_KEY_STORAGE, apiKey);
-    onSave();
+    onSave(provider.name, apiKey);
   };
   
   return (
     <div style={{ textAlign: 'center', padding: 40 }}>
-      <h2 style={{ color: 'var(--primary-color)', marginBottom: 20 }}>🔑 API Key Required</h2>
+      <h2 style={{ color: 'var(--primary-color)', marginBottom: 20 }}>🔑 Use Your Own API Key</h2>
       <p style={{ color: 'var(--text-secondary)', marginBottom: 20 }}>
-        To use Pyckit, you'll need a Claude API key from Anthropic.
+        Optional - Pyckit uses its own key unless you add one for the provider below.
       </p>
       <p style={{ fontSize: 14, color: 'var(--text-secondary)', marginBottom: 20, fontStyle: 'italic' }}>
-        ✨ Good news: Professional object isolation with SAM technology!
+        Your key is stored encrypted on our server and never sent back to your browser.
       </p>
+      <select
+        value={providerName}
+        onChange={(e) => { setProviderName(e.target.value); setApiKey(''); }}
+        disabled={!providers.length}
+        style={{ padding: 8, borderRadius: 8, fontSize: 16, marginBottom: 20 }}
+      >
+        {providers.map(option => (
+          <option key={option.name} value={option.name}>{option.label}</option>
+        ))}
+      </select>
+      {savedKey && (
+        <p style={{ fontSize: 14, marginBottom: 20 }}>
+          Saved key: <code>{savedKey.hint}</code>{' '}
+          <button onClick={() => onRemove(providerName)} className="btn btn-outline" style={{ marginLeft: 8 }}>Remove</button>
+        </p>
+      )}
       <input
         type="password"
-        placeholder="sk-ant-api03-..."
+        placeholder={provider ? `${provider.keyPrefix}...` : ''}
         value={apiKey}
         onChange={(e) => setApiKey(e.target.value)}
         style={{
@@ -278,18 +273,25 @@ const ApiKeyPrompt = ({ onSave }) => {
       <button onClick={handleSave} className="send-btn" style={{ position: 'static', margin: '10px auto' }}>
         Save API Key
       </button>
-      <p style={{ fontSize: 12, color: 'var(--text-secondary)', marginTop: 20 }}>
-        Get your API key from{' '}
-        <a href="https://console.anthropic.com/settings/keys" target="_blank" rel="noopener noreferrer" 
-           style={{ color: 'var(--primary-color)' }}>
-          console.anthropic.com
-        </a>
-      </p>
+      <br />
+      <button onClick={onClose} className="btn btn-outline" style={{ marginTop: 10 }}>
+        Back
+      </button>
+      {provider && (
+        <p style={{ fontSize: 12, color: 'var(--text-secondary)', marginTop: 20 }}>
+          Get your API key from{' '}
+          <a href={provider.keyUrl} target="_blank" rel="noopener noreferrer" 
+             style={{ color: 'var(--primary-color)' }}>
+            {new URL(provider.keyUrl).host}
+          </a>
+        </p>
+      )}
     </div>
   );
 };
 
-const ProcessingStatus = ({ current, total, currentItem }) => (
+// Live server stages while the analysis streams, then the local per-item pass
+const ProcessingStatus = ({ current, total, currentItem, stages, items = [], region }) => (
   <div style={{
     position: 'fixed',
     top: '50%',
@@ -301,27 +303,66 @@ const ProcessingStatus = ({ current, total, currentItem }) => (
     boxShadow: '0 10px 40px rgba(0,0,0,0.1)',
     zIndex: 1000,
     textAlign: 'center',
-    minWidth: 400
+    minWidth: 400,
+    maxWidth: 560,
+    maxHeight: '85vh',
+    overflowY: 'auto'
   }}>
-    <h3 style={{ marginBottom: 20 }}>Processing Items...</h3>
-    <div style={{
-      width: '100%',
-      height: 20,
-      backgroundColor: '#f0f0f0',
-      borderRadius: 10,
-      overflow: 'hidden',
-      marginBottom: 20
-    }}>
-      <div style={{
-        width: `${(current / total) * 100}%`,
-        height: '100%',
-        backgroundColor: 'var(--primary-color)',
-        transition: 'width 0.3s ease'
-      }} />
-    </div>
-    <p style={{ color: 'var(--text-secondary)' }}>
-      Processing item {current} of {total}
-    </p>
+    <h3 style={{ marginBottom: 20 }}>{stages ? 'Analyzing Photos...' : 'Processing Items...'}</h3>
+    {stages && (
+      <ol className="processing-stages">
+        {ANALYSIS_STAGES.map(stage => (
+          <li key={stage.id} className={`processing-stage ${stages[stage.id].status}`}>
+            <span className="processing-stage-icon">
+              {stages[stage.id].status === 'done' ? '✓' : stages[stage.id].status === 'active' ? '…' : '○'}
+            </span>
+            <span className="processing-stage-label">{stage.label}</span>
+            {stages[stage.id].detail && (
+              <span className="processing-stage-detail">{stages[stage.id].detail}</span>
+            )}
+          </li>
+        ))}
+      </ol>
+    )}
+    {items.length > 0 && (
+      <div className="processing-items">
+        {items.map(item => (
+          <div key={item.key} className="processing-item" title={item.name}>
+            {item.image ? (
+              <img src={item.image} alt={item.name} />
+            ) : (
+              <div className="processing-item-placeholder" />
+            )}
+            <span className="processing-item-name">{item.name}</span>
+            {item.value != null && (
+              <span className="processing-item-value">{formatMoney(item.value, region)}</span>
+            )}
+          </div>
+        ))}
+      </div>
+    )}
+    {total > 0 && (
+      <>
+        <div style={{
+          width: '100%',
+          height: 20,
+          backgroundColor: '#f0f0f0',
+          borderRadius: 10,
+          overflow: 'hidden',
+          marginBottom: 20
+        }}>
+          <div style={{
+            width: `${(current / total) * 100}%`,
+            height: '100%',
+            backgroundColor: 'var(--primary-color)',
+            transition: 'width 0.3s ease'
+          }} />
+        </div>
+        <p style={{ color: 'var(--text-secondary)' }}>
+          Processing item {current} of {total}
+        </p>
+      </>
+    )}
     {currentItem && (
       <p style={{ fontSize: 14, color: 'var(--text-secondary)', marginTop: 10 }}>
         {currentItem}
@@ -330,7 +371,7 @@ const ProcessingStatus = ({ current, total, currentItem }) => (
   </div>
 );
 
-const ItemCard = ({ item, index, onEdit, onRemove }) => {
+const ItemCard = ({ item, index, region, onEdit, onRemove, onList, onSplit, selected = false, onToggleSelect, dragHandlers = {} }) => {
   const handleEdit = (e) => {
     e.stopPropagation();
     console.log('Edit clicked - opening edit modal for index:', index);
@@ -344,11 +385,26 @@ const ItemCard = ({ item, index, onEdit, onRemove }) => {
 
   const handleList = (e) => {
     e.stopPropagation();
-    alert(`Listed: ${item.name} for ${Number(item.value).toLocaleString('en-CA', { style: 'currency', currency: 'CAD', minimumFractionDigits: 0 })}`);
+    onList(index);
+  };
+
+  const handleSplit = (e) => {
+    e.stopPropagation();
+    onSplit(index);
   };
 
   return (
-    <div className="item-card">
+    <div className={`item-card${item.reprocessing ? ' reprocessing' : ''}${selected ? ' selected' : ''}`} {...dragHandlers}>
+      {onToggleSelect && (
+        <label className="item-select" title="Select for bulk actions">
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={() => onToggleSelect(item.id)}
+            aria-label={`Select ${item.name}`}
+          />
+        </label>
+      )}
       <button 
         className="remove-btn"
         onClick={handleRemove}
@@ -385,7 +441,7 @@ const ItemCard = ({ item, index, onEdit, onRemove }) => {
       
       <div className="w-full aspect-square overflow-hidden rounded-lg bg-gray-100">
         <img
-          src={item.croppedImage || item.processedImage || item.stagedImage || ''}
+          src={item.processedImage || item.image || ''}
           alt={item.name || 'Detected item'}
           className="w-full h-full object-cover rounded"
           onError={(e) => {
@@ -402,20 +458,60 @@ const ItemCard = ({ item, index, onEdit, onRemove }) => {
               {Math.round(item.confidence)}%
             </span>
           )}
+          {item.quality && (
+            <span
+              className={`quality-badge${item.quality.score < 50 ? ' low' : ''}`}
+              title={`Image quality - best of ${item.quality.candidates.length} (${item.quality.source})`}
+            >
+              Q {item.quality.score}
+            </span>
+          )}
         </h3>
         
         <div className="item-price">
-          {item.value != null ? Number(item.value).toLocaleString('en-CA', { style: 'currency', currency: 'CAD', minimumFractionDigits: 2 }) : 'N/A'}
+          {item.value != null ? formatMoney(item.value, region, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : 'N/A'}
         </div>
         
+        {item.pricing && (
+          <div
+            className="item-price-range"
+            title={item.pricing.comps.map(comp => `${comp.title} - ${formatMoney(comp.price, region)}${comp.soldAt ? ` (sold ${comp.soldAt})` : ''}`).join('\n') || 'No comparable sales'}
+          >
+            {formatMoney(item.pricing.low, region)}-{formatMoney(item.pricing.high, region)} · {item.pricing.comps.length
+              ? `${item.pricing.comps.length} comparable sale${item.pricing.comps.length === 1 ? '' : 's'}`
+              : 'typical price'}
+          </div>
+        )}
+        
         {item.condition && (
           <span className="item-condition">
             {item.condition}
           </span>
         )}
         
+        {item.listingStatus && item.listingStatus !== 'draft' && (
+          <span className={`listing-status ${item.listingStatus}`}>
+            {item.listingStatus === 'sold' ? 'Sold' : 'Listed'}
+          </span>
+        )}
+        
+        {isLot(item) && (
+          <span
+            className="item-condition lot-badge"
+            title={item.lotItems.map(lotItem => lotItem.name).join('\n')}
+          >
+            📦 {item.lotItems.length} items · {formatMoney(item.lotValue, region)} separately
+          </span>
+        )}
+        
+        {item.angles?.length > 1 && (
+          <span className="item-condition" style={{ marginLeft: 8 }} title="Seen in several photos, counted once">
+            📷 {item.angles.length} angles
+          </span>
+        )}
+        
         <p className="item-description">
-          {item.description || `${item.condition || 'Good'} condition ${item.name ? item.name.toLowerCase() : 'item'}. Well-maintained and ready for immediate use.`}
+          {item.description}
         </p>
         
         <div className="item-actions">
@@ -432,25 +528,66 @@ const ItemCard = ({ item, index, onEdit, onRemove }) => {
             <span>List Item</span>
           </button>
         </div>
+        {isLot(item) && onSplit && (
+          <button className="split-lot-btn" onClick={handleSplit}>
+            Split lot
+          </button>
+        )}
       </div>
     </div>
   );
 };
 
-const EditModal = ({ item, onSave, onClose, onList }) => {
+const EditModal = ({ item, onSave, onClose, onList, onReset, onRegenerate }) => {
   const [title, setTitle] = useState(item.name);
+  const [listingTitle, setListingTitle] = useState(item.listingTitle || item.name);
   const [price, setPrice] = useState(item.value);
   const [condition, setCondition] = useState(item.condition);
   const [description, setDescription] = useState(item.description || '');
+  const [keywords, setKeywords] = useState(item.keywords || []);
+  const [preset, setPreset] = useState(defaultPreset(item));
+  const [regenerating, setRegenerating] = useState(false);
+  const [copyError, setCopyError] = useState(null);
+  
+  // What the user changed from the model's suggestion, as saved
+  const changedFields = changedFromSuggestion(item);
+  const titleLimit = COPY_PRESETS.find(option => option.id === preset).titleLimit;
+  
+  const currentItem = () => ({
+    ...item,
+    name: title,
+    listingTitle,
+    value: price === '' ? null : Number(price),
+    condition,
+    description,
+    keywords
+  });
   
   const handleSave = () => {
-    onSave({ ...item, name: title, value: price, condition, description });
+    onSave(currentItem());
   };
   
+  // onList saves the edits along with the listing, as one undo step
   const handleList = () => {
-    const updatedItem = { ...item, name: title, value: price, condition, description };
-    onSave(updatedItem, false); // false = don't show save notification
-    onList(updatedItem);
+    onList(currentItem());
+  };
+  
+  // Replaces the listing title, description and keywords; nothing is saved
+  // until the user saves
+  const handleRegenerate = async () => {
+    setRegenerating(true);
+    setCopyError(null);
+    try {
+      const copy = await onRegenerate(currentItem(), preset);
+      setListingTitle(copy.title);
+      setDescription(copy.text);
+      setKeywords(copy.keywords);
+    } catch (error) {
+      console.error('Could not regenerate listing:', error);
+      setCopyError(error.message);
+    } finally {
+      setRegenerating(false);
+    }
   };
   
   return (
@@ -555,6 +692,45 @@ const EditModal = ({ item, onSave, onClose, onList }) => {
           </select>
         </div>
         
+        {onRegenerate && (
+          <div className="regenerate-copy">
+            <select
+              value={preset}
+              onChange={(e) => setPreset(e.target.value)}
+              aria-label="Listing style"
+            >
+              {COPY_PRESETS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <button onClick={handleRegenerate} disabled={regenerating}>
+              {regenerating ? 'Writing…' : '✨ Regenerate listing'}
+            </button>
+            {copyError && <span className="regenerate-error">{copyError}</span>}
+          </div>
+        )}
+        
+        <div style={{ marginBottom: 20 }}>
+          <label style={{ display: 'block', marginBottom: 8, fontWeight: 500, color: '#666' }}>
+            LISTING TITLE
+            <span className={`char-count${listingTitle.length > titleLimit ? ' over' : ''}`}>
+              {listingTitle.length}/{titleLimit}
+            </span>
+          </label>
+          <input
+            type="text"
+            value={listingTitle}
+            onChange={(e) => setListingTitle(e.target.value)}
+            style={{
+              width: '100%',
+              padding: 12,
+              border: '1px solid #ddd',
+              borderRadius: 8,
+              fontSize: 16
+            }}
+          />
+        </div>
+        
         <div style={{ marginBottom: 24 }}>
           <label style={{ display: 'block', marginBottom: 8, fontWeight: 500, color: '#666' }}>
             DESCRIPTION
@@ -562,7 +738,7 @@ const EditModal = ({ item, onSave, onClose, onList }) => {
           <textarea
             value={description}
             onChange={(e) => setDescription(e.target.value)}
-            rows={4}
+            rows={description.includes('\n') ? 8 : 4}
             style={{
               width: '100%',
               padding: 12,
@@ -572,6 +748,9 @@ const EditModal = ({ item, onSave, onClose, onList }) => {
               resize: 'vertical'
             }}
           />
+          {keywords.length > 0 && (
+            <div className="listing-keywords">Search keywords: {keywords.join(', ')}</div>
+          )}
         </div>
         
         <div style={{ display: 'flex', gap: 10, marginTop: 20 }}>
@@ -630,28 +809,442 @@ const EditModal = ({ item, onSave, onClose, onList }) => {
             List Item
           </button>
         </div>
+        
+        {changedFields.length > 0 && onReset && (
+          <button
+            className="reset-suggestion-btn"
+            onClick={() => onReset(item)}
+            title={`Changed: ${changedFields.join(', ')}`}
+          >
+            ↺ Reset to AI suggestion
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const BOX_HANDLES = ['nw', 'ne', 'sw', 'se'];
+
+// Every item's box drawn over its photo. Drag a box to move it, a corner to
+// resize it, or empty space to add an item the model missed. Changes are only
+// reported when the pointer is released.
+const BoxEditor = ({ photos, items, onBoxChange, onAddItem, onClose }) => {
+  const [photoIndex, setPhotoIndex] = useState(0);
+  const [drag, setDrag] = useState(null);
+  const surfaceRef = useRef(null);
+
+  const photoUrls = useMemo(() => photos.map(photo => URL.createObjectURL(photo)), [photos]);
+  useEffect(() => () => photoUrls.forEach(url => URL.revokeObjectURL(url)), [photoUrls]);
+
+  // Pointer position in percent of the photo
+  const pointerPercent = (event) => {
+    const rect = surfaceRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(100, Math.max(0, ((event.clientX - rect.left) / rect.width) * 100)),
+      y: Math.min(100, Math.max(0, ((event.clientY - rect.top) / rect.height) * 100))
+    };
+  };
+
+  const startDrag = (event, mode, itemIndex = null, handle = null) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+    surfaceRef.current.setPointerCapture(event.pointerId);
+    const start = pointerPercent(event);
+    const original = mode === 'draw' ? boxFromPoints(start, start) : items[itemIndex].boundingBox;
+    setDrag({ mode, itemIndex, handle, start, original, box: original });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+    const point = pointerPercent(event);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    const box = drag.mode === 'move'
+      ? moveBox(drag.original, dx, dy)
+      : drag.mode === 'resize'
+        ? resizeBox(drag.original, drag.handle, dx, dy)
+        : boxFromPoints(drag.start, point);
+    setDrag({ ...drag, box });
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    const { mode, itemIndex, original, box } = drag;
+    setDrag(null);
+    if (mode === 'draw') {
+      if (isUsableBox(box)) onAddItem(photoIndex, roundBox(box));
+    } else if (!sameBox(box, original)) {
+      onBoxChange(itemIndex, roundBox(box));
+    }
+  };
+
+  const photoItems = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item.boundingBox && (item.photoIndex || 0) === photoIndex);
+
+  return (
+    <div className="box-editor-overlay" onClick={onClose}>
+      <div className="box-editor" onClick={(e) => e.stopPropagation()}>
+        <div className="box-editor-header">
+          <h2>Adjust Items</h2>
+          {photos.length > 1 && (
+            <div className="box-editor-photos">
+              {photos.map((photo, index) => (
+                <button
+                  key={index}
+                  className={index === photoIndex ? 'active' : ''}
+                  onClick={() => setPhotoIndex(index)}
+                >
+                  Photo {index + 1}
+                </button>
+              ))}
+            </div>
+          )}
+          <button className="box-editor-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <p className="box-editor-hint">
+          Drag a box to move it or a corner to resize it. Draw on the photo to add an item that was missed.
+        </p>
+        <div
+          ref={surfaceRef}
+          className="box-editor-surface"
+          onPointerDown={(e) => startDrag(e, 'draw')}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => setDrag(null)}
+        >
+          <img src={photoUrls[photoIndex]} alt={`Room, view ${photoIndex + 1}`} draggable={false} />
+          {photoItems.map(({ item, index }) => {
+            const box = drag && drag.mode !== 'draw' && drag.itemIndex === index ? drag.box : item.boundingBox;
+            return (
+              <div
+                key={item.id || index}
+                className={`box-editor-box${item.reprocessing ? ' busy' : ''}${item.manual ? ' manual' : ''}`}
+                style={boxStyle(box)}
+                onPointerDown={(e) => startDrag(e, 'move', index)}
+              >
+                <span className="box-editor-label">{item.name}</span>
+                {BOX_HANDLES.map(handle => (
+                  <span
+                    key={handle}
+                    className={`box-editor-handle ${handle}`}
+                    onPointerDown={(e) => startDrag(e, 'resize', index, handle)}
+                  />
+                ))}
+              </div>
+            );
+          })}
+          {drag?.mode === 'draw' && (
+            <div className="box-editor-box drawing" style={boxStyle(drag.box)} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Selection helpers and the actions for the selected items
+const BulkActions = ({ items, selectedItems, region, onSelect, onApply }) => {
+  const [underLimit, setUnderLimit] = useState(20);
+  const [priceChange, setPriceChange] = useState(-15);
+  const [priceUnit, setPriceUnit] = useState('percent');
+  const [category, setCategory] = useState('');
+
+  const count = selectedItems.length;
+  const selectedValue = selectedItems.reduce((sum, item) => sum + parseFloat(item.value || 0), 0);
+
+  const handlePrice = () => {
+    const change = Number(priceChange);
+    if (!change) return;
+    onApply(priceUnit === 'percent' ? { type: 'price-percent', percent: change } : { type: 'price-amount', amount: change });
+  };
+
+  const handleCategory = () => {
+    const name = category.trim().toLowerCase();
+    if (!name) return;
+    onApply({ type: 'category', category: name });
+    setCategory('');
+  };
+
+  return (
+    <div className="bulk-actions">
+      <div className="bulk-select">
+        <span>Select</span>
+        <button onClick={() => onSelect(items.map(item => item.id))}>All</button>
+        <button onClick={() => onSelect([])} disabled={!count}>None</button>
+        <button onClick={() => onSelect(idsUnder(items, Number(underLimit) || 0))}>Under</button>
+        <input
+          type="number"
+          min="0"
+          value={underLimit}
+          onChange={(e) => setUnderLimit(e.target.value)}
+          aria-label="Select items under this price"
+        />
+      </div>
+
+      {count > 0 && (
+        <div className="bulk-bar">
+          <strong>{count} selected · {formatMoney(selectedValue, region)}</strong>
+          <select
+            value=""
+            onChange={(e) => e.target.value && onApply({ type: 'condition', condition: e.target.value })}
+            aria-label="Set condition"
+          >
+            <option value="">Set condition…</option>
+            {CONDITIONS.map(condition => (
+              <option key={condition} value={condition}>{condition}</option>
+            ))}
+          </select>
+          <span className="bulk-group">
+            <input
+              type="number"
+              value={priceChange}
+              onChange={(e) => setPriceChange(e.target.value)}
+              aria-label="Price change"
+            />
+            <select value={priceUnit} onChange={(e) => setPriceUnit(e.target.value)} aria-label="Price change unit">
+              <option value="percent">%</option>
+              <option value="amount">{region.currency}</option>
+            </select>
+            <button onClick={handlePrice}>Adjust price</button>
+          </span>
+          <span className="bulk-group">
+            <input
+              list="bulk-categories"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              placeholder="Category"
+              aria-label="Category"
+            />
+            <datalist id="bulk-categories">
+              {categoryOptions(items).map(option => (
+                <option key={option} value={option} />
+              ))}
+            </datalist>
+            <button onClick={handleCategory} disabled={!category.trim()}>Move</button>
+          </span>
+          <button onClick={() => onApply({ type: 'bundle' })} disabled={count < 2}>
+            Bundle into lot
+          </button>
+          <button className="bulk-delete" onClick={() => onApply({ type: 'delete' })}>
+            Delete
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Suggested lots of cheap items; each can be accepted, edited or dismissed
+const LotBuilder = ({ items, region, roomName, onCreateLot, onClose }) => {
+  const [maxItemValue, setMaxItemValue] = useState(LOT_DEFAULTS.maxItemValue);
+  const [discountPercent, setDiscountPercent] = useState(LOT_DEFAULTS.discountPercent);
+  // Changes to suggestions, by suggestion id: { name, itemIds }
+  const [edits, setEdits] = useState({});
+  const [dismissed, setDismissed] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+
+  const byId = new Map(items.map(item => [item.id, item]));
+  const formatAmount = amount => formatMoney(amount, region);
+  const suggestions = suggestLots(items, { maxItemValue: Number(maxItemValue) || 0, roomName, formatAmount })
+    .filter(suggestion => !dismissed.includes(suggestion.id))
+    .map(suggestion => ({ ...suggestion, ...edits[suggestion.id] }))
+    // Items may have been removed or bundled since the edit
+    .map(suggestion => ({ ...suggestion, itemIds: suggestion.itemIds.filter(id => byId.has(id)) }));
+  // Anything unlisted can be added to a lot by hand
+  const choices = lotCandidates(items, Infinity);
+  const discount = Math.min(100, Math.max(0, Number(discountPercent) || 0));
+
+  const editSuggestion = (suggestion, changes) => {
+    setEdits(current => ({ ...current, [suggestion.id]: { name: suggestion.name, itemIds: suggestion.itemIds, ...changes } }));
+  };
+
+  const toggleItem = (suggestion, id) => {
+    editSuggestion(suggestion, {
+      itemIds: suggestion.itemIds.includes(id) ? suggestion.itemIds.filter(itemId => itemId !== id) : [...suggestion.itemIds, id]
+    });
+  };
+
+  const handleAccept = (suggestion) => {
+    onCreateLot(suggestion.itemIds.map(id => byId.get(id)), { name: suggestion.name, discountPercent: discount });
+    setEditingId(null);
+  };
+
+  return (
+    <div className="lot-builder">
+      <div className="lot-builder-header">
+        <h4>📦 Bundle cheap items</h4>
+        <label>
+          Items up to
+          <input type="number" min="0" value={maxItemValue} onChange={(e) => setMaxItemValue(e.target.value)} />
+        </label>
+        <label>
+          Lot discount
+          <input type="number" min="0" max="100" value={discountPercent} onChange={(e) => setDiscountPercent(e.target.value)} />
+          %
+        </label>
+        <button onClick={onClose}>Close</button>
       </div>
+
+      {suggestions.length === 0 && (
+        <p className="lot-empty">No bundles to suggest - try a higher item price.</p>
+      )}
+
+      {suggestions.map(suggestion => {
+        const lotItems = suggestion.itemIds.map(id => byId.get(id));
+        const editing = editingId === suggestion.id;
+        return (
+          <div key={suggestion.id} className="lot-suggestion">
+            <div className="lot-suggestion-header">
+              {editing ? (
+                <input
+                  value={suggestion.name}
+                  onChange={(e) => editSuggestion(suggestion, { name: e.target.value })}
+                  aria-label="Lot name"
+                />
+              ) : (
+                <strong>{suggestion.name}</strong>
+              )}
+              <span className="lot-price">
+                {formatMoney(sumValues(lotItems), region)} → {formatMoney(lotPrice(lotItems, discount), region)}
+              </span>
+            </div>
+            <div className="lot-reason">{suggestion.reason}</div>
+            {editing ? (
+              <div className="lot-choices">
+                {choices.map(item => (
+                  <label key={item.id}>
+                    <input
+                      type="checkbox"
+                      checked={suggestion.itemIds.includes(item.id)}
+                      onChange={() => toggleItem(suggestion, item.id)}
+                    />
+                    {item.name} ({formatMoney(item.value || 0, region)})
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <div className="lot-items">{lotItems.map(item => item.name).join(' · ')}</div>
+            )}
+            <div className="lot-actions">
+              <button onClick={() => handleAccept(suggestion)} disabled={lotItems.length < 2}>
+                Accept
+              </button>
+              <button onClick={() => setEditingId(editing ? null : suggestion.id)}>
+                {editing ? 'Done' : 'Edit'}
+              </button>
+              <button onClick={() => setDismissed(ids => [...ids, suggestion.id])}>
+                Dismiss
+              </button>
+            </div>
+          </div>
+        );
+      })}
     </div>
   );
 };
 
-const ImageAnalysis = ({ analysisData, imageFile }) => {
-  const [items, setItems] = useState(analysisData.items || []);
-  const [totalValue, setTotalValue] = useState(analysisData.totalValue || 0);
+// The results list that last had the pointer or focus; see ImageAnalysis
+let lastUsedResults = null;
+
+const ImageAnalysis = ({ analysisData, imageFiles, region = DEFAULT_REGION, onItemsChange }) => {
+  const [history, setHistory] = useState(() => createHistory(analysisData.items || []));
   const [editingItem, setEditingItem] = useState(null);
+  const [marketplace, setMarketplace] = useState(region.marketplaces[0] || 'json');
+  const [showBoxEditor, setShowBoxEditor] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showLotBuilder, setShowLotBuilder] = useState(false);
+  // Latest history, for crops and lookups that finish after other edits
+  const historyRef = useRef(history);
+  // Kept stable across renders: BoxEditor makes object URLs from these
+  const photos = useMemo(
+    () => (Array.isArray(imageFiles) ? imageFiles : [imageFiles]).filter(Boolean),
+    [imageFiles]
+  );
+  
+  const items = history.present.items;
+  const totalValue = items.reduce((sum, item) => sum + parseFloat(item.value || 0), 0);
+  // Ids of items that are gone (deleted, or undone away) just don't match
+  const selectedItems = items.filter(item => selectedIds.includes(item.id));
+  
+  // The region's marketplaces, best first, plus our own JSON
+  const marketplaces = [...region.marketplaces, 'json'].map(id => MARKETPLACES[id]).filter(Boolean);
+  
+  const commitHistory = (nextHistory) => {
+    historyRef.current = nextHistory;
+    setHistory(nextHistory);
+    
+    const newItems = nextHistory.present.items;
+    const newTotal = newItems.reduce((sum, item) => sum + parseFloat(item.value || 0), 0);
+    onItemsChange?.(newItems, newTotal);
+  };
+  
+  // Every change goes through here so the inventory store sees it too.
+  // Changes with a label become undo steps.
+  const updateItems = (newItems, label) => {
+    commitHistory(label
+      ? pushHistory(historyRef.current, newItems, label)
+      : replacePresent(historyRef.current, newItems));
+  };
+  
+  const handleUndo = () => commitHistory(undo(historyRef.current));
+  const handleRedo = () => commitHistory(redo(historyRef.current));
+  
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes - unless typing,
+  // or the edit modal is open with its own copy of the item
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || editingItem) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      handleRedo();
+    }
+  };
+  
+  // Shortcuts are listened for on the document, so they keep working after
+  // focus leaves the results (a closed modal, a deleted item). Outside every
+  // results list they go to the one used last.
+  const resultsRef = useRef(null);
+  const keyDownRef = useRef(handleKeyDown);
+  keyDownRef.current = handleKeyDown;
+  
+  useEffect(() => {
+    const results = resultsRef.current;
+    const markUsed = () => { lastUsedResults = results; };
+    const onKeyDown = (e) => {
+      const owner = e.target.closest?.('.inventory-results');
+      if (owner ? owner !== results : lastUsedResults !== results) return;
+      keyDownRef.current(e);
+    };
+    
+    markUsed();
+    results.addEventListener('pointerdown', markUsed);
+    results.addEventListener('focusin', markUsed);
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      results.removeEventListener('pointerdown', markUsed);
+      results.removeEventListener('focusin', markUsed);
+      document.removeEventListener('keydown', onKeyDown);
+      if (lastUsedResults === results) lastUsedResults = null;
+    };
+  }, []);
   
   const handleEdit = (index) => {
     setEditingItem({ ...items[index], index });
   };
   
-  const handleSave = (updatedItem, showNotification = true) => {
+  const handleSave = (updatedItem, showNotification = true, label = `Edited ${updatedItem.name}`) => {
     const newItems = [...items];
-    newItems[updatedItem.index] = updatedItem;
-    setItems(newItems);
-    
-    // Recalculate total
-    const newTotal = newItems.reduce((sum, item) => sum + parseFloat(item.value || 0), 0);
-    setTotalValue(newTotal);
+    const { index, ...item } = updatedItem;
+    newItems[index] = item;
+    updateItems(newItems, label);
     
     setEditingItem(null);
     if (showNotification) {
@@ -659,35 +1252,205 @@ const ImageAnalysis = ({ analysisData, imageFile }) => {
     }
   };
   
+  // Download a marketplace package for the given items
+  const exportItems = (exportedItems, name) => {
+    try {
+      const blob = exportListings(exportedItems, marketplace, { location: region.label, currency: region.currency });
+      downloadBlob(blob, `pyckit-${marketplace}-${name}.zip`);
+      return true;
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert(`Export failed: ${error.message}`);
+      return false;
+    }
+  };
+  
+  const handleListItem = (index) => {
+    const item = items[index];
+    if (!exportItems([item], item.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'))) return;
+    updateItems(items.map((existing, i) => (i === index ? { ...existing, listingStatus: 'listed' } : existing)), `Listed ${item.name}`);
+  };
+  
+  // Saves the modal's edits and marks the item listed in one history step
   const handleListFromModal = (item) => {
-    alert(`Listed: ${item.name} for ${Number(item.value).toLocaleString('en-CA', { style: 'currency', currency: 'CAD', minimumFractionDigits: 0 })}`);
+    const { index, ...listedItem } = item;
+    if (!exportItems([listedItem], listedItem.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'))) return;
+    handleSave({ ...item, listingStatus: 'listed' }, false, `Listed ${item.name}`);
   };
   
+  // No confirmation - it's one Ctrl+Z away
   const handleRemove = (index) => {
-    if (window.confirm('Remove this item from the list?')) {
-      const newItems = items.filter((_, i) => i !== index);
-      setItems(newItems);
-      
-      // Recalculate total
-      const newTotal = newItems.reduce((sum, item) => sum + parseFloat(item.value || 0), 0);
-      setTotalValue(newTotal);
+    updateItems(items.filter((_, i) => i !== index), `Removed ${items[index].name}`);
+  };
+  
+  // The tiled image arrives after the lot is made, for every copy of it
+  const tileLotImage = async (lot) => {
+    const image = await composeLotImage(lot.lotItems).catch(error => {
+      console.error('Could not tile lot image:', error);
+      return null;
+    });
+    if (!image) return;
+    commitHistory(mapHistoryItems(historyRef.current, existing => (
+      existing.id === lot.id ? { ...existing, processedImage: image } : existing
+    )));
+  };
+  
+  const handleCreateLot = (lotItems, options) => {
+    const lot = createLot(lotItems, options);
+    updateItems(replaceWithLot(historyRef.current.present.items, lot), `Bundled ${lotItems.length} items into ${lot.name}`);
+    tileLotImage(lot);
+  };
+  
+  const handleSplitLot = (index) => {
+    updateItems(splitLot(items, items[index].id), `Split ${items[index].name}`);
+  };
+  
+  // Lots are named after the room when there's only one photo
+  const roomName = (photoIndex) => (
+    photos.length <= 1 && analysisData.roomType && analysisData.roomType !== 'unknown'
+      ? analysisData.roomType
+      : `photo ${photoIndex + 1}`
+  );
+  
+  const handleToggleSelect = (id) => {
+    setSelectedIds(ids => (ids.includes(id) ? ids.filter(selected => selected !== id) : [...ids, id]));
+  };
+  
+  // One undo step however many items it touches
+  const handleBulkAction = (action) => {
+    const ids = selectedItems.map(item => item.id);
+    if (!ids.length) return;
+    const newItems = applyBulkAction(items, ids, action);
+    updateItems(newItems, describeBulkAction(action, ids.length, amount => formatMoney(amount, region)));
+    const lot = newItems.find(item => isLot(item) && !items.includes(item));
+    if (lot) tileLotImage(lot);
+    if (action.type === 'delete' || action.type === 'bundle') {
+      setSelectedIds([]);
     }
   };
   
   const handleListAll = () => {
-    alert(`Ready to list all ${items.length} items! Total value: ${totalValue.toLocaleString('en-CA', { style: 'currency', currency: 'CAD', minimumFractionDigits: 0 })}`);
+    if (!items.length || !exportItems(items, 'all')) return;
+    updateItems(items.map(item => (item.listingStatus === 'sold' ? item : { ...item, listingStatus: 'listed' })), 'Listed all items');
+  };
+  
+  const handleReorder = (from, to) => {
+    if (from === null || from === to) return;
+    const newItems = [...items];
+    const [moved] = newItems.splice(from, 1);
+    newItems.splice(to, 0, moved);
+    updateItems(newItems, `Moved ${moved.name}`);
+  };
+  
+  // Crop an item again from its (new) box. The server's crop and isolation
+  // belong to the old box, so they're dropped rather than re-scored.
+  const withoutCrops = ({ image, studioImage, cutout, isolation, pixelBox, cropBox, processedImage, quality, cropInfo, error, ...rest }) => rest;
+  const recropItem = async (item) => {
+    const [recropped] = await processItemsLocally([withoutCrops(item)], photos, () => {});
+    const { processedImage, processed, quality, cropInfo, error } = recropped;
+    return { processedImage, processed, quality, cropInfo, error };
+  };
+  
+  // Finish pending work on an item wherever it still is in the history;
+  // copies that were edited or undone away in the meantime are left alone
+  const finishItem = (pending, update) => {
+    commitHistory(mapHistoryItems(historyRef.current, existing => (
+      existing.id === pending.id && existing.reprocessing && sameBox(existing.boundingBox, pending.boundingBox)
+        ? update(existing)
+        : existing
+    )));
+  };
+  
+  // Save an item; a new box means a new crop
+  const changeItem = async (index, item, label) => {
+    if (sameBox(items[index].boundingBox, item.boundingBox)) {
+      updateItems(items.map((existing, i) => (i === index ? item : existing)), label);
+      return;
+    }
+    
+    const pending = { ...withoutCrops(item), reprocessing: true };
+    updateItems(items.map((existing, i) => (i === index ? pending : existing)), label);
+    const crop = await recropItem(item);
+    finishItem(pending, existing => ({ ...existing, ...crop, reprocessing: undefined }));
+  };
+  
+  const handleBoxChange = (index, boundingBox) => {
+    changeItem(index, { ...items[index], boundingBox }, `Moved box for ${items[index].name}`);
+  };
+  
+  const handleRegenerateCopy = (item, preset) => (
+    generateListingCopy(API_BASE, item, { preset, region: region.id, provider: VISION_PROVIDER })
+  );
+  
+  const handleResetItem = (item) => {
+    const { index, ...current } = item;
+    setEditingItem(null);
+    changeItem(index, resetToSuggestion(current), `Reset ${current.name} to AI suggestion`);
+  };
+  
+  // A box drawn around something the model missed becomes a new draft item,
+  // cropped here and then identified by the API
+  const handleAddItem = async (photoIndex, boundingBox) => {
+    const item = {
+      id: `item-manual-${Date.now().toString(36)}`,
+      name: 'New item',
+      value: null,
+      condition: 'Good',
+      confidence: null,
+      category: 'general',
+      brand: null,
+      ageYears: null,
+      description: '',
+      boundingBox,
+      photoIndex,
+      listingStatus: 'draft',
+      manual: true
+    };
+    updateItems([...items, { ...item, reprocessing: true }], 'Added item');
+    const crop = await recropItem(item);
+    finishItem(item, existing => ({ ...existing, ...crop }));
+    
+    try {
+      const identified = await identifyRegion(API_BASE, {
+        photoId: analysisData.photoIds?.[photoIndex],
+        photo: photos[photoIndex],
+        box: boundingBox,
+        region: region.id,
+        provider: VISION_PROVIDER,
+        itemId: item.id,
+        photoIndex
+      });
+      // Keep our crop; take everything the model could tell about the item
+      const { id, image, pixelBox, cropBox, boundingBox: box, photoIndex: index, ...details } = identified;
+      finishItem(item, existing => withAiSuggestion({ ...existing, ...details, reprocessing: undefined }));
+    } catch (error) {
+      console.error('Could not identify the new item:', error);
+      finishItem(item, existing => ({ ...existing, reprocessing: undefined }));
+    }
   };
   
   return (
-    <div className="inventory-results">
+    <div className="inventory-results" ref={resultsRef}>
       <div className="total-value">
         <h3>Total Estimated Value</h3>
         <div className="amount">
-          ${totalValue.toLocaleString('en-CA', { style: 'currency', currency: 'CAD', minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+          {formatMoney(totalValue, region)}
         </div>
       </div>
       
       <div style={{ textAlign: 'center', marginBottom: 24 }}>
+        <div className="export-target">
+          <label htmlFor="export-marketplace">Export for</label>
+          <select
+            id="export-marketplace"
+            value={marketplace}
+            onChange={(e) => setMarketplace(e.target.value)}
+          >
+            {marketplaces.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
         <button
           onClick={handleListAll}
           style={{
@@ -703,31 +1466,126 @@ const ImageAnalysis = ({ analysisData, imageFile }) => {
         >
           List All Items ({items.length})
         </button>
+        <div className="history-controls">
+          <button
+            onClick={handleUndo}
+            disabled={!undoLabel(history)}
+            title={undoLabel(history) ? `Undo: ${undoLabel(history)} (Ctrl+Z)` : 'Nothing to undo'}
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={handleRedo}
+            disabled={!redoLabel(history)}
+            title={redoLabel(history) ? `Redo: ${redoLabel(history)} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+          >
+            ↷ Redo
+          </button>
+          {undoLabel(history) && (
+            <span className="history-last">{undoLabel(history)}</span>
+          )}
+        </div>
       </div>
       
       <h3 style={{ marginBottom: 16, textAlign: 'center' }}>🏠 Your Sellable Items</h3>
       
+      {photos.length > 0 && (
+        <div style={{ textAlign: 'center', marginBottom: 16 }}>
+          <button className="adjust-boxes-btn" onClick={() => setShowBoxEditor(true)}>
+            ✏️ Fix boxes or add a missed item
+          </button>
+        </div>
+      )}
+      
+      {lotCandidates(items).length >= LOT_DEFAULTS.minItems && !showLotBuilder && (
+        <div style={{ textAlign: 'center', marginBottom: 16 }}>
+          <button className="adjust-boxes-btn" onClick={() => setShowLotBuilder(true)}>
+            📦 Bundle cheap items into lots
+          </button>
+        </div>
+      )}
+      
+      {showLotBuilder && (
+        <LotBuilder
+          items={items}
+          region={region}
+          roomName={roomName}
+          onCreateLot={handleCreateLot}
+          onClose={() => setShowLotBuilder(false)}
+        />
+      )}
+      
+      {items.length > 0 && (
+        <BulkActions
+          items={items}
+          selectedItems={selectedItems}
+          region={region}
+          onSelect={setSelectedIds}
+          onApply={handleBulkAction}
+        />
+      )}
+      
       <div className="items-grid">
         {items.map((item, index) => (
           <ItemCard 
-            key={index} 
+            key={item.id || index} 
             item={item} 
             index={index} 
+            region={region}
             onEdit={handleEdit}
             onRemove={handleRemove}
+            onList={handleListItem}
+            onSplit={handleSplitLot}
+            selected={selectedIds.includes(item.id)}
+            onToggleSelect={handleToggleSelect}
+            dragHandlers={{
+              draggable: true,
+              onDragStart: () => setDragIndex(index),
+              onDragOver: (e) => e.preventDefault(),
+              onDrop: () => handleReorder(dragIndex, index),
+              onDragEnd: () => setDragIndex(null)
+            }}
           />
         ))}
       </div>
       
+      {showBoxEditor && (
+        <BoxEditor
+          photos={photos}
+          items={items}
+          onBoxChange={handleBoxChange}
+          onAddItem={handleAddItem}
+          onClose={() => setShowBoxEditor(false)}
+        />
+      )}
+      
       {editingItem && (
         <EditModal
           item={editingItem}
           onSave={handleSave}
           onList={handleListFromModal}
+          onReset={handleResetItem}
+          onRegenerate={handleRegenerateCopy}
           onClose={() => setEditingItem(null)}
         />
       )}
       
+      {(analysisData.parseError || analysisData.itemErrors?.length > 0) && (
+        <div style={{ padding: 16, backgroundColor: '#FEF3C7', borderRadius: 8, maxWidth: 800, margin: '24px auto' }}>
+          <h4 style={{ color: '#92400E', marginBottom: 8 }}>⚠️ Some detections couldn't be used</h4>
+          <ul style={{ color: '#92400E', marginLeft: 20, lineHeight: 1.6 }}>
+            {analysisData.parseError && (
+              <li>The AI response could not be read: {analysisData.parseError.message}</li>
+            )}
+            {(analysisData.itemErrors || []).map((itemError) => (
+              <li key={itemError.index}>
+                {itemError.name || `Item ${itemError.index + 1}`}: {itemError.errors.map(e => e.message).join('; ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {analysisData.insights?.quickWins && (
         <div style={{ marginTop: 24, padding: 16, backgroundColor: '#E8F5E9', borderRadius: 8, maxWidth: 800, margin: '24px auto' }}>
           <h4 style={{ color: '#2E7D32', marginBottom: 8 }}>💡 Results:</h4>
@@ -743,303 +1601,168 @@ const ImageAnalysis = ({ analysisData, imageFile }) => {
 };
 
 
-// Updated function to handle segmentation masks from backend
-async function processItemsLocally(items, imageFile, onProgress) {
-  const img = new Image();
-  
-  return new Promise((resolve) => {
-    img.onload = async () => {
-      const processedItems = [];
-      
-      // Log image dimensions for debugging
-      console.log(`Processing image with dimensions: ${img.width}x${img.height}`);
-      
-      // Create a temporary canvas for the full image
-      const fullCanvas = document.createElement('canvas');
-      fullCanvas.width = img.width;
-      fullCanvas.height = img.height;
-      const fullCtx = fullCanvas.getContext('2d');
-      fullCtx.drawImage(img, 0, 0);
-      
-      for (let i = 0; i < items.length; i++) {
-        const item = items[i];
-        onProgress(i + 1, items.length, item.name);
-        
-        try {
-          // Skip if item is invalid
-          if (!item || !item.boundingBox || typeof item.boundingBox.x === 'undefined') {
-            console.error('Invalid item structure:', item);
-            processedItems.push({
-              ...item,
-              name: item?.name || 'Unknown Item',
-              processedImage: URL.createObjectURL(imageFile),
-              processed: false,
-              error: 'Invalid item structure'
-            });
-            continue;
-          }
-          
-          console.log(`Processing item ${i + 1}/${items.length}: ${item.name}`);
-          console.log(`Bounding box:`, item.boundingBox);
-          
-          // If we have a segmentation mask from the backend, use it
-          if (item.hasSegmentation && item.segmentationMask) {
-            console.log(`Using SAM automatic segmentation for ${item.name}`);
-            try {
-              // Create canvas for the full image
-              const fullCanvas = document.createElement('canvas');
-              fullCanvas.width = img.width;
-              fullCanvas.height = img.height;
-              const fullCtx = fullCanvas.getContext('2d');
-              fullCtx.drawImage(img, 0, 0);
-              
-              // Apply the automatic mask
-              const isolatedImage = await applyAutomaticSegmentationMask(
-                fullCanvas, 
-                item.segmentationMask, 
-                item.boundingBox
-              );
-              
-              if (isolatedImage) {
-                // Create a new image to ensure the data URL is loaded
-                const tempImg = new Image();
-                const imgLoadPromise = new Promise((resolve) => {
-                  tempImg.onload = resolve;
-                  tempImg.onerror = () => {
-                    console.error('Failed to load processed image');
-                    resolve(null);
-                  };
-                });
-                tempImg.src = isolatedImage;
-                await imgLoadPromise;
-                
-                if (tempImg.complete && tempImg.naturalWidth > 0) {
-                  processedItems.push({
-                    ...item,
-                    processedImage: isolatedImage,
-                    processed: true
-                  });
-                  console.log(`Successfully applied automatic mask for ${item.name}`);
-                  continue;
-                } else {
-                  console.log('Processed image failed to load, falling back to simple cropping');
-                }
-              } else {
-                console.log('No isolated image returned from segmentation');
-              }
-            } catch (segError) {
-              console.error(`Automatic segmentation failed for ${item.name}:`, segError);
-              // Continue to fallback cropping
-            }
-          }
-          
-          // Fallback to simple cropping if no segmentation or if it failed
-          console.log(`Using simple cropping for ${item.name}`);
-
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
-          // Calculate crop area with slightly larger padding for fallback (10% instead of 5%)
-          const padding = 0.1; // Slightly more padding for non-masked items
-          const centerX = (item.boundingBox.x / 100) * img.width;
-          const centerY = (item.boundingBox.y / 100) * img.height;
-          const boxWidth = (item.boundingBox.width / 100) * img.width;
-          const boxHeight = (item.boundingBox.height / 100) * img.height;
-
-          // Calculate crop area with padding
-          const padX = boxWidth * padding;
-          const padY = boxHeight * padding;
-
-          const cropX = Math.max(0, Math.floor(centerX - boxWidth/2 - padX));
-          const cropY = Math.max(0, Math.floor(centerY - boxHeight/2 - padY));
-          const cropWidth = Math.min(
-            Math.ceil(boxWidth + 2 * padX), 
-            img.width - cropX
-          );
-          const cropHeight = Math.min(
-            Math.ceil(boxHeight + 2 * padY), 
-            img.height - cropY
-          );
-
-          // Skip if crop area is invalid
-          if (cropWidth <= 0 || cropHeight <= 0) {
-            console.error(`Invalid crop dimensions for ${item.name}: ${cropWidth}x${cropHeight}`);
-            processedItems.push({
-              ...item,
-              processedImage: URL.createObjectURL(imageFile),
-              processed: false,
-              error: 'Invalid crop dimensions'
-            });
-            continue;
-          }
+// Grow a center-based percent box by `padding` of its size on each side,
+// keeping it inside the photo
+function padBoundingBox(box, padding) {
+  const left = Math.max(0, box.x - box.width / 2 - box.width * padding);
+  const top = Math.max(0, box.y - box.height / 2 - box.height * padding);
+  const right = Math.min(100, box.x + box.width / 2 + box.width * padding);
+  const bottom = Math.min(100, box.y + box.height / 2 + box.height * padding);
+  return {
+    x: (left + right) / 2,
+    y: (top + bottom) / 2,
+    width: right - left,
+    height: bottom - top
+  };
+}
 
-          // Make canvas square to match the segmented items
-          const maxDim = Math.max(cropWidth, cropHeight);
-          canvas.width = maxDim;
-          canvas.height = maxDim;
-
-          // Pure white background
-          ctx.fillStyle = '#FFFFFF';
-          ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-          // Add subtle shadow for consistency
-          ctx.shadowColor = 'rgba(0, 0, 0, 0.1)';
-          ctx.shadowBlur = 8;
-          ctx.shadowOffsetX = 0;
-          ctx.shadowOffsetY = 2;
-
-          // Center the cropped image in the square canvas
-          const offsetX = (maxDim - cropWidth) / 2;
-          const offsetY = (maxDim - cropHeight) / 2;
-
-          // Draw the cropped portion centered
-          try {
-            ctx.drawImage(
-              img,
-              cropX, cropY, cropWidth, cropHeight,
-              offsetX, offsetY, cropWidth, cropHeight
-            );
-            
-            const processedImageUrl = canvas.toDataURL('image/jpeg', 0.95);
-            processedItems.push({
-              ...item,
-              processedImage: processedImageUrl,
-              processed: true,
-              cropInfo: { cropX, cropY, cropWidth, cropHeight }
-            });
-            
-            // Debug log the processed image URL
-            console.log(`Item ${item.name || 'unnamed'} processed image preview:`, 
-              processedImageUrl.substring(0, 50) + '...');
-            
-          } catch (drawError) {
-            console.error(`Error drawing ${item.name}:`, drawError);
-            processedItems.push({
-              ...item,
-              processedImage: URL.createObjectURL(imageFile),
-              processed: false,
-              error: drawError.message
-            });
-          }
-          
-        } catch (error) {
-          console.error(`Failed to process ${item.name}:`, error);
-          processedItems.push({
-            ...item,
-            processedImage: URL.createObjectURL(imageFile),
-            processed: false,
-            error: error.message
-          });
-        }
-      }
-      
-      // Clean up object URL
-      URL.revokeObjectURL(img.src);
-      console.log(`Finished processing ${processedItems.length} items`);
-      resolve(processedItems);
+// Load a photo into a canvas the size of the original
+function loadImageCanvas(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      URL.revokeObjectURL(url);
+      resolve(canvas);
     };
-    
-    img.onerror = (error) => {
-      console.error('Failed to load image:', error);
-      resolve(items.map(item => ({
-        ...item,
-        processedImage: URL.createObjectURL(imageFile),
-        processed: false,
-        error: 'Failed to load image'
-      })));
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Failed to load image ${file.name}`));
     };
-    
-    // Load the image
-    img.src = URL.createObjectURL(imageFile);
+    img.src = url;
   });
 }
 
-async function applySegmentationMask(img, maskData, boundingBox) {
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+// Updated function to handle segmentation masks from backend.
+// Accepts one photo or every photo of a session; items pick theirs by photoIndex.
+async function processItemsLocally(items, imageFiles, onProgress) {
+  const files = Array.isArray(imageFiles) ? imageFiles : [imageFiles];
+  const photoUrl = (item) => URL.createObjectURL(files[item?.photoIndex || 0]);
 
+  let canvases;
   try {
-    if (!img || !boundingBox) {
-      throw new Error('Invalid input: missing image or bounding box');
-    }
+    canvases = await Promise.all(files.map(loadImageCanvas));
+  } catch (error) {
+    console.error('Failed to load image:', error);
+    return items.map(item => ({
+      ...item,
+      processedImage: photoUrl(item),
+      processed: false,
+      error: 'Failed to load image'
+    }));
+  }
 
-    // Convert percentage coordinates to pixels
-    const centerX = (boundingBox.x / 100) * img.width;
-    const centerY = (boundingBox.y / 100) * img.height;
-    const boxWidth = (boundingBox.width / 100) * img.width;
-    const boxHeight = (boundingBox.height / 100) * img.height;
+  // Log image dimensions for debugging
+  canvases.forEach((canvas, index) => {
+    console.log(`Processing photo ${index + 1} with dimensions: ${canvas.width}x${canvas.height}`);
+  });
+
+  const processedItems = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    onProgress(i + 1, items.length, item.name);
     
-    // Calculate padding (15% of box size)
-    const padX = boxWidth * 0.15;
-    const padY = boxHeight * 0.15;
-
-    // Calculate crop area with padding
-    const cropX = Math.max(0, Math.floor(centerX - boxWidth / 2 - padX));
-    const cropY = Math.max(0, Math.floor(centerY - boxHeight / 2 - padY));
-    const cropWidth = Math.min(Math.ceil(boxWidth + 2 * padX), img.width - cropX);
-    const cropHeight = Math.min(Math.ceil(boxHeight + 2 * padY), img.height - cropY);
-
-    if (cropWidth <= 0 || cropHeight <= 0) {
-      throw new Error(`Invalid crop dimensions: ${cropWidth}x${cropHeight}`);
-    }
+    try {
+      // Skip if item is invalid
+      if (!item || !item.boundingBox || typeof item.boundingBox.x === 'undefined') {
+        console.error('Invalid item structure:', item);
+        processedItems.push({
+          ...item,
+          name: item?.name || 'Unknown Item',
+          processedImage: photoUrl(item),
+          processed: false,
+          error: 'Invalid item structure'
+        });
+        continue;
+      }
+      
+      const fullCanvas = canvases[item.photoIndex || 0];
 
-    // Set canvas size to match crop area
-    canvas.width = cropWidth;
-    canvas.height = cropHeight;
+      console.log(`Processing item ${i + 1}/${items.length}: ${item.name}`);
+      console.log(`Bounding box:`, item.boundingBox);
 
-    // Draw original image into cropped area
-    ctx.drawImage(img, cropX, cropY, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+      // Gather every isolation we can get for this item, then keep the best-scoring one
+      const candidates = [];
 
-    // Apply mask if available
-    if (maskData) {
-      const maskImg = new Image();
-      const maskLoaded = new Promise((resolve, reject) => {
-        maskImg.onload = resolve;
-        maskImg.onerror = () => reject(new Error('Failed to load mask image'));
-      });
-      maskImg.src = maskData;
-      await maskLoaded;
+      // Server-side isolation or crop
+      if (item.studioImage || item.image) {
+        candidates.push({ source: 'server', image: item.studioImage || item.image });
+      }
 
-      // Apply mask using destination-in to show only the masked area
-      ctx.globalCompositeOperation = 'destination-in';
-      ctx.drawImage(maskImg, 0, 0, cropWidth, cropHeight);
-      ctx.globalCompositeOperation = 'source-over';
-    }
+      // If we have a segmentation mask from the backend, use it
+      if (item.hasSegmentation && item.segmentationMask) {
+        console.log(`Using SAM automatic segmentation for ${item.name}`);
+        try {
+          // Rejects for masks that can't be loaded or are empty
+          candidates.push({ source: 'sam', image: await isolateWithMask(fullCanvas, item.segmentationMask) });
+        } catch (segError) {
+          console.error(`Automatic segmentation failed for ${item.name}:`, segError);
+        }
+      }
 
-    // Get non-transparent bounds for tight cropping
-    const croppedData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const bounds = getNonTransparentBounds(croppedData.data, canvas.width, canvas.height);
-
-    // Final square canvas output
-    const squareSize = Math.max(bounds.width, bounds.height);
-    const squareCanvas = document.createElement('canvas');
-    squareCanvas.width = squareSize;
-    squareCanvas.height = squareSize;
-    const squareCtx = squareCanvas.getContext('2d');
-
-    // White background
-    squareCtx.fillStyle = '#ffffff';
-    squareCtx.fillRect(0, 0, squareSize, squareSize);
-
-    // Draw image centered
-    squareCtx.drawImage(
-      canvas,
-      bounds.x, bounds.y, bounds.width, bounds.height,
-      (squareSize - bounds.width) / 2,
-      (squareSize - bounds.height) / 2,
-      bounds.width, bounds.height
-    );
+      // Tight crop of the box, and one padded 10% each side in case the box is too small.
+      // Both are painted onto the background style for the item's category,
+      // or the one picked for it via item.backgroundStyle
+      const padding = 0.1;
+      const paddedBox = padBoundingBox(item.boundingBox, padding);
+      try {
+        candidates.push({ source: 'tight', image: await isolationService.isolateItem(item, fullCanvas) });
+        candidates.push({ source: 'padded', image: await isolationService.isolateItem({ ...item, boundingBox: paddedBox }, fullCanvas) });
+      } catch (drawError) {
+        console.error(`Error drawing ${item.name}:`, drawError);
+      }
 
-    return squareCanvas.toDataURL('image/jpeg', 0.95);
-  } catch (error) {
-    console.error('Error in applySegmentationMask:', error);
-    return null;
+      const best = await pickBestCandidate(candidates);
+      if (!best) {
+        throw new Error('No isolation candidate could be loaded');
+      }
+
+      console.log(`Best image for ${item.name}: ${best.source} (score ${best.score})`, best.candidates);
+
+      processedItems.push({
+        ...item,
+        processedImage: best.image,
+        processed: true,
+        quality: {
+          score: best.score,
+          source: best.source,
+          metrics: best.metrics,
+          candidates: best.candidates
+        },
+        cropInfo: {
+          cropX: Math.round(((paddedBox.x - paddedBox.width / 2) / 100) * fullCanvas.width),
+          cropY: Math.round(((paddedBox.y - paddedBox.height / 2) / 100) * fullCanvas.height),
+          cropWidth: Math.round((paddedBox.width / 100) * fullCanvas.width),
+          cropHeight: Math.round((paddedBox.height / 100) * fullCanvas.height)
+        }
+      });
+      
+    } catch (error) {
+      console.error(`Failed to process ${item.name}:`, error);
+      processedItems.push({
+        ...item,
+        processedImage: photoUrl(item),
+        processed: false,
+        error: error.message
+      });
+    }
   }
+  
+  console.log(`Finished processing ${processedItems.length} items`);
+  return processedItems;
 }
 
 // Main App Component
 export default function App() {
-  const [hasApiKey, setHasApiKey] = useState(false);
+  // undefined while the session is being checked, null when signed out
+  const [user, setUser] = useState(undefined);
+  const [showKeySettings, setShowKeySettings] = useState(false);
+  const [usage, setUsage] = useState(null);
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [, setSelectedImage] = useState(null);
@@ -1047,103 +1770,223 @@ export default function App() {
   const [processingStatus, setProcessingStatus] = useState(null);
   const [items, setItems] = useState([]);
   const [totalValue, setTotalValue] = useState(0);
+  const [analyses, setAnalyses] = useState([]);
+  const [currentAnalysisId, setCurrentAnalysisId] = useState(null);
+  const [regions, setRegions] = useState([DEFAULT_REGION]);
+  const [regionId, setRegionId] = useState(() => localStorage.getItem(REGION_STORAGE) || DEFAULT_REGION.id);
+  const region = findRegion(regions, regionId);
   const fileInputRef = useRef(null);
   
   useEffect(() => {
-    const storedKey = localStorage.getItem(API_KEY_STORAGE);
-    setHasApiKey(!!storedKey);
+    getCurrentUser(API_BASE).then(setUser);
+  }, []);
+  
+  const userId = user?.id;
+  useEffect(() => {
+    if (!userId) return;
+    getUsage(API_BASE)
+      .then(setUsage)
+      .catch(error => console.error('Failed to load usage:', error));
+  }, [userId]);
+  
+  // Saved analyses, per user; IndexedDB unless REACT_APP_INVENTORY_BACKEND=server
+  const inventory = useMemo(() => (user ? createInventoryStore(API_BASE, user.id) : null), [user]);
+  
+  const refreshAnalyses = async () => {
+    if (!inventory) return;
+    try {
+      setAnalyses(await inventory.listAnalyses());
+    } catch (error) {
+      console.error('Failed to load saved analyses:', error);
+    }
+  };
+  
+  useEffect(() => {
+    if (!inventory) return;
+    inventory.listAnalyses()
+      .then(setAnalyses)
+      .catch(error => console.error('Failed to load saved analyses:', error));
+  }, [inventory]);
+  
+  useEffect(() => {
+    fetchRegions(API_BASE).then(({ regions: available, defaultRegion }) => {
+      setRegions(available);
+      setRegionId(current => (available.some(option => option.id === current) ? current : defaultRegion));
+    });
   }, []);
   
+  const handleRegionChange = (id) => {
+    setRegionId(id);
+    localStorage.setItem(REGION_STORAGE, id);
+  };
+  
+  // Write item edits and listing status back to the saved analysis
+  const persistItems = async (id, items, totalValue) => {
+    try {
+      const record = await inventory.getAnalysis(id);
+      if (!record) return;
+      await inventory.saveAnalysis({ ...record, items, totalValue, updatedAt: new Date().toISOString() });
+      refreshAnalyses();
+    } catch (error) {
+      console.error('Failed to save analysis:', error);
+    }
+  };
+  
+  const renderAnalysis = (record, imageFiles) => (
+    <ImageAnalysis
+      key={record.id}
+      analysisData={record}
+      imageFiles={imageFiles}
+      region={findRegion(regions, record.region)}
+      onItemsChange={(items, total) => persistItems(record.id, items, total)}
+    />
+  );
+  
+  const openAnalysis = async (id) => {
+    try {
+      const record = await inventory.getAnalysis(id);
+      if (!record) {
+        refreshAnalyses();
+        return;
+      }
+      setCurrentAnalysisId(id);
+      setProcessingStatus(null);
+      setMessages([
+        { role: 'user', text: record.title, images: record.photos },
+        { role: 'assistant', component: renderAnalysis(record, record.photos || []) }
+      ]);
+    } catch (error) {
+      console.error('Failed to open analysis:', error);
+    }
+  };
+  
+  const startNewAnalysis = () => {
+    setMessages([]);
+    setCurrentAnalysisId(null);
+    setProcessingStatus(null);
+    setShowKeySettings(false);
+  };
+  
+  const handleSignedIn = (signedInUser) => {
+    startNewAnalysis();
+    setUser(signedInUser);
+  };
+  
+  const handleSignOut = async () => {
+    try {
+      await signOut(API_BASE);
+    } catch (error) {
+      console.error('Sign out failed:', error);
+    }
+    startNewAnalysis();
+    setAnalyses([]);
+    setUsage(null);
+    setUser(null);
+  };
+  
+  const handleSaveKey = async (provider, apiKey) => {
+    try {
+      const keys = await saveProviderKey(API_BASE, provider, apiKey);
+      setUser(current => ({ ...current, keys }));
+      setShowKeySettings(false);
+    } catch (error) {
+      alert(`Could not save your key: ${error.message}`);
+    }
+  };
+  
+  const handleRemoveKey = async (provider) => {
+    try {
+      const keys = await removeProviderKey(API_BASE, provider);
+      setUser(current => ({ ...current, keys }));
+    } catch (error) {
+      alert(`Could not remove your key: ${error.message}`);
+    }
+  };
+  
   const handleFileSelect = (event) => {
-    const file = event.target.files[0];
-    if (file && file.type.startsWith('image/')) {
-      console.log('Selected file:', file.name, file.size, file.type);
-      setSelectedImage(file);
+    // Several photos of the same room are analyzed together as one session
+    const files = Array.from(event.target.files || []).filter(isImageFile);
+    if (files.length) {
+      files.forEach(file => console.log('Selected file:', file.name, file.size, file.type));
+      setSelectedImage(files);
       
-      // Create a preview URL for debugging
-      const previewUrl = URL.createObjectURL(file);
-      console.log('Preview URL:', previewUrl);
-      
-      // Load the image to check dimensions
-      const img = new Image();
-      img.onload = () => {
-        console.log('Image dimensions:', img.width, 'x', img.height);
-      };
-      img.onerror = () => console.error('Failed to load image');
-      img.src = previewUrl;
-      
-      sendMessage('Analyze this room for sellable items', file);
+      sendMessage(
+        files.length > 1
+          ? `Analyze these ${files.length} photos of one room for sellable items`
+          : 'Analyze this room for sellable items',
+        files
+      );
     }
   };
   
-  const sendMessage = async (text, imageFile) => {
-    console.log('Starting message send with image:', imageFile?.name);
-    const apiKey = localStorage.getItem(API_KEY_STORAGE);
-    if (!apiKey) {
-      console.error('No API key found');
-      setHasApiKey(false);
-      return;
-    }
+  const sendMessage = async (text, imageFiles = []) => {
+    console.log('Starting message send with images:', imageFiles.map(file => file.name));
+    setShowKeySettings(false);
     
-    setMessages(prev => [...prev, { role: 'user', text, image: imageFile }]);
+    setMessages(prev => [...prev, { role: 'user', text, images: imageFiles }]);
     setIsLoading(true);
     
     const processImage = async () => {
-      if (!imageFile) {
+      if (!imageFiles.length) {
         setIsLoading(false);
         return;
       }
 
-      console.log('Processing image file:', imageFile.name, imageFile.size, imageFile.type);
-      const reader = new FileReader();
-      
       try {
-        // First, try to load and validate the image
-        const imageLoadPromise = new Promise((resolve, reject) => {
-          const img = new Image();
-          img.onload = () => resolve(img);
-          img.onerror = (e) => reject(new Error('Failed to load image'));
-          img.src = URL.createObjectURL(imageFile);
-        });
-        
-        const img = await imageLoadPromise;
-        console.log('Image loaded successfully:', img.width, 'x', img.height);
-        
-        // Read the file as base64
-        const base64 = await new Promise((resolve, reject) => {
-          reader.onload = (e) => resolve(e.target.result.split(',')[1]);
-          reader.onerror = (e) => reject(new Error('Failed to read image data'));
-          reader.readAsDataURL(imageFile);
+        // Upright, downscaled, metadata-free JPEGs go up; full-size originals
+        // (HEIC converted to JPEG) stay here for crops and previews
+        const prepared = await preprocessImages(imageFiles);
+        prepared.forEach((photo, index) => {
+          console.log(`Prepared ${imageFiles[index].name}: ${photo.originalWidth}x${photo.originalHeight} -> ${photo.width}x${photo.height}, ${Math.round(photo.bytes / 1024)} KB`);
         });
-        
-        if (!base64) {
-          throw new Error('Failed to convert image to base64');
+        const photos = prepared.map(photo => photo.original);
+        if (prepared.some(photo => photo.converted)) {
+          setMessages(prev => prev.map(message => (message.images === imageFiles ? { ...message, images: photos } : message)));
         }
         
         // Make API call
-        const endpoint = API_URL + (API_URL.endsWith('/api') ? '/analyze-simple' : '/api/analyze-simple');
+        const endpoint = `${API_BASE}/analyze`;
         console.log('Sending request to:', endpoint);
         
-        // Hard-coded location for Calgary
-        const userLocation = "Calgary, Canada"; // Hard-coded for now
-        
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            image: base64,
-            location: userLocation,
-            roomType: 'unknown'
-          })
+        // Photos go up as a multipart upload; the session cookie authorizes the
+        // request and provider keys stay on the server.
+        const form = new FormData();
+        prepared.forEach((photo, index) => {
+          form.append('images', photo.upload, `photo-${index + 1}.jpg`);
+        });
+        if (VISION_PROVIDER) form.append('provider', VISION_PROVIDER);
+        form.append('region', region.id);
+        form.append('roomType', 'unknown');
+
+        // Stages and items stream in as the server gets to them
+        let progress = initialProgress(prepared.length);
+        setProcessingStatus(progress);
+        const { response, data } = await analyzeWithProgress(endpoint, form, (event, eventData) => {
+          progress = applyProgressEvent(progress, event, eventData);
+          setProcessingStatus(progress);
         });
         
         if (!response.ok) {
           const errorText = await response.text();
+          if (response.status === 401 && errorText.includes('Unauthorized')) {
+            setUser(null); // session expired
+          }
+          if (response.status === 429) {
+            let details = {};
+            try { details = JSON.parse(errorText); } catch (e) { /* plain-text upstream error */ }
+            if (details.usage) setUsage(current => ({ ...current, ...details.usage }));
+            throw new Error(`Rate limited: ${details.error || `try again in ${response.headers.get('Retry-After') || 60} seconds`}`);
+          }
+          if (response.status === 413 || response.status === 415) {
+            let details = {};
+            try { details = JSON.parse(errorText); } catch (e) { /* plain-text upstream error */ }
+            throw new Error(`Upload rejected: ${details.error || 'photo too large or not a supported image'}`);
+          }
           throw new Error(`Server error: ${response.status} - ${errorText}`);
         }
         
-        const data = await response.json();
         console.log('Backend response:', data);
+        if (data.usage) setUsage(data.usage);
         
         if (!data.success) {
           throw new Error(data.error || 'Analysis failed');
@@ -1164,7 +2007,7 @@ export default function App() {
         
         const processedItems = await processItemsLocally(
           data.items, 
-          imageFile,
+          photos,
           (current, total, itemName) => {
             setProcessingStatus({ current, total, currentItem: itemName });
           }
@@ -1172,15 +2015,19 @@ export default function App() {
         
         setProcessingStatus(null);
         
-        const analysisData = {
-          ...data,
-          items: processedItems,
-          imageFile
-        };
+        const record = createAnalysisRecord({ ...data, items: processedItems }, photos);
+        try {
+          await inventory.saveAnalysis(record);
+          setCurrentAnalysisId(record.id);
+          refreshAnalyses();
+        } catch (error) {
+          // Still show the results; they just won't be in the history
+          console.error('Failed to save analysis:', error);
+        }
         
         setMessages(prev => [...prev, { 
           role: 'assistant', 
-          component: <ImageAnalysis analysisData={analysisData} imageFile={imageFile} />
+          component: renderAnalysis(record, photos)
         }]);
         
       } catch (error) {
@@ -1188,10 +2035,14 @@ export default function App() {
         setProcessingStatus(null);
         
         let errorMessage = 'An error occurred while processing the image.';
-        if (error.message.includes('overloaded') || error.message.includes('529')) {
+        if (error.message.startsWith('Rate limited: ')) {
+          errorMessage = error.message.replace('Rate limited: ', '');
+        } else if (error.message.startsWith('Upload rejected: ')) {
+          errorMessage = error.message.replace('Upload rejected: ', '');
+        } else if (error.message.includes('overloaded') || error.message.includes('529')) {
           errorMessage = 'The AI service is currently overloaded. Please try again in a few moments.';
         } else if (error.message.includes('401')) {
-          errorMessage = 'Authentication failed. Please check your API key.';
+          errorMessage = 'Authentication failed. Please sign in again or check your API key.';
         } else if (error.message.includes('Failed to load image')) {
           errorMessage = 'The image could not be loaded. It may be corrupted or in an unsupported format.';
         } else if (error.message.includes('network')) {
@@ -1220,10 +2071,10 @@ export default function App() {
     setSelectedImage(null);
   };
   
-  if (!hasApiKey) {
+  if (!user) {
     return (
       <div className="app-container">
-        <Sidebar onNewChat={() => window.location.reload()} />
+        <Sidebar onNewChat={startNewAnalysis} />
         <div className="main-content">
           <div className="chat-header">
             <div className="model-selector">
@@ -1232,7 +2083,7 @@ export default function App() {
           </div>
           <div className="chat-messages">
             <div className="message-container">
-              <ApiKeyPrompt onSave={() => setHasApiKey(true)} />
+              {user === null && <LoginScreen onSignedIn={handleSignedIn} />}
             </div>
           </div>
         </div>
@@ -1243,19 +2094,48 @@ export default function App() {
   
   return (
     <div className="app-container">
-      <Sidebar onNewChat={() => window.location.reload()} />
+      <Sidebar
+        analyses={analyses}
+        regions={regions}
+        currentAnalysisId={currentAnalysisId}
+        user={user}
+        usage={usage}
+        onSelect={openAnalysis}
+        onNewChat={startNewAnalysis}
+        onManageKeys={() => setShowKeySettings(true)}
+        onSignOut={handleSignOut}
+      />
       
       <div className="main-content">
         <div className="chat-header">
           <div className="model-selector">
             <span className="model-name">Pyckit Vision AI ▼</span>
           </div>
+          <select
+            className="region-selector"
+            value={region.id}
+            onChange={(e) => handleRegionChange(e.target.value)}
+            title="Market used for prices and listings"
+          >
+            {regions.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
         </div>
         
         <div className="chat-messages">
           <div className="message-container">
-            {messages.length === 0 && (
-              <WelcomeScreen onFileSelect={handleFileSelect} />
+            {showKeySettings && (
+              <ApiKeyPrompt
+                savedKeys={user.keys}
+                onSave={handleSaveKey}
+                onRemove={handleRemoveKey}
+                onClose={() => setShowKeySettings(false)}
+              />
+            )}
+            
+            {messages.length === 0 && !showKeySettings && (
+              <WelcomeScreen onFileSelect={handleFileSelect} region={region} />
             )}
             
             {messages.map((msg, index) => (
@@ -1265,15 +2145,15 @@ export default function App() {
                 </div>
                 <div className="message-content">
                   {msg.component || <div className="message-text">{msg.text}</div>}
-                  {msg.image && (
-                    <div className="image-preview" style={{ marginTop: 12 }}>
+                  {msg.images?.map((image, imageIndex) => (
+                    <div key={imageIndex} className="image-preview" style={{ marginTop: 12 }}>
                       <img 
-                        src={msg.thumbnail ? URL.createObjectURL(msg.thumbnail) : URL.createObjectURL(msg.image)} 
-                        alt="Uploaded" 
+                        src={URL.createObjectURL(image)} 
+                        alt={`Uploaded ${imageIndex + 1}`} 
                         className="item-image"
                       />
                     </div>
-                  )}
+                  ))}
                 </div>
               </div>
             ))}
@@ -1319,7 +2199,8 @@ export default function App() {
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*"
+            accept="image/*,.heic,.heif"
+            multiple
             onChange={handleFileSelect}
             style={{ display: 'none' }}
           />
@@ -1327,7 +2208,7 @@ export default function App() {
       </div>
       
       {processingStatus && (
-        <ProcessingStatus {...processingStatus} />
+        <ProcessingStatus {...processingStatus} region={region} />
       )}
       
       <SpeedInsights />
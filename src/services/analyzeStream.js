@@ -0,0 +1,146 @@
+// Analyze with live progress.
+// The analyze route streams Server-Sent Events when asked for
+// `text/event-stream`; this reads them from a POST (EventSource can only GET)
+// and folds them into a progress object for ProcessingStatus.
+
+export const ANALYSIS_STAGES = [
+  { id: 'received', label: 'Upload received' },
+  { id: 'model', label: 'Model called' },
+  { id: 'identified', label: 'Items identified' },
+  { id: 'priced', label: 'Pricing done' },
+  { id: 'crop', label: 'Items cropped' }
+];
+
+export function initialProgress(photoCount = 1) {
+  return {
+    photos: photoCount,
+    stages: Object.fromEntries(ANALYSIS_STAGES.map(stage => [stage.id, { status: 'pending', detail: '' }])),
+    items: []
+  };
+}
+
+const itemKey = data => `${data.photoIndex}-${data.id}`;
+
+function setStage(progress, id, status, detail = progress.stages[id].detail) {
+  return { ...progress, stages: { ...progress.stages, [id]: { status, detail } } };
+}
+
+function updateItem(progress, data, changes) {
+  const key = itemKey(data);
+  const exists = progress.items.some(item => item.key === key);
+  const items = exists
+    ? progress.items.map(item => (item.key === key ? { ...item, ...changes } : item))
+    : [...progress.items, { key, name: data.name, ...changes }];
+  return { ...progress, items };
+}
+
+const photoLabel = (progress, data) => (progress.photos > 1 ? `photo ${data.photoIndex + 1} of ${progress.photos}` : '');
+
+// Fold one server event into the progress object
+export function applyProgressEvent(progress, event, data) {
+  switch (event) {
+    case 'received': {
+      const megabytes = (data.bytes / (1024 * 1024)).toFixed(1);
+      return setStage({ ...progress, photos: data.photos }, 'received', 'done', `${data.photos} photo${data.photos === 1 ? '' : 's'}, ${megabytes} MB`);
+    }
+    case 'model':
+      return setStage(progress, 'model', 'active', [data.provider, photoLabel(progress, data)].filter(Boolean).join(', '));
+    case 'identified': {
+      const last = data.photoIndex === progress.photos - 1;
+      const found = progress.items.length + data.itemCount;
+      return setStage(
+        setStage(progress, 'model', last ? 'done' : 'active'),
+        'identified',
+        last ? 'done' : 'active',
+        `${found} item${found === 1 ? '' : 's'}${data.rejected ? `, ${data.rejected} rejected` : ''}`
+      );
+    }
+    case 'item':
+      return updateItem(progress, data, { category: data.category, confidence: data.confidence });
+    case 'priced': {
+      const priced = data.items.reduce(
+        (current, item) => updateItem(current, { ...item, photoIndex: data.photoIndex }, { value: item.value, low: item.low, high: item.high }),
+        progress
+      );
+      return setStage(priced, 'priced', data.photoIndex === progress.photos - 1 ? 'done' : 'active');
+    }
+    case 'crop': {
+      const cropped = updateItem(progress, data, { image: data.image, cropped: true });
+      const count = cropped.items.filter(item => item.cropped).length;
+      const status = count === cropped.items.length && data.photoIndex === progress.photos - 1 ? 'done' : 'active';
+      return setStage(cropped, 'crop', status, `${count} of ${cropped.items.length}`);
+    }
+    case 'isolated':
+      return updateItem(progress, data, { image: data.studioImage });
+    case 'result':
+      return Object.keys(progress.stages).reduce((current, id) => setStage(current, id, 'done'), progress);
+    default:
+      return progress;
+  }
+}
+
+// Split an SSE text buffer into complete events and the unfinished rest
+function parseEvents(buffer) {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+  const events = blocks.filter(block => block.trim()).map(block => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+    });
+    return { event, data: data.length ? JSON.parse(data.join('\n')) : null };
+  });
+  return { events, rest };
+}
+
+// POST to the analyze route, calling onEvent(event, data) as stages finish.
+// `payload` is FormData (multipart upload) or a plain object sent as JSON.
+// Resolves { response, data }: `data` is the final body, or undefined when the
+// request failed before streaming started (read `response` as usual then).
+// Servers that answer with plain JSON still work, just without progress.
+export async function analyzeWithProgress(url, payload, onEvent = () => {}) {
+  // The browser sets the multipart boundary itself
+  const multipart = payload instanceof FormData;
+  const response = await fetch(url, {
+    method: 'POST',
+    credentials: 'include',
+    headers: multipart
+      ? { Accept: 'text/event-stream' }
+      : { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: multipart ? payload : JSON.stringify(payload)
+  });
+
+  if (!response.ok) return { response };
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream') || !response.body) {
+    return { response, data: await response.json() };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result;
+
+  while (result === undefined) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const parsed = parseEvents(done ? `${buffer}\n\n` : buffer);
+    buffer = done ? '' : parsed.rest;
+    for (const { event, data } of parsed.events) {
+      if (event === 'error') {
+        throw new Error(`Server error: ${data.status} - ${data.error}`);
+      }
+      onEvent(event, data);
+      if (event === 'result') result = data;
+    }
+
+    if (done && result === undefined) {
+      throw new Error('Analysis stream ended before a result');
+    }
+  }
+
+  reader.cancel().catch(() => {});
+  return { response, data: result };
+}
@@ -0,0 +1,65 @@
+// Account API - sessions live in an HttpOnly cookie, so every call (and every
+// other API call that needs the user) must send credentials.
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: 'include',
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json', ...options.headers } : options.headers
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.status}`);
+  }
+  return data;
+}
+
+// The signed-in user, or null
+export async function getCurrentUser(apiUrl) {
+  try {
+    return (await request(`${apiUrl}/session`)).user;
+  } catch (error) {
+    return null;
+  }
+}
+
+export async function signIn(apiUrl, email, password) {
+  return (await request(`${apiUrl}/session`, {
+    method: 'POST',
+    body: JSON.stringify({ email, password })
+  })).user;
+}
+
+export async function register(apiUrl, email, password) {
+  return (await request(`${apiUrl}/users`, {
+    method: 'POST',
+    body: JSON.stringify({ email, password })
+  })).user;
+}
+
+export async function signOut(apiUrl) {
+  await request(`${apiUrl}/session`, { method: 'DELETE' });
+}
+
+// Plan, daily quota and what's left of it today
+export async function getUsage(apiUrl) {
+  return (await request(`${apiUrl}/usage`)).usage;
+}
+
+// The user's saved keys (masked), the providers that take one and the
+// server's default provider
+export async function getProviderKeys(apiUrl) {
+  const { keys, providers, defaultProvider } = await request(`${apiUrl}/keys`);
+  return { keys, providers, defaultProvider };
+}
+
+// Save the user's own provider key on the server; resolves the masked key list
+export async function saveProviderKey(apiUrl, provider, apiKey) {
+  return (await request(`${apiUrl}/keys`, {
+    method: 'PUT',
+    body: JSON.stringify({ provider, apiKey })
+  })).keys;
+}
+
+export async function removeProviderKey(apiUrl, provider) {
+  return (await request(`${apiUrl}/keys?provider=${encodeURIComponent(provider)}`, { method: 'DELETE' })).keys;
+}
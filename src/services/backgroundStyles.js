@@ -0,0 +1,71 @@
+// Background styles for isolated item images.
+// Each style owns its padding (multiplier on the item size), output aspect
+// ratio (width / height) and drop shadow, plus whatever its painter needs.
+export const BACKGROUND_STYLES = {
+  // Clean studio white - electronics and small appliances
+  solid: {
+    type: 'solid',
+    color: '#FFFFFF',
+    padding: 1.2,
+    aspectRatio: 1,
+    shadow: { color: 'rgba(0, 0, 0, 0.12)', blur: 12, offsetX: 0, offsetY: 4 }
+  },
+  // Soft vertical fade - furniture
+  gradient: {
+    type: 'gradient',
+    colors: ['#FFFFFF', '#E8E4DE'],
+    padding: 1.25,
+    aspectRatio: 4 / 3,
+    shadow: { color: 'rgba(0, 0, 0, 0.18)', blur: 18, offsetX: 0, offsetY: 8 }
+  },
+  // Item standing on a glossy floor with a faded mirror image
+  floorReflection: {
+    type: 'floor',
+    color: '#F7F7F7',
+    floorColor: '#E6E6E6',
+    horizon: 0.74,
+    reflectionOpacity: 0.2,
+    padding: 1.3,
+    aspectRatio: 4 / 3,
+    shadow: { color: 'rgba(0, 0, 0, 0.15)', blur: 10, offsetX: 0, offsetY: 2 }
+  },
+  // Warm wall-and-floor backdrop - decor and lighting
+  lifestyleNeutral: {
+    type: 'lifestyle',
+    wallColor: '#EFEAE3',
+    floorColor: '#D8CEC1',
+    horizon: 0.8,
+    padding: 1.35,
+    aspectRatio: 1,
+    shadow: { color: 'rgba(60, 40, 20, 0.2)', blur: 16, offsetX: 4, offsetY: 6 }
+  }
+};
+
+// Item category → style name. Anything unlisted gets DEFAULT_STYLE.
+export const CATEGORY_STYLES = {
+  electronics: 'solid',
+  appliance: 'solid',
+  appliances: 'solid',
+  furniture: 'gradient',
+  kitchen: 'floorReflection',
+  sports: 'floorReflection',
+  instruments: 'floorReflection',
+  decor: 'lifestyleNeutral',
+  lighting: 'lifestyleNeutral',
+  plants: 'lifestyleNeutral'
+};
+
+export const DEFAULT_STYLE = 'solid';
+
+// Pick a style for an item: explicit override, then the item's own
+// backgroundStyle, then its category, then the default
+export function resolveBackgroundStyle(item, override) {
+  const requested = override || item?.backgroundStyle;
+  if (requested && BACKGROUND_STYLES[requested]) {
+    return { name: requested, ...BACKGROUND_STYLES[requested] };
+  }
+
+  const category = String(item?.category || '').toLowerCase();
+  const name = CATEGORY_STYLES[category] || DEFAULT_STYLE;
+  return { name, ...BACKGROUND_STYLES[name] };
+}
@@ -1,51 +1,134 @@
-// Beautiful Isolation Service - Day 1 Simple Version
+// Beautiful Isolation Service - category-aware backgrounds
+import { resolveBackgroundStyle } from './backgroundStyles';
+
 class BeautifulIsolationService {
-    async isolateItem(item, imageCanvas) {
-      console.log(`🎨 Beautifying ${item.name}...`);
-      
-      const enhancedImage = await this.enhancedSmartCrop(item, imageCanvas);
+    // options.style overrides the style picked from the item's category
+    async isolateItem(item, imageCanvas, options = {}) {
+      const style = resolveBackgroundStyle(item, options.style);
+      console.log(`🎨 Beautifying ${item.name} with ${style.name} background...`);
+
+      const enhancedImage = await this.enhancedSmartCrop(item, imageCanvas, style);
       return enhancedImage;
     }
-  
-    async enhancedSmartCrop(item, canvas) {
-      const ctx = canvas.getContext('2d');
-      
-      const padding = 1.2;
-      const shadowOffset = 5;
-      
+
+    async enhancedSmartCrop(item, canvas, style = resolveBackgroundStyle(item)) {
       const centerX = (item.boundingBox.x / 100) * canvas.width;
       const centerY = (item.boundingBox.y / 100) * canvas.height;
       const boxWidth = (item.boundingBox.width / 100) * canvas.width;
       const boxHeight = (item.boundingBox.height / 100) * canvas.height;
-      
+
+      // Source rectangle, kept inside the photo
+      const srcX = Math.max(0, centerX - boxWidth / 2);
+      const srcY = Math.max(0, centerY - boxHeight / 2);
+      const srcWidth = Math.min(boxWidth, canvas.width - srcX);
+      const srcHeight = Math.min(boxHeight, canvas.height - srcY);
+
+      // Output size: padded item, widened or heightened to the style's aspect ratio
+      let outWidth = srcWidth * style.padding;
+      let outHeight = srcHeight * style.padding;
+      if (outWidth / outHeight < style.aspectRatio) {
+        outWidth = outHeight * style.aspectRatio;
+      } else {
+        outHeight = outWidth / style.aspectRatio;
+      }
+
+      // Floor styles stand the item on the horizon: make the canvas tall
+      // enough that it fits above the horizon with its top padding
+      if (style.horizon) {
+        const standingHeight = (srcHeight * (1 + (style.padding - 1) / 2)) / style.horizon;
+        if (outHeight < standingHeight) {
+          outHeight = standingHeight;
+          outWidth = outHeight * style.aspectRatio;
+        }
+      }
+
       const itemCanvas = document.createElement('canvas');
-      const size = Math.max(boxWidth, boxHeight) * padding;
-      itemCanvas.width = size + shadowOffset;
-      itemCanvas.height = size + shadowOffset;
-      
+      itemCanvas.width = Math.round(outWidth);
+      itemCanvas.height = Math.round(outHeight);
       const itemCtx = itemCanvas.getContext('2d');
-      
-      itemCtx.fillStyle = '#FAFAFA';
-      itemCtx.fillRect(0, 0, itemCanvas.width, itemCanvas.height);
-      
-      itemCtx.shadowColor = 'rgba(0, 0, 0, 0.1)';
-      itemCtx.shadowBlur = 10;
-      itemCtx.shadowOffsetX = 3;
-      itemCtx.shadowOffsetY = 3;
-      
-      const srcX = Math.max(0, centerX - boxWidth/2);
-      const srcY = Math.max(0, centerY - boxHeight/2);
-      const destX = (size - boxWidth) / 2;
-      const destY = (size - boxHeight) / 2;
-      
+
+      this.paintBackground(itemCtx, itemCanvas.width, itemCanvas.height, style);
+
+      // Floor styles stand the item on the horizon, the rest centre it
+      const horizonY = itemCanvas.height * style.horizon;
+      const destX = (itemCanvas.width - srcWidth) / 2;
+      const destY = style.horizon
+        ? horizonY - srcHeight
+        : (itemCanvas.height - srcHeight) / 2;
+
+      if (style.type === 'floor') {
+        this.drawReflection(itemCtx, canvas, [srcX, srcY, srcWidth, srcHeight], destX, horizonY, style);
+      }
+
+      itemCtx.shadowColor = style.shadow.color;
+      itemCtx.shadowBlur = style.shadow.blur;
+      itemCtx.shadowOffsetX = style.shadow.offsetX;
+      itemCtx.shadowOffsetY = style.shadow.offsetY;
+
       itemCtx.drawImage(
         canvas,
-        srcX, srcY, boxWidth, boxHeight,
-        destX, destY, boxWidth, boxHeight
+        srcX, srcY, srcWidth, srcHeight,
+        destX, destY, srcWidth, srcHeight
       );
-      
+
       return itemCanvas.toDataURL('image/jpeg', 0.92);
     }
+
+    paintBackground(ctx, width, height, style) {
+      if (style.type === 'gradient') {
+        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, style.colors[0]);
+        gradient.addColorStop(1, style.colors[1]);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+        return;
+      }
+
+      if (style.type === 'floor' || style.type === 'lifestyle') {
+        const horizonY = height * style.horizon;
+        ctx.fillStyle = style.type === 'floor' ? style.color : style.wallColor;
+        ctx.fillRect(0, 0, width, horizonY);
+
+        // Floor fades from the horizon towards the viewer
+        const floor = ctx.createLinearGradient(0, horizonY, 0, height);
+        floor.addColorStop(0, style.floorColor);
+        floor.addColorStop(1, style.type === 'floor' ? style.color : style.floorColor);
+        ctx.fillStyle = floor;
+        ctx.fillRect(0, horizonY, width, height - horizonY);
+        return;
+      }
+
+      ctx.fillStyle = style.color;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    // Mirror the item below the horizon it stands on and fade it out. The
+    // reflection is clipped to the floor so it never covers the item.
+    drawReflection(ctx, canvas, [srcX, srcY, srcWidth, srcHeight], destX, baseY, style) {
+      const reflectionHeight = Math.min(srcHeight, ctx.canvas.height - baseY);
+      if (reflectionHeight <= 0) return;
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, baseY, ctx.canvas.width, reflectionHeight);
+      ctx.clip();
+      ctx.globalAlpha = style.reflectionOpacity;
+      ctx.translate(0, baseY * 2);
+      ctx.scale(1, -1);
+      ctx.drawImage(
+        canvas,
+        srcX, srcY, srcWidth, srcHeight,
+        destX, baseY - srcHeight, srcWidth, srcHeight
+      );
+      ctx.restore();
+
+      // Blend the reflection into the floor
+      const fade = ctx.createLinearGradient(0, baseY, 0, baseY + reflectionHeight);
+      fade.addColorStop(0, 'rgba(247, 247, 247, 0)');
+      fade.addColorStop(1, style.color);
+      ctx.fillStyle = fade;
+      ctx.fillRect(destX, baseY, srcWidth, reflectionHeight);
+    }
   }
-  
-  export default BeautifulIsolationService;
\ No newline at end of file
+
+  export default BeautifulIsolationService;
@@ -0,0 +1,74 @@
+// Bounding box math for the box editor.
+// Boxes use the same coordinates as the API and processItemsLocally: percent
+// of the photo, with x/y at the center. Every helper keeps boxes inside the
+// photo and at least MIN_BOX_SIZE percent on each side.
+
+export const MIN_BOX_SIZE = 2;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export function toEdges(box) {
+  return {
+    left: box.x - box.width / 2,
+    top: box.y - box.height / 2,
+    right: box.x + box.width / 2,
+    bottom: box.y + box.height / 2
+  };
+}
+
+export function fromEdges({ left, top, right, bottom }) {
+  return {
+    x: (left + right) / 2,
+    y: (top + bottom) / 2,
+    width: right - left,
+    height: bottom - top
+  };
+}
+
+// Shift a box by dx/dy percent, stopping at the photo's edges
+export function moveBox(box, dx, dy) {
+  const { left, top } = toEdges(box);
+  const x = clamp(left + dx, 0, 100 - box.width);
+  const y = clamp(top + dy, 0, 100 - box.height);
+  return { ...box, x: x + box.width / 2, y: y + box.height / 2 };
+}
+
+// Drag the edges named in `handle` ('n', 'se', ...) by dx/dy percent
+export function resizeBox(box, handle, dx, dy) {
+  const edges = toEdges(box);
+  if (handle.includes('w')) edges.left = clamp(edges.left + dx, 0, edges.right - MIN_BOX_SIZE);
+  if (handle.includes('e')) edges.right = clamp(edges.right + dx, edges.left + MIN_BOX_SIZE, 100);
+  if (handle.includes('n')) edges.top = clamp(edges.top + dy, 0, edges.bottom - MIN_BOX_SIZE);
+  if (handle.includes('s')) edges.bottom = clamp(edges.bottom + dy, edges.top + MIN_BOX_SIZE, 100);
+  return fromEdges(edges);
+}
+
+// The box spanned by two corner points, e.g. where a drag started and is now
+export function boxFromPoints(a, b) {
+  return fromEdges({
+    left: clamp(Math.min(a.x, b.x), 0, 100),
+    top: clamp(Math.min(a.y, b.y), 0, 100),
+    right: clamp(Math.max(a.x, b.x), 0, 100),
+    bottom: clamp(Math.max(a.y, b.y), 0, 100)
+  });
+}
+
+export function isUsableBox(box) {
+  return Boolean(box) && box.width >= MIN_BOX_SIZE && box.height >= MIN_BOX_SIZE;
+}
+
+// Round to a tenth of a percent, finer than anyone can drag
+export function roundBox(box) {
+  const round = value => Math.round(value * 10) / 10;
+  return { x: round(box.x), y: round(box.y), width: round(box.width), height: round(box.height) };
+}
+
+export function sameBox(a, b) {
+  return ['x', 'y', 'width', 'height'].every(key => Math.abs((a?.[key] ?? 0) - (b?.[key] ?? 0)) < 0.05);
+}
+
+// CSS position for a box drawn over the photo
+export function boxStyle(box) {
+  const { left, top } = toEdges(box);
+  return { left: `${left}%`, top: `${top}%`, width: `${box.width}%`, height: `${box.height}%` };
+}
@@ -0,0 +1,87 @@
+// Bulk actions on a set of items, picked by id.
+// Every action returns a new item list (nothing is mutated), so results go
+// straight into the undo history.
+//
+// Actions:
+//   { type: 'condition', condition }
+//   { type: 'category', category }
+//   { type: 'price-percent', percent }   e.g. -15 for a 15% discount
+//   { type: 'price-amount', amount }     e.g. -5 for $5 off each
+//   { type: 'delete' }
+//   { type: 'bundle', name, discountPercent }   the items become one lot
+//                                               (see lotBuilder.js)
+import { createLot, replaceWithLot } from './lotBuilder';
+
+// As in api/_lib/items.js
+export const CONDITIONS = ['Excellent', 'Very Good', 'Good', 'Fair'];
+
+// The categories the marketplaces map (see listingExport.js)
+export const CATEGORIES = ['furniture', 'appliance', 'electronics', 'lighting', 'decor', 'outdoor', 'general'];
+
+// Known categories plus any the items already use
+export function categoryOptions(items) {
+  return [...new Set([...CATEGORIES, ...items.map(item => item.category).filter(Boolean)])];
+}
+
+// Prices stay whole and never go below zero
+export function adjustPrice(value, { percent = 0, amount = 0 }) {
+  if (value === null || value === undefined || value === '') return value;
+  return Math.max(0, Math.round(Number(value) * (1 + percent / 100) + amount));
+}
+
+export function idsWhere(items, predicate) {
+  return items.filter(predicate).map(item => item.id);
+}
+
+// Items worth less than `limit` (unpriced items don't count)
+export function idsUnder(items, limit) {
+  return idsWhere(items, item => item.value !== null && item.value !== undefined && Number(item.value) < limit);
+}
+
+export function applyBulkAction(items, ids, action) {
+  const selected = new Set(ids);
+  const isSelected = item => selected.has(item.id);
+  const update = changes => items.map(item => (isSelected(item) ? { ...item, ...changes(item) } : item));
+
+  switch (action.type) {
+    case 'condition':
+      return update(() => ({ condition: action.condition }));
+    case 'category':
+      return update(() => ({ category: action.category }));
+    case 'price-percent':
+      return update(item => ({ value: adjustPrice(item.value, { percent: action.percent }) }));
+    case 'price-amount':
+      return update(item => ({ value: adjustPrice(item.value, { amount: action.amount }) }));
+    case 'delete':
+      return items.filter(item => !isSelected(item));
+    case 'bundle': {
+      const bundled = items.filter(isSelected);
+      if (bundled.length < 2) return items;
+      // The lot takes the place of its first item
+      return replaceWithLot(items, createLot(bundled, action));
+    }
+    default:
+      throw new Error(`Unknown bulk action: ${action.type}`);
+  }
+}
+
+// Undo label for an action on `count` items
+export function describeBulkAction(action, count, formatAmount = String) {
+  const items = `${count} item${count === 1 ? '' : 's'}`;
+  switch (action.type) {
+    case 'condition':
+      return `Set ${items} to ${action.condition}`;
+    case 'category':
+      return `Moved ${items} to ${action.category}`;
+    case 'price-percent':
+      return `${action.percent < 0 ? 'Discounted' : 'Raised'} ${items} by ${Math.abs(action.percent)}%`;
+    case 'price-amount':
+      return `${action.amount < 0 ? 'Cut' : 'Raised'} ${items} by ${formatAmount(Math.abs(action.amount))}`;
+    case 'delete':
+      return `Removed ${items}`;
+    case 'bundle':
+      return `Bundled ${items} into a lot`;
+    default:
+      return `Changed ${items}`;
+  }
+}
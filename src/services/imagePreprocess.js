@@ -0,0 +1,126 @@
+// Photo preprocessing before upload.
+// Phone photos arrive as 5-15 MB JPEGs or HEIC, often rotated by an EXIF tag
+// and carrying GPS coordinates. Each photo is decoded (HEIC via heic2any when
+// the browser can't), drawn upright onto a canvas no larger than `maxEdge`
+// and re-encoded as JPEG. Re-encoding writes no EXIF at all, so location and
+// camera data never leave the device.
+//
+// The full-resolution original is kept for local crops. HEIC originals are
+// swapped for a full-size JPEG, since most browsers can't draw HEIC either.
+// Boxes come back as percentages, so they fit either resolution.
+
+export const PREPROCESS_DEFAULTS = {
+  maxEdge: Number(process.env.REACT_APP_UPLOAD_MAX_EDGE) || 2048,
+  quality: 0.85
+};
+
+const HEIC_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'];
+
+export function isHeic(file) {
+  return HEIC_TYPES.includes((file.type || '').toLowerCase()) || /\.(heic|heif)$/i.test(file.name || '');
+}
+
+// Some browsers report HEIC with an empty type, so go by extension too
+export function isImageFile(file) {
+  return (file.type || '').startsWith('image/') || isHeic(file);
+}
+
+// Browsers apply the EXIF orientation when drawing an <img>
+function loadImageElement(blob) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(blob);
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to load image'));
+    };
+    img.src = url;
+  });
+}
+
+async function convertHeic(file, quality) {
+  const { default: heic2any } = await import('heic2any');
+  let converted;
+  try {
+    converted = await heic2any({ blob: file, toType: 'image/jpeg', quality });
+  } catch (error) {
+    // heic2any rejects with a plain { code, message } object
+    throw new Error(`Failed to load image: HEIC conversion failed (${error?.message || error})`);
+  }
+  // Multi-image HEIC (bursts, live photos) converts to a list; keep the first
+  const blob = Array.isArray(converted) ? converted[0] : converted;
+  const name = (file.name || 'photo').replace(/\.(heic|heif)$/i, '') + '.jpg';
+  return new File([blob], name, { type: 'image/jpeg', lastModified: file.lastModified });
+}
+
+// => { original, image } - a displayable full-size file and its decoded image
+async function decodePhoto(file, quality) {
+  try {
+    return { original: file, image: await loadImageElement(file) };
+  } catch (error) {
+    if (!isHeic(file)) throw error;
+  }
+  // Safari decodes HEIC natively; everyone else gets here
+  const original = await convertHeic(file, quality);
+  return { original, image: await loadImageElement(original) };
+}
+
+function canvasToBlob(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))),
+      'image/jpeg',
+      quality
+    );
+  });
+}
+
+// Longest edge at most maxEdge, never upscaled
+export function fitWithin(width, height, maxEdge) {
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// One photo. Resolves
+//   { original, upload, width, height, originalWidth, originalHeight, bytes, converted }
+// where `upload` is the JPEG to send and `original` is what local crops and
+// previews should use.
+export async function preprocessImage(file, options = {}) {
+  const { maxEdge, quality } = { ...PREPROCESS_DEFAULTS, ...options };
+  const { original, image } = await decodePhoto(file, quality);
+  const originalWidth = image.naturalWidth || image.width;
+  const originalHeight = image.naturalHeight || image.height;
+  const { width, height } = fitWithin(originalWidth, originalHeight, maxEdge);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, width, height);
+
+  const upload = await canvasToBlob(canvas, quality);
+  return {
+    original,
+    upload,
+    width,
+    height,
+    originalWidth,
+    originalHeight,
+    bytes: upload.size,
+    converted: original !== file
+  };
+}
+
+// Photos one at a time - decoding several 12 MP images at once exhausts phones
+export async function preprocessImages(files, options = {}) {
+  const results = [];
+  for (const file of files) {
+    results.push(await preprocessImage(file, options));
+  }
+  return results;
+}
@@ -0,0 +1,169 @@
+// Inventory store - every analysis, its items, edits and listing status,
+// kept across reloads.
+//
+// Two adapters share one interface:
+//   listAnalyses()        => summaries, newest first
+//   getAnalysis(id)       => full record or null
+//   saveAnalysis(record)  => saved record
+//   deleteAnalysis(id)
+// IndexedDB is the default; set REACT_APP_INVENTORY_BACKEND=server to keep
+// the inventory in /api/inventory instead. Either way each user has their own.
+//
+// A record looks like:
+//   { id, title, createdAt, updatedAt, location, roomType, totalValue,
+//     insights, items: [{ ...item, listingStatus, aiSuggestion }], photos: [Blob] }
+// `photos` (the original uploads) only survive in IndexedDB; items already
+// carry their processed images as data URLs. `aiSuggestion` is the model's
+// original take on the item (see itemHistory.js).
+import { withAiSuggestion } from './itemHistory';
+
+export const LISTING_STATUSES = ['draft', 'listed', 'sold'];
+
+const DB_NAME = 'pyckit';
+const DB_VERSION = 1;
+const STORE = 'analyses';
+
+function summarize(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    region: record.region,
+    itemCount: record.items?.length || 0,
+    totalValue: record.totalValue || 0
+  };
+}
+
+// Object URLs and the in-flight `reprocessing` flag only mean something in
+// the page that made them; stored, they'd come back as broken images and
+// items stuck busy after a reload
+function storableItem({ reprocessing, ...item }) {
+  return Object.fromEntries(
+    Object.entries(item).filter(([, value]) => !(typeof value === 'string' && value.startsWith('blob:')))
+  );
+}
+
+export function storableRecord(record) {
+  return { ...record, items: (record.items || []).map(storableItem) };
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function createIndexedDbAdapter(userId) {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(userId ? `${DB_NAME}-${userId}` : DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await openDb();
+    return requestToPromise(fn(db.transaction(STORE, mode).objectStore(STORE)));
+  };
+
+  return {
+    name: 'indexeddb',
+    async listAnalyses() {
+      const records = await withStore('readonly', store => store.getAll());
+      return records
+        .map(summarize)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+    async getAnalysis(id) {
+      return (await withStore('readonly', store => store.get(id))) || null;
+    },
+    async saveAnalysis(record) {
+      const stored = storableRecord(record);
+      await withStore('readwrite', store => store.put(stored));
+      return stored;
+    },
+    async deleteAnalysis(id) {
+      await withStore('readwrite', store => store.delete(id));
+    }
+  };
+}
+
+export function createServerAdapter(baseUrl) {
+  const endpoint = `${baseUrl}/inventory`;
+
+  const request = async (url, options) => {
+    // The server scopes the inventory by the session cookie
+    const response = await fetch(url, { credentials: 'include', ...options });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Inventory error: ${response.status} - ${await response.text()}`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'server',
+    async listAnalyses() {
+      const data = await request(endpoint);
+      return data?.analyses || [];
+    },
+    async getAnalysis(id) {
+      const data = await request(`${endpoint}?id=${encodeURIComponent(id)}`);
+      return data?.analysis || null;
+    },
+    async saveAnalysis(record) {
+      // Blobs don't survive JSON; the server keeps items and their images only
+      const { photos, ...rest } = storableRecord(record);
+      const data = await request(endpoint, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(rest)
+      });
+      return { ...data.analysis, photos };
+    },
+    async deleteAnalysis(id) {
+      await request(`${endpoint}?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+  };
+}
+
+export function createInventoryStore(apiUrl, userId) {
+  return process.env.REACT_APP_INVENTORY_BACKEND === 'server'
+    ? createServerAdapter(apiUrl)
+    : createIndexedDbAdapter(userId);
+}
+
+// Build a new record from a finished analysis
+export function createAnalysisRecord(analysisData, photos = []) {
+  const now = new Date().toISOString();
+  const { imageFiles, ...data } = analysisData;
+  const items = (data.items || []).map(item => withAiSuggestion({ ...item, listingStatus: item.listingStatus || 'draft' }));
+  const topItem = [...items].sort((a, b) => (b.value || 0) - (a.value || 0))[0];
+  const room = data.roomType && data.roomType !== 'unknown'
+    ? data.roomType.charAt(0).toUpperCase() + data.roomType.slice(1)
+    : 'Room';
+
+  return {
+    ...data,
+    id: `analysis-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    title: topItem ? `${room} - ${topItem.name}` : `${room} analysis`,
+    createdAt: now,
+    updatedAt: now,
+    items,
+    photos
+  };
+}
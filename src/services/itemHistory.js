@@ -0,0 +1,102 @@
+// Undo/redo for an analysis's item list.
+// History is { past, present, future } where each entry is
+// { items, label }; `label` says what the change was ("Removed Lamp").
+// Items are replaced, never mutated, so entries share unchanged items.
+//
+// Items also carry `aiSuggestion`: what the model first said about them,
+// so edits can be reset to it later.
+
+export const HISTORY_LIMIT = 100;
+
+// The fields the model (and pricing) fill in
+export const AI_FIELDS = [
+  'name',
+  'value',
+  'pricing',
+  'condition',
+  'category',
+  'brand',
+  'model',
+  'ageYears',
+  'description',
+  'listingTitle',
+  'boundingBox'
+];
+
+export function createHistory(items) {
+  return { past: [], present: { items, label: null }, future: [] };
+}
+
+// Record a change; anything that was undone can no longer be redone
+export function pushHistory(history, items, label) {
+  return {
+    past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present: { items, label },
+    future: []
+  };
+}
+
+// Update the current entry in place - for follow-up work such as a crop
+// finishing, which shouldn't be an undo step of its own
+export function replacePresent(history, items) {
+  return { ...history, present: { ...history.present, items } };
+}
+
+// Apply `update` to every item in every entry - for results that arrive
+// after the user has moved on (a crop finishing after an undo, say)
+export function mapHistoryItems(history, update) {
+  const mapEntry = entry => ({ ...entry, items: entry.items.map(update) });
+  return {
+    past: history.past.map(mapEntry),
+    present: mapEntry(history.present),
+    future: history.future.map(mapEntry)
+  };
+}
+
+export function undo(history) {
+  if (!history.past.length) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future]
+  };
+}
+
+export function redo(history) {
+  if (!history.future.length) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1)
+  };
+}
+
+// Labels for the undo/redo buttons
+export function undoLabel(history) {
+  return history.past.length ? history.present.label : null;
+}
+
+export function redoLabel(history) {
+  return history.future[0]?.label || null;
+}
+
+// Keep what the model said, the first time we see an item
+export function withAiSuggestion(item) {
+  if (item.aiSuggestion) return item;
+  return {
+    ...item,
+    aiSuggestion: Object.fromEntries(AI_FIELDS.filter(field => item[field] !== undefined).map(field => [field, item[field]]))
+  };
+}
+
+// Fields the user has changed since the model's suggestion
+export function changedFromSuggestion(item) {
+  if (!item.aiSuggestion) return [];
+  return Object.keys(item.aiSuggestion).filter(
+    field => JSON.stringify(item[field]) !== JSON.stringify(item.aiSuggestion[field])
+  );
+}
+
+export function resetToSuggestion(item) {
+  return item.aiSuggestion ? { ...item, ...item.aiSuggestion } : item;
+}
@@ -0,0 +1,43 @@
+// Listing copy from the API (api/listing-copy.js): title, description,
+// bullet features, dimensions and keywords, fitted to a marketplace.
+
+// As in api/_lib/listingCopy.js
+export const COPY_PRESETS = [
+  { id: 'concise', label: 'Concise (Kijiji)', titleLimit: 64 },
+  { id: 'detailed', label: 'Detailed (Facebook Marketplace)', titleLimit: 150 },
+  { id: 'lot', label: 'Bundle / lot', titleLimit: 150 }
+];
+
+export function defaultPreset(item) {
+  return item.lotItems?.length ? 'lot' : 'concise';
+}
+
+// What the model needs to know - no images, and lots only name their items
+function describeItem({ name, brand, model, category, condition, ageYears, value, description, lotItems }) {
+  return {
+    name,
+    brand,
+    model,
+    category,
+    condition,
+    ageYears,
+    value,
+    description,
+    lotItems: lotItems?.map(lotItem => ({ name: lotItem.name, condition: lotItem.condition, value: lotItem.value }))
+  };
+}
+
+// Resolves { title, description, features, dimensions, keywords, text, source }
+export async function generateListingCopy(apiUrl, item, { preset, region, provider } = {}) {
+  const response = await fetch(`${apiUrl}/listing-copy`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ item: describeItem(item), preset, region, provider })
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!data.success) {
+    throw new Error(data.error || `Listing copy failed: ${response.status}`);
+  }
+  return { ...data.copy, source: data.source };
+}
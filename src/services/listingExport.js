@@ -0,0 +1,193 @@
+// Listing export - turns analyzed items into marketplace-ready packages.
+// Each marketplace entry says how a listing must look there: title and
+// description limits, category and condition names, price format and the
+// columns of its bulk-upload sheet. A package is a ZIP holding the sheet
+// plus every item's image, named to match the sheet's Image column.
+import { createZip } from './zip';
+
+const CONDITION_NAMES = {
+  Excellent: 'Used - Like New',
+  'Very Good': 'Used - Good',
+  Good: 'Used - Good',
+  Fair: 'Used - Fair'
+};
+
+export const MARKETPLACES = {
+  kijiji: {
+    id: 'kijiji',
+    label: 'Kijiji',
+    format: 'csv',
+    titleLimit: 64,
+    descriptionLimit: 4000,
+    categories: {
+      furniture: 'Furniture',
+      appliance: 'Home Appliances',
+      electronics: 'Electronics',
+      lighting: 'Home - Indoor',
+      decor: 'Home - Indoor',
+      outdoor: 'Home - Outdoor & Garden'
+    },
+    defaultCategory: 'Other',
+    conditions: CONDITION_NAMES,
+    // Kijiji takes dollars and cents
+    formatPrice: value => Number(value || 0).toFixed(2),
+    columns: ['Title', 'Description', 'Price', 'Category', 'Condition', 'Location', 'Image']
+  },
+  facebook: {
+    id: 'facebook',
+    label: 'Facebook Marketplace',
+    format: 'csv',
+    titleLimit: 150,
+    descriptionLimit: 5000,
+    categories: {
+      furniture: 'Furniture',
+      appliance: 'Appliances',
+      electronics: 'Electronics & Computers',
+      lighting: 'Home Goods',
+      decor: 'Home Goods',
+      outdoor: 'Patio & Garden'
+    },
+    defaultCategory: 'Miscellaneous',
+    conditions: CONDITION_NAMES,
+    // The bulk upload template only accepts whole dollars
+    formatPrice: value => String(Math.round(Number(value || 0))),
+    columns: ['TITLE', 'PRICE', 'CONDITION', 'DESCRIPTION', 'CATEGORY', 'OFFER SHIPPING', 'IMAGE']
+  },
+  json: {
+    id: 'json',
+    label: 'JSON',
+    format: 'json',
+    titleLimit: null,
+    descriptionLimit: null,
+    categories: {},
+    defaultCategory: 'general',
+    conditions: {},
+    formatPrice: value => Number(value || 0),
+    columns: []
+  }
+};
+
+// Cut at a word boundary so titles don't end mid-word
+export function truncate(text, limit) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!limit || value.length <= limit) return value;
+  const cut = value.slice(0, limit - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > limit * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+}
+
+function slugify(text) {
+  return String(text || 'item').toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40).replace(/^-|-$/g, '') || 'item';
+}
+
+// Spreadsheets run cells starting with these as formulas. Titles and
+// descriptions come from the model and the user, so text cells get a
+// leading ' to keep them text; numbers are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function itemImage(item) {
+  return item.processedImage || item.studioImage || item.image || null;
+}
+
+function dataUrlToBytes(dataUrl) {
+  const match = /^data:([^;,]+)?(;base64)?,(.*)$/.exec(dataUrl || '');
+  if (!match) return null;
+  const extension = (match[1] || 'image/jpeg').split('/')[1].replace('jpeg', 'jpg');
+  if (!match[2]) return { extension, bytes: new TextEncoder().encode(decodeURIComponent(match[3])) };
+  const binary = atob(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { extension, bytes };
+}
+
+// One marketplace-shaped listing per item
+export function buildListing(item, index, marketplace, { location } = {}) {
+  const image = dataUrlToBytes(itemImage(item));
+  const category = String(item.category || 'general').toLowerCase();
+  return {
+    title: truncate(item.listingTitle || item.name, marketplace.titleLimit),
+    description: truncate(item.description, marketplace.descriptionLimit),
+    price: marketplace.formatPrice(item.value),
+    category: marketplace.categories[category] || (marketplace.format === 'json' ? category : marketplace.defaultCategory),
+    condition: marketplace.conditions[item.condition] || item.condition,
+    location: location || '',
+    image: image ? `images/${String(index + 1).padStart(2, '0')}-${slugify(item.name)}.${image.extension}` : '',
+    imageBytes: image?.bytes || null
+  };
+}
+
+function sheetRow(listing, marketplace) {
+  if (marketplace.id === 'facebook') {
+    return [listing.title, listing.price, listing.condition, listing.description, listing.category, 'No', listing.image];
+  }
+  return [listing.title, listing.description, listing.price, listing.category, listing.condition, listing.location, listing.image];
+}
+
+// Build the package as [{ name, content }] without zipping it
+export function buildExportFiles(items, marketplaceId, options = {}) {
+  const marketplace = MARKETPLACES[marketplaceId];
+  if (!marketplace) {
+    throw new Error(`Unknown marketplace: ${marketplaceId}`);
+  }
+
+  const listings = items.map((item, index) => ({ item, listing: buildListing(item, index, marketplace, options) }));
+  const files = [];
+
+  if (marketplace.format === 'json') {
+    const records = listings.map(({ item, listing }) => ({
+      id: item.id,
+      title: listing.title,
+      description: listing.description,
+      price: listing.price,
+      currency: options.currency || 'CAD',
+      category: listing.category,
+      condition: listing.condition,
+      keywords: item.keywords || [],
+      // Lots list what's in them
+      contents: item.lotItems?.map(lotItem => lotItem.name),
+      listingStatus: item.listingStatus || 'draft',
+      location: listing.location,
+      image: listing.image || null
+    }));
+    files.push({
+      name: 'listings.json',
+      content: JSON.stringify({ exportedAt: new Date().toISOString(), items: records }, null, 2)
+    });
+  } else {
+    files.push({
+      name: `${marketplace.id}-listings.csv`,
+      content: toCsv(marketplace.columns, listings.map(({ listing }) => sheetRow(listing, marketplace)))
+    });
+  }
+
+  listings.forEach(({ listing }) => {
+    if (listing.imageBytes) files.push({ name: listing.image, content: listing.imageBytes });
+  });
+  return files;
+}
+
+export function exportListings(items, marketplaceId, options = {}) {
+  const zip = createZip(buildExportFiles(items, marketplaceId, options));
+  return new Blob([zip], { type: 'application/zip' });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
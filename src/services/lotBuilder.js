@@ -0,0 +1,165 @@
+// Lots: several cheap items sold as one listing.
+// A lot is an ordinary item (it edits, lists and exports like any other)
+// that also carries:
+//   lotItems     - the items it was made from, so it can be split again
+//   lotValue     - what they're worth sold one by one
+//   lotDiscount  - percent taken off lotValue for buying them together
+// Its image is a tile of its items' crops (composeLotImage).
+
+export const LOT_DEFAULTS = {
+  // Items worth more than this sell fine on their own
+  maxItemValue: Number(process.env.REACT_APP_LOT_MAX_ITEM_VALUE) || 30,
+  discountPercent: Number(process.env.REACT_APP_LOT_DISCOUNT) || 10,
+  minItems: 2,
+  maxItems: 6
+};
+
+// Worst first - a lot is only as good as its worst item
+const CONDITION_ORDER = ['Fair', 'Good', 'Very Good', 'Excellent'];
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+export function sumValues(items) {
+  return items.reduce((sum, item) => sum + Number(item.value || 0), 0);
+}
+
+export function lotPrice(items, discountPercent = LOT_DEFAULTS.discountPercent) {
+  return Math.max(0, Math.round(sumValues(items) * (1 - discountPercent / 100)));
+}
+
+export function isLot(item) {
+  return Boolean(item?.lotItems?.length);
+}
+
+export function createLot(items, { name, discountPercent = LOT_DEFAULTS.discountPercent } = {}) {
+  const [first] = items;
+  const conditions = items.map(item => CONDITION_ORDER.indexOf(item.condition)).filter(rank => rank >= 0);
+  const lotName = name || `Lot of ${items.length} items`;
+  return {
+    id: `lot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: lotName,
+    listingTitle: lotName,
+    value: lotPrice(items, discountPercent),
+    condition: conditions.length ? CONDITION_ORDER[Math.min(...conditions)] : first.condition,
+    category: items.every(item => item.category === first.category) ? first.category : 'general',
+    description: `Sold together: ${items.map(item => item.name).join(', ')}.`,
+    boundingBox: first.boundingBox,
+    photoIndex: first.photoIndex,
+    processedImage: first.processedImage || first.image,
+    listingStatus: 'draft',
+    lotItems: items,
+    lotValue: Math.round(sumValues(items)),
+    lotDiscount: discountPercent
+  };
+}
+
+// Swap a new lot in for its items, where the first of them was
+export function replaceWithLot(items, lot) {
+  const ids = new Set(lot.lotItems.map(item => item.id));
+  const position = items.findIndex(item => ids.has(item.id));
+  const rest = items.filter(item => !ids.has(item.id));
+  const before = items.slice(0, position).filter(item => !ids.has(item.id)).length;
+  return [...rest.slice(0, before), lot, ...rest.slice(before)];
+}
+
+// Put a lot's items back where the lot was
+export function splitLot(items, lotId) {
+  return items.flatMap(item => (item.id === lotId && isLot(item) ? item.lotItems : [item]));
+}
+
+// Cheap, unlisted items that aren't in a lot already
+export function lotCandidates(items, maxItemValue = LOT_DEFAULTS.maxItemValue) {
+  return items.filter(item =>
+    !isLot(item) &&
+    !item.reprocessing &&
+    item.value !== null && item.value !== undefined &&
+    Number(item.value) <= maxItemValue &&
+    (!item.listingStatus || item.listingStatus === 'draft')
+  );
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Suggested groupings: same photo (room) and category first, then whatever
+// cheap items are left in each room together.
+// => [{ id, name, itemIds, reason }]
+export function suggestLots(items, options = {}) {
+  const { maxItemValue, minItems, maxItems } = { ...LOT_DEFAULTS, ...options };
+  const roomName = options.roomName || (photoIndex => `photo ${photoIndex + 1}`);
+  const formatAmount = options.formatAmount || String;
+  const suggestions = [];
+  const used = new Set();
+  const add = (group, name, reason) => {
+    chunk(group, maxItems)
+      .filter(part => part.length >= minItems)
+      .forEach(part => {
+        part.forEach(item => used.add(item.id));
+        suggestions.push({ id: `suggestion-${part.map(item => item.id).join('+')}`, name, itemIds: part.map(item => item.id), reason });
+      });
+  };
+
+  const byRoom = new Map();
+  lotCandidates(items, maxItemValue).forEach(item => {
+    const room = item.photoIndex || 0;
+    byRoom.set(room, [...(byRoom.get(room) || []), item]);
+  });
+
+  byRoom.forEach((roomItems, room) => {
+    const byCategory = new Map();
+    roomItems.forEach(item => {
+      const category = String(item.category || 'general').toLowerCase();
+      byCategory.set(category, [...(byCategory.get(category) || []), item]);
+    });
+    byCategory.forEach((group, category) => {
+      add(group, `${capitalize(category)} lot`, `${capitalize(category)} items from ${roomName(room)}, each ${formatAmount(maxItemValue)} or less`);
+    });
+    add(roomItems.filter(item => !used.has(item.id)), `${capitalize(roomName(room))} lot`, `Everything else cheap from ${roomName(room)}`);
+  });
+
+  return suggestions;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = src;
+  });
+}
+
+// Tile the items' crops onto one JPEG `size` wide, as a data URL.
+// Images that fail to load are skipped; resolves null when none load.
+export async function composeLotImage(items, { size = 800, gap = 8, quality = 0.85 } = {}) {
+  const sources = items.map(item => item.processedImage || item.studioImage || item.image).filter(Boolean);
+  const images = (await Promise.all(sources.map(src => loadImage(src).catch(() => null)))).filter(Boolean);
+  if (!images.length) return null;
+
+  const columns = Math.ceil(Math.sqrt(images.length));
+  const rows = Math.ceil(images.length / columns);
+  const cell = (size - gap * (columns + 1)) / columns;
+  const height = Math.round(rows * cell + gap * (rows + 1));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, size, height);
+
+  // Each crop fits its cell without stretching, centered
+  images.forEach((img, index) => {
+    const scale = Math.min(cell / img.naturalWidth, cell / img.naturalHeight);
+    const width = img.naturalWidth * scale;
+    const tileHeight = img.naturalHeight * scale;
+    const left = gap + (index % columns) * (cell + gap) + (cell - width) / 2;
+    const top = gap + Math.floor(index / columns) * (cell + gap) + (cell - tileHeight) / 2;
+    ctx.drawImage(img, left, top, width, tileHeight);
+  });
+
+  return canvas.toDataURL('image/jpeg', quality);
+}
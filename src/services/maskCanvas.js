@@ -0,0 +1,95 @@
+// Segmentation masks on canvases - the browser side of masks.js.
+// Decodes mask images, applies masks to photos and renders mask cutouts the
+// way processItemsLocally shows them: centered on a square backdrop.
+import { loadMask as loadMaskSource, cleanMask, featherMask, maskBounds } from './masks';
+
+export const MASK_ISOLATION_DEFAULTS = {
+  clean: 1,           // open/close radius in photo pixels; 0 keeps the mask as sent
+  feather: 1.5,       // soft edge, in photo pixels
+  padding: 0.1,       // share of the object size added around it
+  background: '#ffffff',
+  anchor: 'top-left', // see alignMask
+  quality: 0.95
+};
+
+// Decode an image URL or data URL to RGBA pixels
+export function decodeImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0);
+      const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      resolve({ data, width, height });
+    };
+    img.onerror = () => reject(new Error('Failed to load mask image'));
+    img.src = src;
+  });
+}
+
+// loadMask from masks.js, with mask images decoded on a canvas
+export function loadMask(source, options = {}) {
+  return loadMaskSource(source, { ...options, decodeImage });
+}
+
+// A copy of `canvas` with the mask as its alpha; the mask must be the canvas's size
+export function applyMask(canvas, mask) {
+  if (mask.width !== canvas.width || mask.height !== canvas.height) {
+    throw new Error(`Mask is ${mask.width}x${mask.height} but the photo is ${canvas.width}x${canvas.height}`);
+  }
+
+  const masked = document.createElement('canvas');
+  masked.width = canvas.width;
+  masked.height = canvas.height;
+  const ctx = masked.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0);
+
+  const pixels = ctx.getImageData(0, 0, masked.width, masked.height);
+  for (let p = 0; p < mask.data.length; p++) {
+    pixels.data[p * 4 + 3] = (pixels.data[p * 4 + 3] * mask.data[p]) / 255;
+  }
+  ctx.putImageData(pixels, 0, 0);
+  return masked;
+}
+
+// Cut an item out of the whole-photo canvas with its segmentation mask and
+// center it on a square backdrop with a soft shadow. Resolves a JPEG data URL;
+// rejects when the mask can't be loaded or has nothing in it.
+export async function isolateWithMask(canvas, source, options = {}) {
+  const settings = { ...MASK_ISOLATION_DEFAULTS, ...options };
+
+  let mask = await loadMask(source, { width: canvas.width, height: canvas.height, anchor: settings.anchor });
+  if (settings.clean) mask = cleanMask(mask, { radius: settings.clean });
+  if (settings.feather) mask = featherMask(mask, settings.feather);
+
+  const bounds = maskBounds(mask);
+  if (!bounds) {
+    throw new Error('Mask is empty - nothing to cut out');
+  }
+
+  const masked = applyMask(canvas, mask);
+  const size = Math.round(Math.max(bounds.width, bounds.height) * (1 + settings.padding));
+
+  const output = document.createElement('canvas');
+  output.width = size;
+  output.height = size;
+  const ctx = output.getContext('2d');
+
+  ctx.fillStyle = settings.background;
+  ctx.fillRect(0, 0, size, size);
+
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.1)';
+  ctx.shadowBlur = 8;
+  ctx.shadowOffsetY = 2;
+  ctx.drawImage(
+    masked,
+    bounds.x, bounds.y, bounds.width, bounds.height,
+    (size - bounds.width) / 2, (size - bounds.height) / 2, bounds.width, bounds.height
+  );
+
+  return output.toDataURL('image/jpeg', settings.quality);
+}
@@ -0,0 +1,479 @@
+// Segmentation masks - loading, measuring and cleaning them up.
+// A mask is { data, width, height }: one byte per pixel, row by row, from 0
+// (background) to 255 (object). Masks arrive as images (URL or data URL), COCO
+// run-length encodings or polygons; loadMask turns any of them into a mask and
+// fits it to the photo without stretching it.
+//
+// Nothing here touches the DOM or sharp, so it runs anywhere: the app imports
+// it, and it's CommonJS so api/_lib can require() it too. maskCanvas.js
+// (browser) and api/_lib/masks.js (sharp) decode mask images and apply masks
+// to photos.
+//
+// An empty mask is a normal result, not an error: maskBounds returns null for
+// it and callers decide what to do (the adapters refuse to cut one out).
+
+const MASK_THRESHOLD = 10; // values above this are part of the object
+
+function createMask(width, height, data = new Uint8ClampedArray(width * height)) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error(`Invalid mask size: ${width}x${height}`);
+  }
+  if (data.length !== width * height) {
+    throw new Error(`Mask data has ${data.length} values for ${width}x${height} pixels`);
+  }
+  return { data, width, height };
+}
+
+function isMask(value) {
+  return Boolean(value?.data) && Number.isInteger(value.width) && Number.isInteger(value.height) &&
+    value.data.length === value.width * value.height;
+}
+
+// Tight bounds of the values above `threshold`, reading every `stride`th value
+// from `offset`. Scans in from each edge and stops at the first hit, so only
+// an empty mask costs a full pass.
+function scanBounds(values, width, height, { stride = 1, offset = 0, threshold = MASK_THRESHOLD }) {
+  const hit = (x, y) => values[(y * width + x) * stride + offset] > threshold;
+  const rowHit = (y) => {
+    for (let x = 0; x < width; x++) if (hit(x, y)) return true;
+    return false;
+  };
+
+  let top = 0;
+  while (top < height && !rowHit(top)) top++;
+  if (top === height) return null;
+  let bottom = height - 1;
+  while (!rowHit(bottom)) bottom--;
+
+  const columnHit = (x) => {
+    for (let y = top; y <= bottom; y++) if (hit(x, y)) return true;
+    return false;
+  };
+  let left = 0;
+  while (!columnHit(left)) left++;
+  let right = width - 1;
+  while (!columnHit(right)) right--;
+
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// Pixel bounds of the object, or null when the mask is empty
+function maskBounds(mask, threshold = MASK_THRESHOLD) {
+  return scanBounds(mask.data, mask.width, mask.height, { threshold });
+}
+
+// Pixel bounds of the visible part of RGBA pixels (e.g. canvas ImageData), or null
+function alphaBounds({ data, width, height }, threshold = MASK_THRESHOLD) {
+  return scanBounds(data, width, height, { stride: 4, offset: 3, threshold });
+}
+
+function isEmptyMask(mask, threshold = MASK_THRESHOLD) {
+  return maskBounds(mask, threshold) === null;
+}
+
+// A mask from RGBA pixels. Mask images come either as cutouts (the object is
+// opaque) or as opaque black-and-white images (the object is white), so
+// `channel: 'auto'` reads alpha when there is any transparency, else brightness.
+function maskFromRgba({ data, width, height }, { channel = 'auto' } = {}) {
+  const mask = createMask(width, height);
+  let useAlpha = channel === 'alpha';
+  if (channel === 'auto') {
+    for (let i = 3; i < data.length && !useAlpha; i += 4) useAlpha = data[i] < 255;
+  } else if (channel !== 'alpha' && channel !== 'luminance') {
+    throw new Error(`Unknown mask channel: ${channel}`);
+  }
+
+  for (let p = 0; p < mask.data.length; p++) {
+    const i = p * 4;
+    mask.data[p] = useAlpha
+      ? data[i + 3]
+      : ((data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000) * (data[i + 3] / 255);
+  }
+  return mask;
+}
+
+// COCO's compressed RLE string: each count is 5-bit chunks offset from '0',
+// and from the third count on it's a difference from the count two back
+function decodeRleString(text) {
+  const counts = [];
+  let p = 0;
+  while (p < text.length) {
+    let value = 0;
+    let shift = 0;
+    let more = true;
+    while (more) {
+      const chunk = text.charCodeAt(p) - 48;
+      value |= (chunk & 0x1f) << shift;
+      more = (chunk & 0x20) !== 0;
+      p++;
+      shift += 5;
+      if (!more && (chunk & 0x10)) value |= -1 << shift;
+    }
+    if (counts.length > 2) value += counts[counts.length - 2];
+    counts.push(value);
+  }
+  return counts;
+}
+
+// COCO run-length encoding, as SAM and most segmentation APIs return it:
+// { size: [height, width], counts }, with runs going down each column in
+// turn and starting with background. `counts` is an array or COCO's string.
+function decodeRle({ size, counts }) {
+  const [height, width] = Array.isArray(size) ? size : [];
+  const runs = typeof counts === 'string' ? decodeRleString(counts) : counts;
+  if (!Array.isArray(runs)) {
+    throw new Error('Invalid RLE mask: counts must be an array or a string');
+  }
+
+  const mask = createMask(width, height);
+  const total = width * height;
+  let index = 0;
+  runs.forEach((run, i) => {
+    if (i % 2) {
+      for (let k = index; k < index + run && k < total; k++) {
+        mask.data[(k % height) * width + Math.floor(k / height)] = 255;
+      }
+    }
+    index += run;
+  });
+  if (index > total) {
+    throw new Error(`Invalid RLE mask: runs cover ${index} pixels of ${total}`);
+  }
+  return mask;
+}
+
+// One polygon or several, each as [[x, y], ...] or COCO's flat [x1, y1, x2, y2, ...]
+function toPolygons(polygons) {
+  if (!Array.isArray(polygons) || !polygons.length) return [];
+  const toPoints = (flat) => {
+    const points = [];
+    for (let i = 0; i + 1 < flat.length; i += 2) points.push([flat[i], flat[i + 1]]);
+    return points;
+  };
+
+  let shapes;
+  if (typeof polygons[0] === 'number') {
+    shapes = [toPoints(polygons)];
+  } else if (typeof polygons[0][0] === 'number') {
+    shapes = polygons[0].length === 2 ? [polygons] : polygons.map(toPoints);
+  } else {
+    shapes = polygons;
+  }
+  return shapes.filter(points => points.length >= 3);
+}
+
+// Fill polygons given in pixels of a width x height frame. A pixel is in when
+// its center is; overlaps follow the even-odd rule, so holes stay holes.
+function rasterizePolygon(polygons, width, height) {
+  const shapes = toPolygons(polygons);
+  const mask = createMask(width, height);
+
+  for (let y = 0; y < height; y++) {
+    const cy = y + 0.5;
+    const crossings = [];
+    shapes.forEach(points => {
+      for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        if ((y1 <= cy) !== (y2 <= cy)) {
+          crossings.push(x1 + ((cy - y1) * (x2 - x1)) / (y2 - y1));
+        }
+      }
+    });
+    crossings.sort((a, b) => a - b);
+
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const from = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const to = Math.min(width, Math.ceil(crossings[i + 1] - 0.5));
+      if (to > from) mask.data.fill(255, y * width + from, y * width + to);
+    }
+  }
+  return mask;
+}
+
+// Run a 1-D filter over every row, then every column
+function separable(mask, radius, filter) {
+  const { width, height } = mask;
+  const rows = new Uint8ClampedArray(width * height);
+  const result = new Uint8ClampedArray(width * height);
+  const line = new Float32Array(Math.max(width, height));
+  const out = new Float32Array(line.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) line[x] = mask.data[y * width + x];
+    filter(line, width, radius, out);
+    for (let x = 0; x < width; x++) rows[y * width + x] = out[x];
+  }
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) line[y] = rows[y * width + x];
+    filter(line, height, radius, out);
+    for (let y = 0; y < height; y++) result[y * width + x] = out[y];
+  }
+  return createMask(width, height, result);
+}
+
+// Mean of each window, using only the part of it inside the line
+function boxFilter(line, length, radius, out) {
+  const prefix = new Float64Array(length + 1);
+  for (let i = 0; i < length; i++) prefix[i + 1] = prefix[i] + line[i];
+  for (let i = 0; i < length; i++) {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(length, i + radius + 1);
+    out[i] = (prefix[to] - prefix[from]) / (to - from);
+  }
+}
+
+const extremeFilter = (pick) => (line, length, radius, out) => {
+  for (let i = 0; i < length; i++) {
+    let value = line[i];
+    const to = Math.min(length - 1, i + radius);
+    for (let k = Math.max(0, i - radius); k <= to; k++) value = pick(value, line[k]);
+    out[i] = value;
+  }
+};
+
+// Soften the edge over roughly `radius` pixels each side. Two box blurs are
+// close enough to a Gaussian and cost the same whatever the radius.
+function featherMask(mask, radius) {
+  const size = Math.round(radius);
+  if (!(size > 0)) return createMask(mask.width, mask.height, Uint8ClampedArray.from(mask.data));
+  return separable(separable(mask, size, boxFilter), size, boxFilter);
+}
+
+// Shrink or grow the object by `radius` pixels (square structuring element)
+function erodeMask(mask, radius = 1) {
+  return separable(mask, radius, extremeFilter(Math.min));
+}
+
+function dilateMask(mask, radius = 1) {
+  return separable(mask, radius, extremeFilter(Math.max));
+}
+
+// Opening removes specks smaller than the radius; closing fills gaps and nicks
+function openMask(mask, radius = 1) {
+  return dilateMask(erodeMask(mask, radius), radius);
+}
+
+function closeMask(mask, radius = 1) {
+  return erodeMask(dilateMask(mask, radius), radius);
+}
+
+// Keep only the largest 4-connected region of a 0/255 mask, in place
+function keepLargestComponent({ data, width }) {
+  const labels = new Int32Array(data.length);
+  const queue = new Int32Array(data.length);
+  let best = 0;
+  let bestSize = 0;
+  let label = 0;
+
+  for (let start = 0; start < data.length; start++) {
+    if (!data[start] || labels[start]) continue;
+    label++;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+    while (head < tail) {
+      const p = queue[head++];
+      const x = p % width;
+      const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width];
+      for (const n of neighbours) {
+        if (n >= 0 && n < data.length && data[n] && !labels[n]) {
+          labels[n] = label;
+          queue[tail++] = n;
+        }
+      }
+    }
+    if (tail > bestSize) {
+      bestSize = tail;
+      best = label;
+    }
+  }
+
+  // Nothing to keep - an empty mask stays empty
+  if (!bestSize) return;
+  for (let p = 0; p < data.length; p++) data[p] = labels[p] === best ? 255 : 0;
+}
+
+// Background pockets that can't reach the frame edge become object, in place
+function fillHoles({ data, width, height }) {
+  const outside = new Uint8Array(data.length);
+  const queue = new Int32Array(data.length);
+  let tail = 0;
+  const seed = (p) => {
+    if (!data[p] && !outside[p]) {
+      outside[p] = 1;
+      queue[tail++] = p;
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    seed(x);
+    seed((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    seed(y * width);
+    seed(y * width + width - 1);
+  }
+
+  let head = 0;
+  while (head < tail) {
+    const p = queue[head++];
+    const x = p % width;
+    if (x > 0) seed(p - 1);
+    if (x < width - 1) seed(p + 1);
+    if (p >= width) seed(p - width);
+    if (p + width < data.length) seed(p + width);
+  }
+
+  for (let p = 0; p < data.length; p++) {
+    if (!outside[p]) data[p] = 255;
+  }
+}
+
+// Tidy a model's mask into one solid object: threshold it, open and close it
+// by `radius` pixels, then keep the largest region and fill its holes.
+// Returns a 0/255 mask; an empty mask comes back empty.
+function cleanMask(mask, { radius = 1, threshold = MASK_THRESHOLD, keepLargest = true, holes = true } = {}) {
+  let cleaned = createMask(mask.width, mask.height, mask.data.map(value => (value > threshold ? 255 : 0)));
+  if (radius > 0) cleaned = closeMask(openMask(cleaned, radius), radius);
+  if (keepLargest) keepLargestComponent(cleaned);
+  if (holes) fillHoles(cleaned);
+  return cleaned;
+}
+
+// Cut a pixel box out of a mask
+function cropMask(mask, { x, y, width, height }) {
+  const cropped = createMask(width, height);
+  for (let row = 0; row < height; row++) {
+    const start = (y + row) * mask.width + x;
+    cropped.data.set(mask.data.subarray(start, start + width), row * width);
+  }
+  return cropped;
+}
+
+// Bilinear resize, sampling at pixel centers
+function resizeMask(mask, width, height) {
+  const resized = createMask(width, height);
+  const scaleX = mask.width / width;
+  const scaleY = mask.height / height;
+  const clamp = (value, max) => Math.min(max, Math.max(0, value));
+
+  for (let y = 0; y < height; y++) {
+    const sy = clamp((y + 0.5) * scaleY - 0.5, mask.height - 1);
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(y0 + 1, mask.height - 1);
+    const fy = sy - y0;
+    for (let x = 0; x < width; x++) {
+      const sx = clamp((x + 0.5) * scaleX - 0.5, mask.width - 1);
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(x0 + 1, mask.width - 1);
+      const fx = sx - x0;
+      const top = mask.data[y0 * mask.width + x0] * (1 - fx) + mask.data[y0 * mask.width + x1] * fx;
+      const bottom = mask.data[y1 * mask.width + x0] * (1 - fx) + mask.data[y1 * mask.width + x1] * fx;
+      resized.data[y * width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return resized;
+}
+
+const ANCHORS = ['top-left', 'center'];
+
+// Fit a mask to a width x height photo without stretching it. A mask with the
+// photo's shape is just scaled. One with another shape was made on a padded
+// copy of the photo, so the part with the photo's shape is cut out first -
+// from the top-left by default, as SAM pads its square input on the right and
+// bottom, or from the middle with `anchor: 'center'` for letterboxed masks.
+function alignMask(mask, width, height, { anchor = 'top-left', tolerance = 0.01 } = {}) {
+  if (!ANCHORS.includes(anchor)) {
+    throw new Error(`Unknown mask anchor: ${anchor}`);
+  }
+
+  let fitted = mask;
+  const aspect = width / height;
+  if (Math.abs(mask.width / mask.height / aspect - 1) > tolerance) {
+    const regionWidth = Math.min(mask.width, Math.round(mask.height * aspect));
+    const regionHeight = Math.min(mask.height, Math.round(mask.width / aspect));
+    const centered = anchor === 'center';
+    fitted = cropMask(mask, {
+      x: centered ? Math.floor((mask.width - regionWidth) / 2) : 0,
+      y: centered ? Math.floor((mask.height - regionHeight) / 2) : 0,
+      width: regionWidth,
+      height: regionHeight
+    });
+  }
+
+  return fitted.width === width && fitted.height === height ? fitted : resizeMask(fitted, width, height);
+}
+
+const IMAGE_URL = /^(data:image\/|https?:|blob:)/i;
+
+async function decodeSource(source, { width, height, decodeImage, channel }) {
+  if (!source) {
+    throw new Error('No mask provided');
+  }
+  if (isMask(source)) return source;
+
+  if (typeof source === 'string' || source instanceof Uint8Array) {
+    if (typeof source === 'string' && !IMAGE_URL.test(source)) {
+      throw new Error('Unknown mask data structure');
+    }
+    if (!decodeImage) {
+      throw new Error('Mask images need an image decoder - use maskCanvas.js or api/_lib/masks.js');
+    }
+    return maskFromRgba(await decodeImage(source), { channel });
+  }
+
+  if (source.counts && source.size) return decodeRle(source);
+
+  const polygon = Array.isArray(source) ? source : source.points || source.polygon || source.polygons;
+  if (polygon) {
+    const frameWidth = source.width || width;
+    const frameHeight = source.height || height;
+    if (!frameWidth || !frameHeight) {
+      throw new Error('Polygon masks need the width and height their points are in');
+    }
+    return rasterizePolygon(polygon, frameWidth, frameHeight);
+  }
+
+  // The backend wraps masks as { mask }
+  if (source.mask) return decodeSource(source.mask, { width, height, decodeImage, channel });
+
+  throw new Error('Unknown mask data structure');
+}
+
+// Any mask we're sent, as a mask. `source` can be:
+//   - a URL or data URL of a mask image (or, in Node, the image as a buffer)
+//   - COCO RLE, { size: [height, width], counts }
+//   - a polygon, as an array or { points | polygon | polygons, width?, height? },
+//     in pixels of its own width/height or else of the photo's
+//   - a mask, or the backend's { mask } wrapper around any of these
+// With `width` and `height` it comes back aligned to that size (see alignMask).
+// Images are decoded by `decodeImage(src)` => { data (RGBA), width, height },
+// which maskCanvas.js and api/_lib/masks.js supply.
+async function loadMask(source, { width, height, decodeImage, channel, anchor } = {}) {
+  const mask = await decodeSource(source, { width, height, decodeImage, channel });
+  return width && height ? alignMask(mask, width, height, { anchor }) : mask;
+}
+
+module.exports = {
+  MASK_THRESHOLD,
+  createMask,
+  isMask,
+  maskBounds,
+  alphaBounds,
+  isEmptyMask,
+  maskFromRgba,
+  decodeRle,
+  rasterizePolygon,
+  featherMask,
+  erodeMask,
+  dilateMask,
+  openMask,
+  closeMask,
+  cleanMask,
+  cropMask,
+  resizeMask,
+  alignMask,
+  loadMask
+};
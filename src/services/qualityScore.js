@@ -0,0 +1,203 @@
+// Quality scoring for isolated item images.
+// Every candidate (SAM mask, server crop, tight crop, padded crop) is scored
+// on the same five measures, each 0-1 with higher being better:
+//   sharpness  - variance of the Laplacian over the object
+//   coverage   - share of the frame the object fills (best between 25% and 75%)
+//   edges      - how clean the silhouette is; straight, fully filled edges
+//                mean a rectangle of room was pasted rather than the object
+//   exposure   - object brightness near mid-grey with little clipping
+//   cutOff     - object touching the frame border, i.e. cut off
+// The total is a weighted sum scaled to 0-100.
+import { createMask, maskBounds } from './masks';
+
+export const QUALITY_WEIGHTS = {
+  sharpness: 0.25,
+  coverage: 0.2,
+  edges: 0.2,
+  exposure: 0.15,
+  cutOff: 0.2
+};
+
+const SCORE_SIZE = 256;        // candidates are scored on a copy this size
+const BACKGROUND_DISTANCE = 28; // colour distance still counted as background
+
+function luminance(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+// Background colour = per-channel median of the outermost pixel ring
+function estimateBackground({ data, width, height }) {
+  const samples = [[], [], []];
+  const push = (x, y) => {
+    const i = (y * width + x) * 4;
+    samples[0].push(data[i]);
+    samples[1].push(data[i + 1]);
+    samples[2].push(data[i + 2]);
+  };
+  for (let x = 0; x < width; x++) { push(x, 0); push(x, height - 1); }
+  for (let y = 1; y < height - 1; y++) { push(0, y); push(width - 1, y); }
+
+  return samples.map((channel) => {
+    channel.sort((a, b) => a - b);
+    return channel[Math.floor(channel.length / 2)];
+  });
+}
+
+// 1 where the pixel belongs to the object, 0 for background
+function objectMask(imageData, background) {
+  const { data, width, height } = imageData;
+  const mask = new Uint8Array(width * height);
+  for (let p = 0; p < mask.length; p++) {
+    const i = p * 4;
+    if (data[i + 3] < 16) continue; // transparent
+    const distance = Math.abs(data[i] - background[0]) +
+      Math.abs(data[i + 1] - background[1]) +
+      Math.abs(data[i + 2] - background[2]);
+    mask[p] = distance > BACKGROUND_DISTANCE ? 1 : 0;
+  }
+  return mask;
+}
+
+function scoreSharpness({ data, width, height }, mask) {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      if (!mask[p]) continue;
+      const laplacian = 4 * luminance(data, p * 4) -
+        luminance(data, (p - 1) * 4) - luminance(data, (p + 1) * 4) -
+        luminance(data, (p - width) * 4) - luminance(data, (p + width) * 4);
+      sum += laplacian;
+      sumSq += laplacian * laplacian;
+      count++;
+    }
+  }
+  if (!count) return 0;
+  const variance = sumSq / count - (sum / count) ** 2;
+  // ~100 is soft, ~500 and up is crisp at this size
+  return variance / (variance + 200);
+}
+
+function scoreCoverage(ratio) {
+  if (ratio >= 0.25 && ratio <= 0.75) return 1;
+  if (ratio < 0.25) return Math.max(0, (ratio - 0.02) / 0.23);
+  return Math.max(0, (0.98 - ratio) / 0.23);
+}
+
+// Average fill of the four lines bounding the object. A real silhouette
+// only grazes its bounding box; a pasted rectangle fills it edge to edge.
+function scoreEdges({ width, height }, mask, bounds) {
+  if (!bounds) return 0;
+  const { x: minX, y: minY } = bounds;
+  const maxX = minX + bounds.width - 1;
+  const maxY = minY + bounds.height - 1;
+  let filled = 0;
+  let total = 0;
+  for (let x = minX; x <= maxX; x++) {
+    filled += mask[minY * width + x] + mask[maxY * width + x];
+    total += 2;
+  }
+  for (let y = minY; y <= maxY; y++) {
+    filled += mask[y * width + minX] + mask[y * width + maxX];
+    total += 2;
+  }
+  return 1 - filled / total;
+}
+
+function scoreExposure({ data }, mask) {
+  let sum = 0;
+  let clipped = 0;
+  let count = 0;
+  for (let p = 0; p < mask.length; p++) {
+    if (!mask[p]) continue;
+    const lum = luminance(data, p * 4);
+    sum += lum;
+    if (lum < 6 || lum > 249) clipped++;
+    count++;
+  }
+  if (!count) return 0;
+  const mean = sum / count / 255;
+  const balance = 1 - Math.min(1, Math.abs(mean - 0.5) * 2);
+  const clipping = 1 - Math.min(1, (clipped / count) * 4);
+  return balance * 0.6 + clipping * 0.4;
+}
+
+function scoreCutOff({ width, height }, mask) {
+  let touching = 0;
+  let total = 0;
+  for (let x = 0; x < width; x++) {
+    touching += mask[x] + mask[(height - 1) * width + x];
+    total += 2;
+  }
+  for (let y = 0; y < height; y++) {
+    touching += mask[y * width] + mask[y * width + width - 1];
+    total += 2;
+  }
+  return 1 - Math.min(1, (touching / total) * 5);
+}
+
+// Score RGBA pixel data ({ data, width, height }, e.g. canvas ImageData)
+export function scoreImageData(imageData) {
+  const { width, height } = imageData;
+  const mask = objectMask(imageData, estimateBackground(imageData));
+  const objectPixels = mask.reduce((sum, v) => sum + v, 0);
+  // The object mask is 0/1, so anything above 0 is object
+  const bounds = maskBounds(createMask(width, height, mask), 0);
+
+  const metrics = {
+    sharpness: scoreSharpness(imageData, mask),
+    coverage: scoreCoverage(objectPixels / mask.length),
+    edges: scoreEdges(imageData, mask, bounds),
+    exposure: scoreExposure(imageData, mask),
+    cutOff: scoreCutOff(imageData, mask)
+  };
+
+  const total = Object.entries(QUALITY_WEIGHTS)
+    .reduce((sum, [metric, weight]) => sum + metrics[metric] * weight, 0);
+
+  return {
+    score: Math.round(total * 100),
+    metrics: Object.fromEntries(
+      Object.entries(metrics).map(([metric, value]) => [metric, Number(value.toFixed(2))])
+    )
+  };
+}
+
+// Load an image URL into a small canvas and score it. Resolves null when
+// the image can't be loaded, so broken candidates drop out of the running.
+export function scoreImageUrl(url) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, SCORE_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(scoreImageData(ctx.getImageData(0, 0, canvas.width, canvas.height)));
+    };
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+}
+
+// Score every { source, image } candidate and return the best one with its
+// score, metrics and a summary of the rest, or null if none loaded
+export async function pickBestCandidate(candidates) {
+  const scored = [];
+  for (const candidate of candidates) {
+    if (!candidate.image) continue;
+    const result = await scoreImageUrl(candidate.image);
+    if (result) scored.push({ ...candidate, ...result });
+  }
+  if (!scored.length) return null;
+
+  scored.sort((a, b) => b.score - a.score);
+  return {
+    ...scored[0],
+    candidates: scored.map(({ source, score }) => ({ source, score }))
+  };
+}
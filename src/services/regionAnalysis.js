@@ -0,0 +1,44 @@
+// Ask the API what's inside one box of a photo (api/analyze-region.js).
+// Photos analyzed in the last day are referred to by id; if the server no
+// longer has it (404, or 410 once it expired), the photo is uploaded again,
+// downscaled like the original.
+import { preprocessImage } from './imagePreprocess';
+
+const PHOTO_GONE = [404, 410];
+
+async function postRegion(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    credentials: 'include',
+    ...(body instanceof FormData
+      ? { body }
+      : { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+// Resolves the identified item: name, brand, model, condition, value and
+// pricing range, description, and the crop the model saw as `image`
+export async function identifyRegion(apiUrl, { photoId, photo, box, region, provider, itemId, photoIndex = 0 }) {
+  const url = `${apiUrl}/analyze-region`;
+  const fields = { box, region, provider, itemId, photoIndex };
+
+  let result = photoId ? await postRegion(url, { ...fields, photoId }) : null;
+  if ((!result || PHOTO_GONE.includes(result.status)) && photo) {
+    const { upload } = await preprocessImage(photo);
+    const form = new FormData();
+    form.append('image', upload, 'photo.jpg');
+    Object.entries({ ...fields, box: JSON.stringify(box) }).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) form.append(name, value);
+    });
+    result = await postRegion(url, form);
+  }
+  if (!result) {
+    throw new Error('No photo to identify from');
+  }
+  if (!result.data.success) {
+    throw new Error(result.data.error || `Region analysis failed: ${result.status}`);
+  }
+  return result.data.item;
+}
@@ -0,0 +1,36 @@
+// Regions - the markets the API prices for. The list comes from
+// /api/regions (api/_lib/regions.js is the source of truth); DEFAULT_REGION
+// keeps the app usable if that request fails.
+export const REGION_STORAGE = 'pyckit_region';
+
+export const DEFAULT_REGION = {
+  id: 'calgary',
+  label: 'Calgary, AB',
+  location: 'Calgary, Canada',
+  currency: 'CAD',
+  locale: 'en-CA',
+  marketplaces: ['kijiji', 'facebook']
+};
+
+export async function fetchRegions(apiUrl) {
+  try {
+    const response = await fetch(`${apiUrl}/regions`);
+    if (!response.ok) throw new Error(`Regions error: ${response.status}`);
+    const data = await response.json();
+    return { regions: data.regions, defaultRegion: data.defaultRegion };
+  } catch (error) {
+    console.error('Failed to load regions:', error);
+    return { regions: [DEFAULT_REGION], defaultRegion: DEFAULT_REGION.id };
+  }
+}
+
+// Currency string for a value in the region's currency and locale
+export function formatMoney(value, region = DEFAULT_REGION, options = {}) {
+  return Number(value || 0).toLocaleString(region.locale, {
+    style: 'currency',
+    currency: region.currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+    ...options
+  });
+}
@@ -0,0 +1,95 @@
+// Helpers for testing the Vercel handlers in api/ without a server.
+// Requests are readable streams, so handlers that read their own bodies
+// (see api/_lib/uploads.js) work as well as those that use `req.body`.
+import { Readable } from 'stream';
+import { createUser, createSession } from '../../api/_lib/auth';
+
+// Nothing written to disk, and limits high enough not to get in the way.
+// Storage and secrets read these on first use, after this module loads.
+process.env.INVENTORY_STORAGE = 'memory';
+process.env.SECRETS_KEY = process.env.SECRETS_KEY || 'test-secrets-key';
+process.env.DEFAULT_TIER = 'pro';
+
+// A request for a handler; object bodies are sent as JSON
+export function createRequest({ method = 'GET', headers = {}, body, query = {} } = {}) {
+  const raw = body === undefined ? Buffer.alloc(0) : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+  const req = Readable.from(raw.length ? [raw] : []);
+  return Object.assign(req, {
+    method,
+    query,
+    body: typeof body === 'object' ? body : undefined,
+    socket: { remoteAddress: '127.0.0.1' },
+    headers: {
+      ...(body !== undefined && { 'content-type': 'application/json', 'content-length': String(raw.length) }),
+      ...headers
+    }
+  });
+}
+
+// A response that records what the handler did; SSE output lands in `chunks`
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    headersSent: false,
+    ended: false,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(data) {
+      res.body = data;
+      res.headersSent = true;
+      res.ended = true;
+      return res;
+    },
+    flushHeaders() {
+      res.headersSent = true;
+    },
+    write(chunk) {
+      res.headersSent = true;
+      res.chunks.push(String(chunk));
+      return true;
+    },
+    end(chunk) {
+      if (chunk) res.chunks.push(String(chunk));
+      res.ended = true;
+      return res;
+    }
+  };
+  return res;
+}
+
+// Run a handler and resolve the finished response
+export async function invoke(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+}
+
+// Parse recorded SSE output into [{ event, data }]
+export function parseEvents(res) {
+  return res.chunks.join('').split('\n\n').filter(Boolean).map(block => {
+    const [, event] = /^event: (.*)$/m.exec(block);
+    const [, data] = /^data: (.*)$/m.exec(block);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+let userCount = 0;
+
+// A new signed-in user, and the headers that authenticate as them
+export async function signIn() {
+  userCount += 1;
+  const user = await createUser({ email: `tester${userCount}-${Date.now()}@example.com`, password: 'correct horse battery' });
+  const { token } = await createSession(user);
+  return { user, headers: { authorization: `Bearer ${token}` } };
+}
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+import { detectMimeType, percentBoxToPixels, roundBox, getSafeCropBox } from '../../api/_lib/crop';
+
+const insideImage = (box, width, height) => (
+  box.x >= 0 && box.y >= 0 && box.width > 0 && box.height > 0 &&
+  box.x + box.width <= width && box.y + box.height <= height
+);
+
+describe('detectMimeType', () => {
+  const signatures = [
+    ['image/jpeg', [0xff, 0xd8, 0xff, 0xe0]],
+    ['image/png', [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    ['image/gif', [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]],
+    ['image/webp', [0x52, 0x49, 0x46, 0x46, 0x24, 0x00, 0x00, 0x00, 0x57, 0x45, 0x42, 0x50]]
+  ];
+
+  test.each(signatures)('recognizes %s from a buffer and from base64', (mime, bytes) => {
+    const buffer = Buffer.from([...bytes, 0, 0, 0, 0, 0, 0, 0, 0]);
+    expect(detectMimeType(buffer)).toBe(mime);
+    expect(detectMimeType(buffer.toString('base64'))).toBe(mime);
+  });
+
+  test('falls back to JPEG for anything else', () => {
+    expect(detectMimeType(Buffer.from('not an image at all'))).toBe('image/jpeg');
+  });
+});
+
+describe('percentBoxToPixels', () => {
+  test('turns a centered percent box into a top-left pixel box', () => {
+    expect(percentBoxToPixels({ x: 50, y: 50, width: 20, height: 40 }, 1000, 500)).toEqual({
+      x: 400,
+      y: 150,
+      width: 200,
+      height: 200
+    });
+  });
+
+  test('roundBox makes whole pixels', () => {
+    expect(roundBox({ x: 10.4, y: 10.6, width: 99.5, height: 0.2 })).toEqual({ x: 10, y: 11, width: 100, height: 0 });
+  });
+});
+
+describe('getSafeCropBox', () => {
+  test('inflates and pads a small box, then makes it square', () => {
+    // 50px is under 15% of 1000, so it grows 2.5x to 125, then 20% each side
+    expect(getSafeCropBox({ x: 475, y: 475, width: 50, height: 50 }, 1000, 1000)).toEqual({
+      x: 450,
+      y: 450,
+      width: 200,
+      height: 200
+    });
+  });
+
+  test('never crops less than 200px when the image is big enough', () => {
+    const box = getSafeCropBox({ x: 500, y: 500, width: 10, height: 10 }, 2000, 2000);
+    expect(box.width).toBeGreaterThanOrEqual(200);
+    expect(box.height).toBeGreaterThanOrEqual(200);
+  });
+
+  test('accepts fractional boxes', () => {
+    expect(getSafeCropBox({ x: 0.25, y: 0.25, width: 0.5, height: 0.5 }, 1000, 1000)).toEqual({
+      x: 150,
+      y: 150,
+      width: 700,
+      height: 700
+    });
+  });
+
+  test('clamps boxes that run off the top-left edge', () => {
+    const box = getSafeCropBox({ x: -50, y: -50, width: 300, height: 300 }, 1000, 800);
+    expect(box.x).toBe(0);
+    expect(box.y).toBe(0);
+    expect(insideImage(box, 1000, 800)).toBe(true);
+  });
+
+  test('clamps boxes that run off the bottom-right edge', () => {
+    const box = getSafeCropBox({ x: 900, y: 700, width: 200, height: 200 }, 1000, 800);
+    expect(insideImage(box, 1000, 800)).toBe(true);
+  });
+
+  // Squaring a wide box on a landscape photo used to make it taller than the
+  // photo, and the re-clamp then moved its top above the image
+  test('squaring a wide box never pushes it off a landscape photo', () => {
+    const box = getSafeCropBox({ x: 0, y: 300, width: 2016, height: 1100 }, 2016, 1512);
+    expect(box).toEqual({ x: 0, y: 0, width: 2016, height: 1512 });
+  });
+
+  test('squaring a tall box never pushes it off a portrait photo', () => {
+    const box = getSafeCropBox({ x: 500, y: 0, width: 400, height: 2016 }, 1512, 2016);
+    expect(box.x).toBeGreaterThanOrEqual(0);
+    expect(insideImage(box, 1512, 2016)).toBe(true);
+  });
+
+  test('stays inside the image for boxes anywhere on it', () => {
+    const [width, height] = [1200, 900];
+    for (let x = 0; x < width; x += 150) {
+      for (let y = 0; y < height; y += 150) {
+        for (const size of [20, 300, 900]) {
+          const box = getSafeCropBox({ x, y, width: size, height: size / 2 }, width, height);
+          expect(insideImage(box, width, height)).toBe(true);
+        }
+      }
+    }
+  });
+
+  test('returns whole pixels', () => {
+    const box = getSafeCropBox({ x: 10.3, y: 20.7, width: 333.3, height: 111.1 }, 1001, 777);
+    Object.values(box).forEach(value => expect(Number.isInteger(value)).toBe(true));
+  });
+});
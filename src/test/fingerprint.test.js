@@ -0,0 +1,33 @@
+/**
+ * @jest-environment node
+ */
+import sharp from 'sharp';
+import { imageFingerprint, hammingDistance } from '../../api/_lib/fingerprint';
+import { imageSignature, visualSimilarity } from '../../api/_lib/dedupe';
+
+// Dark left half, light right half
+async function halves(width, height) {
+  const light = await sharp({ create: { width: width / 2, height, channels: 3, background: '#eeeeee' } }).png().toBuffer();
+  return sharp({ create: { width, height, channels: 3, background: '#222222' } })
+    .composite([{ input: light, left: width / 2, top: 0 }])
+    .jpeg()
+    .toBuffer();
+}
+
+test('replay matching and dedupe hash a photo the same way', async () => {
+  const photo = await halves(180, 160);
+  const { hash } = await imageSignature(photo, { x: 0, y: 0, width: 180, height: 160 });
+  expect(hash).toBe(await imageFingerprint(photo));
+});
+
+test('a resized copy still matches', async () => {
+  const photo = await halves(180, 160);
+  const smaller = await sharp(photo).resize(90, 80).jpeg({ quality: 60 }).toBuffer();
+  expect(hammingDistance(await imageFingerprint(photo), await imageFingerprint(smaller))).toBeLessThanOrEqual(8);
+});
+
+test('identical crops are fully similar', async () => {
+  const photo = await halves(180, 160);
+  const signature = await imageSignature(photo, { x: 40, y: 20, width: 100, height: 100 });
+  expect(visualSimilarity(signature, signature)).toBeCloseTo(1);
+});
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { percentBoxToPixels, roundBox, getSafeCropBox, loadImage, cropImage } from '../../api/_lib/crop';
+import { fixtures } from '../../api/_lib/data/mock-fixtures.json';
+
+const ROOT = path.resolve(__dirname, '../..');
+
+// The sample photos after EXIF rotation, and the crops we expect for a few of
+// their items. Any change here changes what users see - update deliberately.
+const GOLDEN = {
+  'test images/image0.jpeg': {
+    width: 2016,
+    height: 1512,
+    orientation: 1,
+    crops: {
+      'Fender Tube Guitar Amplifier': { x: 620, y: 658, width: 452, height: 452 },
+      'Teak Low Credenza': { x: 189, y: 0, width: 1637, height: 1512 },
+      'Mesh Ergonomic Office Chair': { x: 1236, y: 647, width: 780, height: 865 }
+    }
+  },
+  'test images/image1.jpeg': {
+    width: 2016,
+    height: 1512,
+    orientation: 1,
+    crops: {
+      // Wider than the photo is tall - used to crop from above the image
+      'Teak Sideboard with Glass Door': { x: 0, y: 0, width: 2016, height: 1512 },
+      'Coffee Table Books': { x: 97, y: 778, width: 734, height: 734 }
+    }
+  },
+  'test images/image2.jpeg': {
+    width: 1512,
+    height: 2016,
+    orientation: 6,
+    crops: {
+      'Akai MPK Mini MIDI Keyboard': { x: 326, y: 416, width: 1186, height: 1186 },
+      'Mesh Office Chair': { x: 0, y: 81, width: 1512, height: 1935 }
+    }
+  }
+};
+
+describe.each(fixtures.map(fixture => [fixture.file, fixture]))('%s', (file, fixture) => {
+  const golden = GOLDEN[file];
+  let source;
+
+  beforeAll(async () => {
+    source = await loadImage(fs.readFileSync(path.join(ROOT, file)));
+  }, 30000);
+
+  test('loads upright', () => {
+    expect(source).toMatchObject({ width: golden.width, height: golden.height, orientation: golden.orientation });
+  });
+
+  const cropBoxFor = item => getSafeCropBox(
+    roundBox(percentBoxToPixels(item.boundingBox, source.width, source.height)),
+    source.width,
+    source.height
+  );
+
+  test.each(Object.entries(golden.crops))('crops %s to its golden box', (name, expected) => {
+    expect(cropBoxFor(fixture.analysis.items.find(item => item.name === name))).toEqual(expected);
+  });
+
+  test('crops every fixture item inside the photo at the expected size', async () => {
+    for (const item of fixture.analysis.items) {
+      const cropBox = cropBoxFor(item);
+      expect(cropBox.x + cropBox.width).toBeLessThanOrEqual(source.width);
+      expect(cropBox.y + cropBox.height).toBeLessThanOrEqual(source.height);
+
+      const { width, height, format } = await sharp(await cropImage(source.buffer, cropBox)).metadata();
+      expect({ name: item.name, width, height, format }).toEqual({
+        name: item.name,
+        width: cropBox.width,
+        height: cropBox.height,
+        format: 'jpeg'
+      });
+    }
+  }, 60000);
+});
@@ -0,0 +1,322 @@
+/**
+ * @jest-environment node
+ */
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { invoke, parseEvents, signIn } from './apiHarness';
+import mock from '../../api/_lib/providers/mock';
+import analyze from '../../api/analyze';
+import analyzeRegion from '../../api/analyze-region';
+import listingCopy from '../../api/listing-copy';
+import inventory from '../../api/inventory';
+import regions from '../../api/regions';
+import users from '../../api/users';
+import keys from '../../api/keys';
+import sessionRoute from '../../api/session';
+import { getStore } from '../../api/_lib/storage';
+
+// The stubbed provider's answer for a whole room
+const ROOM_RESPONSE = JSON.stringify({
+  roomType: 'bedroom',
+  items: [
+    { name: 'Oak Dresser', value: 180, condition: 'Good', confidence: 88, category: 'furniture', boundingBox: { x: 30, y: 50, width: 40, height: 60 } },
+    { name: 'Table Lamp', value: 25, condition: 'Very Good', confidence: 82, category: 'lighting', boundingBox: { x: 80, y: 30, width: 10, height: 20 } }
+  ]
+});
+
+let photo;
+let session;
+
+beforeAll(async () => {
+  photo = (await sharp({ create: { width: 400, height: 300, channels: 3, background: '#b08060' } }).jpeg().toBuffer())
+    .toString('base64');
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(mock, 'analyze').mockResolvedValue(ROOM_RESPONSE);
+  session = await signIn();
+});
+
+afterEach(() => {
+  delete process.env.ALLOWED_ORIGINS;
+});
+
+const post = (body, headers = {}) => ({ method: 'POST', body, headers: { ...session.headers, ...headers } });
+
+describe.each([
+  ['analyze', analyze],
+  ['analyze-region', analyzeRegion],
+  ['listing-copy', listingCopy]
+])('%s', (name, handler) => {
+  test('answers preflight with CORS headers for allowed origins', async () => {
+    process.env.ALLOWED_ORIGINS = 'https://app.example.com, https://pyckit.example.com';
+    const res = await invoke(handler, { method: 'OPTIONS', headers: { origin: 'https://app.example.com' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.ended).toBe(true);
+    expect(res.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    expect(res.headers['access-control-allow-credentials']).toBe('true');
+    expect(res.headers['access-control-allow-methods']).toBe('OPTIONS,POST');
+  });
+
+  test('does not echo origins missing from ALLOWED_ORIGINS', async () => {
+    process.env.ALLOWED_ORIGINS = 'https://pyckit.example.com';
+    const res = await invoke(handler, { method: 'OPTIONS', headers: { origin: 'https://evil.example.com' } });
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    expect(res.headers['access-control-allow-credentials']).toBeUndefined();
+  });
+
+  test('allows no cross-origin callers when ALLOWED_ORIGINS is unset', async () => {
+    const res = await invoke(handler, { method: 'OPTIONS', headers: { origin: 'https://app.example.com' } });
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    expect(res.headers['access-control-allow-credentials']).toBeUndefined();
+  });
+
+  test('rejects other methods', async () => {
+    const res = await invoke(handler, { method: 'GET', headers: session.headers });
+    expect(res.statusCode).toBe(405);
+  });
+
+  test('needs a signed-in session', async () => {
+    const res = await invoke(handler, { method: 'POST', body: { image: photo, item: { name: 'Lamp' } } });
+    expect(res.statusCode).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+});
+
+describe('analyze', () => {
+  test('returns priced, cropped items from the provider', async () => {
+    const res = await invoke(analyze, post({ image: photo, provider: 'mock' }));
+
+    expect(res.statusCode).toBe(200);
+    expect(mock.analyze).toHaveBeenCalledWith(expect.objectContaining({ mimeType: 'image/jpeg', task: 'analysis' }));
+    expect(res.body).toMatchObject({ success: true, provider: 'mock', imageWidth: 400, imageHeight: 300, roomType: 'bedroom' });
+    expect(res.body.items).toHaveLength(2);
+    res.body.items.forEach(item => {
+      expect(item.image).toMatch(/^data:image\/jpeg;base64,/);
+      expect(item.cropBox.x + item.cropBox.width).toBeLessThanOrEqual(400);
+      expect(item.cropBox.y + item.cropBox.height).toBeLessThanOrEqual(300);
+    });
+    expect(res.body.photoIds).toHaveLength(1);
+    expect(res.headers['x-quota-remaining']).toBeDefined();
+  });
+
+  test('streams progress as server-sent events', async () => {
+    const res = await invoke(analyze, post({ image: photo, provider: 'mock' }, { accept: 'text/event-stream' }));
+    const events = parseEvents(res).map(({ event }) => event);
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(events[0]).toBe('received');
+    expect(events).toEqual(expect.arrayContaining(['model', 'identified', 'item', 'priced', 'crop']));
+    expect(events[events.length - 1]).toBe('result');
+  });
+
+  test('gives the quota back when the provider fails', async () => {
+    mock.analyze.mockRejectedValue(new Error('provider down'));
+    const before = await invoke(analyze, post({ image: photo, provider: 'mock' }));
+    mock.analyze.mockResolvedValue(ROOM_RESPONSE);
+    const after = await invoke(analyze, post({ image: photo, provider: 'mock' }));
+
+    expect(before.statusCode).toBe(500);
+    expect(after.body.usage.used).toBe(1);
+  });
+
+  test('needs an image', async () => {
+    const res = await invoke(analyze, post({ provider: 'mock' }));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('No image provided');
+  });
+
+  test.each([
+    [{ padding: 1000 }],
+    [{ maxSize: 0 }],
+    [{ shadowBlur: 'lots' }],
+    [{ shadowOpacity: '1"/><script/>' }],
+    [{ background: 'red; x' }],
+    [{ scale: 2 }],
+    ['[1, 2]']
+  ])('rejects studio options %j', async (studio) => {
+    const res = await invoke(analyze, post({ image: photo, provider: 'mock', isolate: true, studio }));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/^Invalid studio options/);
+    expect(mock.analyze).not.toHaveBeenCalled();
+  });
+
+  test('isolates with studio options inside the limits', async () => {
+    const studio = JSON.stringify({ padding: '0.2', shadowOpacity: 0.5, shadowBlur: 4, maxSize: 256, background: '#fafafa' });
+    const res = await invoke(analyze, post({ image: photo, provider: 'mock', isolate: true, studio }));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items[0].studioImage).toMatch(/^data:image\/jpeg;base64,/);
+  }, 20000);
+
+  test('rejects unknown providers', async () => {
+    const res = await invoke(analyze, post({ image: photo, provider: 'nonesuch' }));
+    expect(res.statusCode).toBe(400);
+  });
+
+  test.each([
+    ['invalid_api_key', 401],
+    ['429 rate_limit_error', 429],
+    ['socket hang up', 500]
+  ])('maps a provider "%s" error to %i', async (message, status) => {
+    mock.analyze.mockRejectedValue(new Error(message));
+    const res = await invoke(analyze, post({ image: photo, provider: 'mock' }));
+    expect(res.statusCode).toBe(status);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('reports errors as an event once streaming has started', async () => {
+    mock.analyze.mockRejectedValue(new Error('rate_limit'));
+    const res = await invoke(analyze, post({ image: photo, provider: 'mock' }, { accept: 'text/event-stream' }));
+    const last = parseEvents(res).pop();
+    expect(last).toMatchObject({ event: 'error', data: { success: false, status: 429 } });
+  });
+});
+
+describe('analyze-region', () => {
+  const box = { x: 50, y: 50, width: 30, height: 30 };
+
+  beforeEach(() => {
+    mock.analyze.mockResolvedValue(JSON.stringify({
+      item: { name: 'Wicker Basket', value: 20, condition: 'Good', confidence: 85, category: 'decor' }
+    }));
+  });
+
+  test('identifies the item in the box', async () => {
+    const res = await invoke(analyzeRegion, post({ image: photo, box, provider: 'mock', itemId: 'item-7' }));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.item).toMatchObject({ id: 'item-7', name: 'Wicker Basket', boundingBox: box });
+    expect(mock.analyze).toHaveBeenCalledWith(expect.objectContaining({ task: 'region' }));
+  });
+
+  test('rejects an invalid box', async () => {
+    const res = await invoke(analyzeRegion, post({ image: photo, box: { x: 50 }, provider: 'mock' }));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/^Invalid box/);
+  });
+
+  test('needs an image or a photo id', async () => {
+    const res = await invoke(analyzeRegion, post({ box, provider: 'mock' }));
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('404s for an unknown photo id', async () => {
+    const res = await invoke(analyzeRegion, post({ photoId: 'photo-000000000000000000000000', box, provider: 'mock' }));
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('410s for an expired photo id', async () => {
+    mock.analyze.mockResolvedValueOnce(ROOM_RESPONSE);
+    const { body: { photoIds: [photoId] } } = await invoke(analyze, post({ image: photo, provider: 'mock' }));
+    const photos = getStore('photos');
+    const record = await photos.get(`${session.user.id}:${photoId}`);
+    await photos.put({ ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const res = await invoke(analyzeRegion, post({ photoId, box, provider: 'mock' }));
+    expect(res.statusCode).toBe(410);
+    expect(res.body.error).toMatch(/^Photo expired/);
+  });
+
+  test('502s when the answer is not JSON', async () => {
+    mock.analyze.mockResolvedValue('I think that is a basket.');
+    const res = await invoke(analyzeRegion, post({ image: photo, box, provider: 'mock' }));
+    expect(res.statusCode).toBe(502);
+
+    mock.analyze.mockResolvedValue(JSON.stringify({ item: { name: 'Basket', value: 20 } }));
+    const next = await invoke(analyzeRegion, post({ image: photo, box, provider: 'mock' }));
+    expect(next.body.usage.used).toBe(1);
+  });
+});
+
+describe('listing-copy', () => {
+  const item = { name: 'Oak Dresser', condition: 'Good', category: 'furniture', value: 180 };
+
+  test('needs an item with a name', async () => {
+    const res = await invoke(listingCopy, post({ item: { name: ' ' } }));
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('falls back to templates when the answer is unusable', async () => {
+    mock.analyze.mockResolvedValue('no json here');
+    const res = await invoke(listingCopy, post({ item, provider: 'mock' }));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.source).toBe('template');
+    expect(res.body.copy.title).toMatch(/Oak Dresser/);
+  });
+
+  test('rejects unknown presets', async () => {
+    const res = await invoke(listingCopy, post({ item, preset: 'shouty', provider: 'mock' }));
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('users and session', () => {
+  test('hand out the session only as an HttpOnly cookie', async () => {
+    const credentials = { email: `cookie-${Date.now()}@example.com`, password: 'correct horse battery' };
+
+    const registered = await invoke(users, { method: 'POST', body: credentials });
+    expect(registered.statusCode).toBe(201);
+    expect(registered.body).not.toHaveProperty('token');
+    expect(registered.headers['set-cookie']).toMatch(/HttpOnly/);
+
+    const signedIn = await invoke(sessionRoute, { method: 'POST', body: credentials });
+    expect(signedIn.statusCode).toBe(200);
+    expect(signedIn.body).not.toHaveProperty('token');
+    expect(signedIn.headers['set-cookie']).toMatch(/HttpOnly/);
+  });
+
+  test('check a password hash even for unknown emails', async () => {
+    const compare = jest.spyOn(crypto, 'timingSafeEqual');
+    const res = await invoke(sessionRoute, { method: 'POST', body: { email: `nobody-${Date.now()}@example.com`, password: 'correct horse battery' } });
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Wrong email or password');
+    expect(compare).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('keys', () => {
+  test('list the providers that take a key and the default one', async () => {
+    const res = await invoke(keys, { method: 'GET', headers: session.headers });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.defaultProvider).toBe('gemini');
+    expect(res.body.providers.map(provider => provider.name).sort()).toEqual(['claude', 'gemini']);
+    expect(res.body.providers.find(provider => provider.name === 'gemini')).toMatchObject({ label: 'Gemini (Google)', keyPrefix: 'AIza' });
+  });
+});
+
+describe('inventory', () => {
+  test('saves, lists, fetches and deletes analyses per user', async () => {
+    const record = { id: 'analysis-1', title: 'Bedroom', items: [{ id: 'item-1' }], totalValue: 180 };
+    expect((await invoke(inventory, { method: 'PUT', body: record, headers: session.headers })).statusCode).toBe(200);
+
+    const list = await invoke(inventory, { method: 'GET', headers: session.headers });
+    expect(list.body.analyses).toEqual([expect.objectContaining({ id: 'analysis-1', itemCount: 1, totalValue: 180 })]);
+
+    const other = await signIn();
+    expect((await invoke(inventory, { method: 'GET', headers: other.headers })).body.analyses).toEqual([]);
+
+    const query = { id: 'analysis-1' };
+    expect((await invoke(inventory, { method: 'GET', query, headers: session.headers })).body.analysis.title).toBe('Bedroom');
+    expect((await invoke(inventory, { method: 'DELETE', query, headers: session.headers })).statusCode).toBe(200);
+    expect((await invoke(inventory, { method: 'GET', query, headers: session.headers })).statusCode).toBe(404);
+  });
+
+  test('rejects records without items', async () => {
+    const res = await invoke(inventory, { method: 'PUT', body: { id: 'x' }, headers: session.headers });
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('regions', () => {
+  test('lists every region and the default', async () => {
+    const res = await invoke(regions, { method: 'GET' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.defaultRegion).toBe('calgary');
+    expect(res.body.regions.map(region => region.id)).toContain('vancouver');
+  });
+
+  test('rejects other methods', async () => {
+    expect((await invoke(regions, { method: 'POST' })).statusCode).toBe(405);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+import { createServerAdapter, storableRecord } from '../services/inventoryStore';
+
+const record = {
+  id: 'analysis-1',
+  items: [
+    { id: 'a', name: 'Lamp', processedImage: 'blob:http://localhost/1234', image: 'data:image/jpeg;base64,AAAA' },
+    { id: 'b', name: 'Chair', processedImage: 'data:image/jpeg;base64,BBBB', reprocessing: true }
+  ]
+};
+
+describe('storableRecord', () => {
+  test('drops object URLs and the reprocessing flag', () => {
+    expect(storableRecord(record).items).toEqual([
+      { id: 'a', name: 'Lamp', image: 'data:image/jpeg;base64,AAAA' },
+      { id: 'b', name: 'Chair', processedImage: 'data:image/jpeg;base64,BBBB' }
+    ]);
+  });
+
+  test('leaves the record it was given alone', () => {
+    storableRecord(record);
+    expect(record.items[1].reprocessing).toBe(true);
+  });
+});
+
+describe('server adapter', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn(async (url, options) => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ analysis: JSON.parse(options.body) })
+    }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('saves the storable record', async () => {
+    const saved = await createServerAdapter('/api').saveAnalysis({ ...record, photos: [] });
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.items[0].processedImage).toBeUndefined();
+    expect(body.items[1].reprocessing).toBeUndefined();
+    expect(saved.photos).toEqual([]);
+  });
+});
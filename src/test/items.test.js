@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+import { determineCondition, generateItemDescription, normalizeItem } from '../../api/_lib/items';
+import { getRegion } from '../../api/_lib/regions';
+
+describe('determineCondition', () => {
+  test.each([
+    [95, 'Excellent'],
+    [90.5, 'Excellent'],
+    [90, 'Very Good'],
+    [81, 'Very Good'],
+    [80, 'Good'],
+    [71, 'Good'],
+    [70, 'Fair'],
+    [0, 'Fair']
+  ])('confidence %p is %s', (confidence, condition) => {
+    expect(determineCondition(confidence)).toBe(condition);
+  });
+});
+
+describe('generateItemDescription', () => {
+  test('describes the item itself rather than a canned type', () => {
+    const description = generateItemDescription({ name: 'Oak Dresser', condition: 'Fair' });
+    expect(description).toMatch(/fair condition oak dresser/i);
+  });
+
+  test('mentions the maker when the name does not', () => {
+    expect(generateItemDescription({ name: 'Armchair', brand: 'IKEA', model: 'POÄNG', condition: 'Good' }))
+      .toMatch(/by IKEA POÄNG/);
+    expect(generateItemDescription({ name: 'IKEA Armchair', brand: 'IKEA', condition: 'Good' }))
+      .not.toMatch(/ by /);
+  });
+});
+
+describe('normalizeItem', () => {
+  const validated = {
+    name: 'Wooden Desk',
+    value: 149.6,
+    condition: 'Good',
+    confidence: 84.4,
+    category: 'furniture',
+    boundingBox: { x: 50, y: 50, width: 20, height: 20 }
+  };
+
+  test('numbers items and rounds value and confidence', () => {
+    const item = normalizeItem(validated, 2);
+    expect(item).toMatchObject({ id: 'item-3', value: 150, confidence: 84, brand: null, model: null, ageYears: null });
+  });
+
+  test('fills in a description, listing title and best season', () => {
+    const item = normalizeItem(validated, 0, getRegion('calgary'));
+    expect(item.description).toMatch(/wooden desk/i);
+    expect(item.listingTitle).toBe('Wooden Desk - Good Condition');
+    expect(item.bestSeason).toMatch(/Spring/);
+  });
+
+  test('keeps the model description when there is one', () => {
+    expect(normalizeItem({ ...validated, description: 'Solid oak.' }, 0).description).toBe('Solid oak.');
+  });
+
+  test('defaults the category to general', () => {
+    expect(normalizeItem({ ...validated, category: undefined }, 0).category).toBe('general');
+  });
+});
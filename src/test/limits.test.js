@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { consumeToken, getDailyUsage, reserveUsage } from '../../api/_lib/limits';
+import { createFileAdapter } from '../../api/_lib/storage/file';
+
+process.env.INVENTORY_STORAGE = 'memory';
+
+const tier = { perMinute: 4, burst: 4, dailyAnalyses: 5, maxImageBytes: 1024 };
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+describe('reserveUsage', () => {
+  test('parallel requests cannot go past the daily cap', async () => {
+    const reservations = await Promise.all(
+      Array.from({ length: 8 }, () => reserveUsage('user:parallel', tier, 1, NOW))
+    );
+    expect(reservations.filter(reservation => reservation.allowed)).toHaveLength(5);
+    expect((await getDailyUsage('user:parallel', tier, NOW)).used).toBe(5);
+  });
+
+  test('refunds give the analyses back, once', async () => {
+    const reservation = await reserveUsage('user:refund', tier, 3, NOW);
+    expect(reservation.usage).toMatchObject({ used: 3, remaining: 2 });
+    await reservation.refund();
+    await reservation.refund();
+    expect((await getDailyUsage('user:refund', tier, NOW)).used).toBe(0);
+  });
+
+  test('a refused reservation charges nothing', async () => {
+    await reserveUsage('user:refused', tier, 4, NOW);
+    const refused = await reserveUsage('user:refused', tier, 2, NOW);
+    expect(refused.allowed).toBe(false);
+    await refused.refund();
+    expect((await getDailyUsage('user:refused', tier, NOW)).used).toBe(4);
+  });
+});
+
+describe('consumeToken', () => {
+  test('parallel requests share one bucket', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 6 }, () => consumeToken('user:burst', tier, NOW))
+    );
+    expect(results.filter(result => result.allowed)).toHaveLength(4);
+  });
+});
+
+describe('file adapter update', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pyckit-limits-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('applies every concurrent update, even from separate adapters', async () => {
+    // Two adapters on one directory stand in for two server instances
+    const stores = [createFileAdapter(dir), createFileAdapter(dir)];
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+      stores[i % 2].update('counter', current => ({ id: 'counter', count: (current?.count || 0) + 1 }))
+    ));
+    expect(await stores[0].get('counter')).toEqual({ id: 'counter', count: 20 });
+    expect(await fs.promises.readdir(dir)).toEqual(['counter.json']);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * @jest-environment node
+ */
+import { toCsv, buildExportFiles } from '../services/listingExport';
+
+describe('toCsv', () => {
+  test('quotes cells with commas, quotes and line breaks', () => {
+    expect(toCsv(['a', 'b'], [['1, 2', 'say "hi"\nthere']])).toBe('a,b\r\n"1, 2","say ""hi""\nthere"\r\n');
+  });
+
+  test.each([
+    ['=HYPERLINK("http://evil.example","Click")', '"\'=HYPERLINK(""http://evil.example"",""Click"")"'],
+    ['+1+1', "'+1+1"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\t=1', "'\t=1"],
+    ['\r=1', '"\'\r=1"']
+  ])('keeps %j from running as a formula', (cell, expected) => {
+    expect(toCsv(['title'], [[cell]])).toBe(`title\r\n${expected}\r\n`);
+  });
+
+  test('leaves numbers and ordinary text alone', () => {
+    expect(toCsv(['price', 'title'], [[-5, 'Oak Dresser - Good']])).toBe('price,title\r\n-5,Oak Dresser - Good\r\n');
+  });
+});
+
+describe('buildExportFiles', () => {
+  test('neutralises formulas in model-written titles and descriptions', () => {
+    const item = { name: 'Lamp', listingTitle: '=cmd|" /C calc"!A0', description: '@evil', value: 20, condition: 'Good', category: 'lighting' };
+    const [sheet] = buildExportFiles([item], 'kijiji', { location: 'Calgary, AB' });
+    const [, row] = sheet.content.split('\r\n');
+    expect(row.startsWith('"\'=cmd|')).toBe(true);
+    expect(row).toContain(",'@evil,");
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @jest-environment node
+ */
+import {
+  createMask,
+  maskBounds,
+  alphaBounds,
+  isEmptyMask,
+  maskFromRgba,
+  decodeRle,
+  rasterizePolygon,
+  featherMask,
+  erodeMask,
+  dilateMask,
+  cleanMask,
+  resizeMask,
+  alignMask,
+  loadMask
+} from '../services/masks';
+
+// A width x height mask with the given pixel rectangles filled in
+function maskWith(width, height, ...rects) {
+  const mask = createMask(width, height);
+  rects.forEach(({ x, y, width: w, height: h }) => {
+    for (let row = y; row < y + h; row++) mask.data.fill(255, row * width + x, row * width + x + w);
+  });
+  return mask;
+}
+
+const count = mask => mask.data.reduce((sum, value) => sum + (value > 127 ? 1 : 0), 0);
+
+describe('bounds', () => {
+  test('finds the tight box around the object', () => {
+    const mask = maskWith(20, 10, { x: 3, y: 2, width: 4, height: 5 }, { x: 12, y: 6, width: 1, height: 1 });
+    expect(maskBounds(mask)).toEqual({ x: 3, y: 2, width: 10, height: 5 });
+  });
+
+  test('is null for an empty mask rather than a zero-size box', () => {
+    const mask = createMask(8, 8);
+    mask.data.fill(10); // at the threshold - still background
+    expect(maskBounds(mask)).toBeNull();
+    expect(isEmptyMask(mask)).toBe(true);
+  });
+
+  test('reads the alpha of RGBA pixels', () => {
+    const data = new Uint8ClampedArray(4 * 4 * 4);
+    data.fill(255, 0, data.length);
+    for (let i = 3; i < data.length; i += 4) data[i] = 0;
+    data[(2 * 4 + 1) * 4 + 3] = 200;
+    expect(alphaBounds({ data, width: 4, height: 4 })).toEqual({ x: 1, y: 2, width: 1, height: 1 });
+  });
+
+  test('rejects data of the wrong size', () => {
+    expect(() => createMask(4, 4, new Uint8ClampedArray(15))).toThrow('15 values for 4x4');
+    expect(() => createMask(0, 4)).toThrow('Invalid mask size');
+  });
+});
+
+describe('maskFromRgba', () => {
+  const pixels = (rgba) => ({ data: Uint8ClampedArray.from(rgba), width: 2, height: 1 });
+
+  test('uses brightness for opaque black-and-white masks', () => {
+    expect(Array.from(maskFromRgba(pixels([0, 0, 0, 255, 255, 255, 255, 255])).data)).toEqual([0, 255]);
+  });
+
+  test('uses alpha when the image has transparency', () => {
+    expect(Array.from(maskFromRgba(pixels([0, 0, 0, 255, 255, 255, 255, 0])).data)).toEqual([255, 0]);
+  });
+
+  test('rejects unknown channels', () => {
+    expect(() => maskFromRgba(pixels([0, 0, 0, 0, 0, 0, 0, 0]), { channel: 'red' })).toThrow('Unknown mask channel');
+  });
+});
+
+describe('decodeRle', () => {
+  // 3 wide, 2 tall: runs go down each column, starting with background
+  //   . X X
+  //   . X .
+  test('decodes column-major counts', () => {
+    const mask = decodeRle({ size: [2, 3], counts: [2, 3, 1] });
+    expect(Array.from(mask.data)).toEqual([0, 255, 255, 0, 255, 0]);
+  });
+
+  test('decodes COCO compressed strings', () => {
+    // "131N" is COCO's encoding of [1, 3, 1, 1] - the last count is stored as -2
+    expect(decodeRle({ size: [2, 3], counts: '131N' })).toEqual(decodeRle({ size: [2, 3], counts: [1, 3, 1, 1] }));
+  });
+
+  test('rejects runs longer than the mask', () => {
+    expect(() => decodeRle({ size: [2, 3], counts: [2, 9] })).toThrow('runs cover 11 pixels of 6');
+  });
+});
+
+describe('rasterizePolygon', () => {
+  test('fills the pixels whose centers are inside', () => {
+    const mask = rasterizePolygon([[2, 1], [6, 1], [6, 4], [2, 4]], 8, 6);
+    expect(maskBounds(mask)).toEqual({ x: 2, y: 1, width: 4, height: 3 });
+    expect(count(mask)).toBe(12);
+  });
+
+  test('takes COCO flat polygons and keeps holes open', () => {
+    const outer = [0, 0, 10, 0, 10, 10, 0, 10];
+    const hole = [3, 3, 7, 3, 7, 7, 3, 7];
+    const mask = rasterizePolygon([outer, hole], 10, 10);
+    expect(count(mask)).toBe(100 - 16);
+    expect(mask.data[5 * 10 + 5]).toBe(0);
+  });
+
+  test('ignores degenerate polygons', () => {
+    expect(isEmptyMask(rasterizePolygon([[1, 1], [5, 5]], 8, 8))).toBe(true);
+  });
+});
+
+describe('feathering and cleanup', () => {
+  test('feathering softens the edge but keeps the object', () => {
+    const mask = maskWith(20, 20, { x: 5, y: 5, width: 10, height: 10 });
+    const feathered = featherMask(mask, 2);
+    expect(feathered.data[10 * 20 + 10]).toBe(255);
+    expect(feathered.data[10 * 20 + 5]).toBeGreaterThan(0);
+    expect(feathered.data[10 * 20 + 5]).toBeLessThan(255);
+    expect(feathered.data[0]).toBe(0);
+    expect(featherMask(mask, 0).data).toEqual(mask.data);
+  });
+
+  test('erode and dilate shrink and grow by the radius', () => {
+    const mask = maskWith(20, 20, { x: 5, y: 5, width: 10, height: 10 });
+    expect(maskBounds(erodeMask(mask, 2))).toEqual({ x: 7, y: 7, width: 6, height: 6 });
+    expect(maskBounds(dilateMask(mask, 2))).toEqual({ x: 3, y: 3, width: 14, height: 14 });
+  });
+
+  test('cleanup drops specks and stray regions and fills holes', () => {
+    const mask = maskWith(
+      30, 30,
+      { x: 5, y: 5, width: 15, height: 15 },   // the object
+      { x: 25, y: 25, width: 3, height: 3 },   // a smaller stray region
+      { x: 1, y: 28, width: 1, height: 1 }     // a speck
+    );
+    mask.data.fill(0, 12 * 30 + 10, 12 * 30 + 14); // a hole in the object
+
+    const cleaned = cleanMask(mask);
+    expect(maskBounds(cleaned)).toEqual({ x: 5, y: 5, width: 15, height: 15 });
+    expect(count(cleaned)).toBe(15 * 15);
+  });
+
+  test('cleanup leaves an empty mask empty', () => {
+    expect(isEmptyMask(cleanMask(createMask(10, 10)))).toBe(true);
+    // A speck smaller than the radius disappears entirely
+    expect(isEmptyMask(cleanMask(maskWith(10, 10, { x: 4, y: 4, width: 1, height: 1 })))).toBe(true);
+  });
+});
+
+describe('alignMask', () => {
+  test('scales a mask with the photo\'s shape', () => {
+    const mask = maskWith(40, 30, { x: 10, y: 0, width: 20, height: 30 });
+    const aligned = alignMask(mask, 400, 300);
+    expect([aligned.width, aligned.height]).toEqual([400, 300]);
+    expect(maskBounds(aligned, 127)).toEqual({ x: 100, y: 0, width: 200, height: 300 });
+  });
+
+  test('crops the padding off a square SAM mask instead of stretching it', () => {
+    // A 4:3 photo padded on the bottom to 40x40; the object is the photo's left half
+    const mask = maskWith(40, 40, { x: 0, y: 0, width: 20, height: 30 });
+    expect(maskBounds(alignMask(mask, 400, 300), 127)).toEqual({ x: 0, y: 0, width: 200, height: 300 });
+  });
+
+  test('crops letterboxing from the middle with a center anchor', () => {
+    const mask = maskWith(40, 40, { x: 0, y: 5, width: 20, height: 30 });
+    expect(maskBounds(alignMask(mask, 400, 300, { anchor: 'center' }), 127)).toEqual({ x: 0, y: 0, width: 200, height: 300 });
+  });
+
+  test('rejects unknown anchors', () => {
+    expect(() => alignMask(createMask(4, 4), 8, 8, { anchor: 'bottom' })).toThrow('Unknown mask anchor');
+  });
+
+  test('resizing keeps an empty mask empty', () => {
+    expect(isEmptyMask(resizeMask(createMask(3, 3), 30, 30))).toBe(true);
+  });
+});
+
+describe('loadMask', () => {
+  test('decodes RLE and aligns it to the photo', async () => {
+    const mask = await loadMask({ size: [2, 3], counts: [2, 3, 1] }, { width: 30, height: 20 });
+    expect([mask.width, mask.height]).toEqual([30, 20]);
+  });
+
+  test('unwraps the backend\'s { mask } and rasterizes polygons in the photo\'s pixels', async () => {
+    const mask = await loadMask({ mask: { points: [[2, 1], [6, 1], [6, 4], [2, 4]] } }, { width: 8, height: 6 });
+    expect(maskBounds(mask)).toEqual({ x: 2, y: 1, width: 4, height: 3 });
+  });
+
+  test('hands image URLs to the decoder', async () => {
+    const decodeImage = jest.fn().mockResolvedValue({ data: Uint8ClampedArray.from([0, 0, 0, 255, 255, 255, 255, 255]), width: 2, height: 1 });
+    const mask = await loadMask('data:image/png;base64,AAAA', { decodeImage });
+    expect(decodeImage).toHaveBeenCalledWith('data:image/png;base64,AAAA');
+    expect(Array.from(mask.data)).toEqual([0, 255]);
+  });
+
+  test('explains what is wrong with a mask it can\'t use', async () => {
+    await expect(loadMask(null)).rejects.toThrow('No mask provided');
+    await expect(loadMask({ shape: 'blob' })).rejects.toThrow('Unknown mask data structure');
+    await expect(loadMask('not a url')).rejects.toThrow('Unknown mask data structure');
+    await expect(loadMask('https://example.com/mask.png')).rejects.toThrow('need an image decoder');
+    await expect(loadMask([[0, 0], [1, 0], [1, 1]])).rejects.toThrow('need the width and height');
+  });
+});
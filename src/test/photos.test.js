@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+import { savePhoto, loadPhoto } from '../../api/_lib/photos';
+import { getStore, getBlobStore } from '../../api/_lib/storage';
+
+process.env.INVENTORY_STORAGE = 'memory';
+
+const user = { id: 'user-photos' };
+const START = Date.UTC(2026, 9, 19, 12);
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+  jest.useFakeTimers().setSystemTime(START);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('keeps the upload as raw bytes, not base64 in the record', async () => {
+  const photo = Buffer.from('raw photo bytes');
+  const id = await savePhoto(user, photo);
+
+  const record = await getStore('photos').get(`${user.id}:${id}`);
+  expect(record).toMatchObject({ userId: user.id, bytes: photo.length });
+  expect(record).not.toHaveProperty('data');
+  expect(await getBlobStore('photos').get(`${user.id}:${id}`)).toEqual(photo);
+  expect(await loadPhoto(user, id)).toEqual(photo);
+});
+
+test('other users cannot load a photo by its id', async () => {
+  const id = await savePhoto(user, Buffer.from('private photo'));
+  await expect(loadPhoto({ id: 'user-other' }, id)).rejects.toThrow('Photo not found');
+});
+
+test('sweeps expired photos on save, even ones nobody loads again', async () => {
+  const forgotten = await savePhoto({ id: 'user-gone' }, Buffer.from('never fetched again'));
+
+  jest.setSystemTime(START + 25 * HOUR);
+  await savePhoto(user, Buffer.from('a new upload'));
+
+  expect(await getStore('photos').get(`user-gone:${forgotten}`)).toBeNull();
+  expect(await getBlobStore('photos').get(`user-gone:${forgotten}`)).toBeNull();
+});
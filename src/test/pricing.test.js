@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+import { estimatePrice, findComparables } from '../../api/_lib/pricing';
+import { getRegion } from '../../api/_lib/regions';
+
+const calgary = getRegion('calgary');
+
+const comps = [
+  { title: 'IKEA MALM 6-Drawer Dresser', category: 'furniture', brand: 'IKEA', condition: 'Good', ageYears: 4, price: 140, location: 'Calgary, AB' },
+  { title: 'IKEA MALM 6-Drawer Dresser White', category: 'furniture', brand: 'IKEA', condition: 'Good', ageYears: 4, price: 160, location: 'Calgary, AB' },
+  { title: 'IKEA MALM Dresser', category: 'furniture', brand: 'IKEA', condition: 'Good', ageYears: 4, price: 150, location: 'Calgary, AB' },
+  { title: 'Samsung 55" TV', category: 'electronics', brand: 'Samsung', condition: 'Good', ageYears: 3, price: 400, location: 'Calgary, AB' }
+];
+
+const dresser = { name: 'IKEA MALM 6-Drawer Dresser', category: 'furniture', brand: 'IKEA', condition: 'Good', ageYears: 4 };
+
+describe('findComparables', () => {
+  test('matches on name and category, not on brand alone', () => {
+    const matches = findComparables(dresser, comps, calgary);
+    expect(matches.map(match => match.title)).not.toContain('Samsung 55" TV');
+    expect(matches.length).toBeGreaterThan(0);
+  });
+
+  test('rules out other categories', () => {
+    expect(findComparables({ ...dresser, category: 'electronics' }, comps, calgary)).toEqual([]);
+  });
+});
+
+describe('estimatePrice', () => {
+  test('prices from comparable sales', () => {
+    const price = estimatePrice(dresser, { region: calgary, comps });
+    expect(price.method).toBe('comparables');
+    expect(price.median).toBe(150);
+    expect(price.low).toBeLessThanOrEqual(price.value);
+    expect(price.high).toBeGreaterThanOrEqual(price.value);
+    expect(price.currency).toBe('CAD');
+  });
+
+  test('blends in the model estimate without taking it as the answer', () => {
+    const withoutModel = estimatePrice(dresser, { region: calgary, comps }).value;
+    const withModel = estimatePrice({ ...dresser, value: 600 }, { region: calgary, comps });
+    expect(withModel.modelEstimate).toBe(600);
+    expect(withModel.value).toBeGreaterThan(withoutModel);
+    expect(withModel.value).toBeLessThan(600);
+  });
+
+  test('marks comps down for a worse condition', () => {
+    const good = estimatePrice(dresser, { region: calgary, comps });
+    const fair = estimatePrice({ ...dresser, condition: 'Fair' }, { region: calgary, comps });
+    expect(fair.median).toBeLessThan(good.median);
+  });
+
+  test('moves Calgary comps into pricier regions', () => {
+    const vancouver = estimatePrice(dresser, { region: getRegion('vancouver'), comps });
+    expect(vancouver.median).toBe(Math.round(150 * getRegion('vancouver').priceMultiplier));
+  });
+
+  test('falls back to the baseline when nothing comparable has sold', () => {
+    const price = estimatePrice({ name: 'Floor Lamp', category: 'lighting', condition: 'Excellent' }, { region: calgary, comps });
+    expect(price.method).toBe('baseline');
+    expect(price.comps).toEqual([]);
+    expect(price.median).toBe(60);
+  });
+});
@@ -0,0 +1,31 @@
+import { identifyRegion } from '../services/regionAnalysis';
+import { preprocessImage } from '../services/imagePreprocess';
+
+jest.mock('../services/imagePreprocess', () => ({ preprocessImage: jest.fn() }));
+
+const box = { x: 50, y: 50, width: 20, height: 20 };
+const reply = (status, data) => ({ status, json: async () => data });
+
+beforeEach(() => {
+  preprocessImage.mockResolvedValue({ upload: new Blob(['jpeg']) });
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test.each([404, 410])('uploads the photo again when the id is gone (%i)', async (status) => {
+  global.fetch
+    .mockResolvedValueOnce(reply(status, { success: false, error: 'Photo expired - upload it again' }))
+    .mockResolvedValueOnce(reply(200, { success: true, item: { name: 'Lamp' } }));
+
+  const item = await identifyRegion('/api', { photoId: 'photo-1', photo: new Blob(['photo']), box });
+  expect(item).toEqual({ name: 'Lamp' });
+  expect(global.fetch.mock.calls[1][1].body).toBeInstanceOf(FormData);
+});
+
+test('passes the expiry on when there is no photo to send', async () => {
+  global.fetch.mockResolvedValueOnce(reply(410, { success: false, error: 'Photo expired - upload it again' }));
+  await expect(identifyRegion('/api', { photoId: 'photo-1', box })).rejects.toThrow('Photo expired');
+});
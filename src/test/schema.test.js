@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+import { extractJson, validateBox, validateItem } from '../../api/_lib/schema';
+
+describe('validateBox', () => {
+  test('passes boxes inside the image through untouched', () => {
+    expect(validateBox({ x: 50, y: 40, width: 20, height: 10 })).toEqual({
+      box: { x: 50, y: 40, width: 20, height: 10 },
+      repairs: [],
+      errors: []
+    });
+  });
+
+  test('clips edges that spill past the frame, keeping the part inside', () => {
+    // Covers 85-105 across and -5 to 25 down; 85-100 and 0-25 are in the image
+    const { box, repairs } = validateBox({ x: 95, y: 10, width: 20, height: 30 });
+    expect(box).toEqual({ x: 92.5, y: 12.5, width: 15, height: 25 });
+    expect(repairs.map(repair => repair.message)).toContain('Clamped box edges to the image');
+  });
+
+  test('converts fractional boxes to percent', () => {
+    expect(validateBox({ x: 0.5, y: 0.5, width: 0.2, height: 0.4 }).box).toEqual({ x: 50, y: 50, width: 20, height: 40 });
+  });
+
+  test('rejects boxes centered outside the image', () => {
+    const { box, errors } = validateBox({ x: 120, y: 50, width: 10, height: 10 });
+    expect(box).toBeNull();
+    expect(errors[0].message).toMatch(/outside the image/);
+  });
+
+  test('clips the same way for items', () => {
+    const { item } = validateItem({ name: 'Lamp', value: 20, confidence: 80, boundingBox: { x: 5, y: 50, width: 20, height: 20 } });
+    expect(item.boundingBox).toEqual({ x: 7.5, y: 50, width: 15, height: 20 });
+  });
+});
+
+describe('extractJson', () => {
+  test('removes trailing commas between values', () => {
+    const { data, repairs } = extractJson('{"items": [{"name": "Lamp",}, ], }');
+    expect(data).toEqual({ items: [{ name: 'Lamp' }] });
+    expect(repairs.map(repair => repair.code)).toEqual(['trailing_comma']);
+  });
+
+  test('leaves commas inside strings alone', () => {
+    const text = '{"items": [{"name": "Crate ,] of records", "description": "Set {a,} \\" ,}"}]}';
+    const { data, repairs } = extractJson(text);
+    expect(data.items[0]).toEqual({ name: 'Crate ,] of records', description: 'Set {a,} " ,}' });
+    expect(repairs).toEqual([]);
+  });
+});
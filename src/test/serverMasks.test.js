@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+import sharp from 'sharp';
+import { createMask, maskBounds } from '../services/masks';
+import { decodeImage, loadMask, maskToPng, applyMask } from '../../api/_lib/masks';
+
+// White rectangle on black, as segmentation APIs send masks
+async function maskImage(width, height, rect) {
+  const base = sharp({ create: { width, height, channels: 3, background: '#000' } });
+  const white = await sharp({ create: { width: rect.width, height: rect.height, channels: 3, background: '#fff' } }).png().toBuffer();
+  return base.composite([{ input: white, left: rect.x, top: rect.y }]).greyscale().png().toBuffer();
+}
+
+let photo;
+
+beforeAll(async () => {
+  photo = await sharp({ create: { width: 120, height: 90, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+});
+
+describe('decodeImage', () => {
+  test('decodes greyscale PNGs to RGBA', async () => {
+    const { data, width, height } = await decodeImage(await maskImage(10, 8, { x: 0, y: 0, width: 5, height: 8 }));
+    expect([width, height, data.length]).toEqual([10, 8, 10 * 8 * 4]);
+  });
+
+  test('rejects sources it can\'t read', async () => {
+    await expect(decodeImage('ftp://example.com/mask.png')).rejects.toThrow('unsupported source');
+  });
+});
+
+describe('loadMask', () => {
+  test('reads a data URL mask and aligns it to the photo', async () => {
+    const png = await maskImage(40, 30, { x: 10, y: 5, width: 20, height: 10 });
+    const mask = await loadMask(`data:image/png;base64,${png.toString('base64')}`, { width: 120, height: 90 });
+    expect(maskBounds(mask, 127)).toEqual({ x: 30, y: 15, width: 60, height: 30 });
+  });
+
+  test('reads a mask image buffer without stretching a padded square', async () => {
+    // A 4:3 photo padded to 64x64 on the bottom; the object fills the photo's top half
+    const png = await maskImage(64, 64, { x: 0, y: 0, width: 64, height: 24 });
+    const mask = await loadMask(png, { width: 120, height: 90 });
+    expect(maskBounds(mask, 127)).toEqual({ x: 0, y: 0, width: 120, height: 45 });
+  });
+
+  test('round-trips through maskToPng', async () => {
+    const mask = createMask(6, 4);
+    mask.data.fill(255, 7, 10);
+    expect(Array.from((await loadMask(await maskToPng(mask))).data)).toEqual(Array.from(mask.data));
+  });
+});
+
+describe('applyMask', () => {
+  test('cuts the object out as a trimmed transparent PNG', async () => {
+    const mask = await loadMask(await maskImage(120, 90, { x: 20, y: 30, width: 50, height: 40 }), { width: 120, height: 90 });
+    const { image, bounds } = await applyMask(photo, mask);
+    const metadata = await sharp(image).metadata();
+
+    expect(bounds).toEqual({ x: 20, y: 30, width: 50, height: 40 });
+    expect(metadata).toMatchObject({ format: 'png', width: 50, height: 40, channels: 4 });
+  });
+
+  test('keeps the whole frame when asked not to trim', async () => {
+    const mask = await loadMask(await maskImage(120, 90, { x: 20, y: 30, width: 50, height: 40 }), { width: 120, height: 90 });
+    const { image } = await applyMask(photo, mask, { trim: false });
+    expect(await sharp(image).metadata()).toMatchObject({ width: 120, height: 90 });
+  });
+
+  test('refuses an empty mask', async () => {
+    await expect(applyMask(photo, createMask(120, 90))).rejects.toThrow('Mask is empty');
+  });
+
+  test('refuses a mask of another size', async () => {
+    await expect(applyMask(photo, createMask(60, 45))).rejects.toThrow('Mask is 60x45 but the photo is 120x90');
+  });
+});
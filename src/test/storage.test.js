@@ -0,0 +1,33 @@
+/**
+ * @jest-environment node
+ */
+import { getStore } from '../../api/_lib/storage';
+
+const saved = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...saved };
+});
+
+describe('getStore', () => {
+  test.each([
+    ['on Vercel', { VERCEL: '1' }],
+    ['in production', { NODE_ENV: 'production' }]
+  ])('refuses to pick an adapter by default %s', (where, env) => {
+    delete process.env.INVENTORY_STORAGE;
+    Object.assign(process.env, env);
+    expect(() => getStore(`default-${where}`)).toThrow('INVENTORY_STORAGE is not set');
+  });
+
+  test('uses the adapter production names', async () => {
+    Object.assign(process.env, { VERCEL: '1', INVENTORY_STORAGE: 'memory' });
+    const store = getStore('explicit');
+    await store.put({ id: 'a', value: 1 });
+    expect(await store.get('a')).toEqual({ id: 'a', value: 1 });
+  });
+
+  test('rejects unknown adapters', () => {
+    process.env.INVENTORY_STORAGE = 'redis';
+    expect(() => getStore('unknown-adapter')).toThrow('Unknown storage adapter: redis');
+  });
+});